@@ -49,83 +49,10 @@ AdvancedCharts.plotTornado = function(base_inputs, variance_percent = 20) {
     }
 
     // Get base LCOE
-    const base_results = calculateLCOE(base_inputs);
-    const base_lcoe = base_results.lcoe_kwh;
+    const base_lcoe = calculateLCOE(base_inputs).lcoe_kwh;
 
-    // Parameters to analyze with their variance ranges
-    const parameters = [
-        {
-            name: 'CAPEX per MW',
-            key: 'capex_per_mw',
-            base_value: base_inputs.capex_per_mw,
-            variance: variance_percent
-        },
-        {
-            name: 'Annual Energy',
-            key: 'energy_generation',
-            base_value: base_inputs.energy_generation,
-            variance: variance_percent
-        },
-        {
-            name: 'Discount Rate',
-            key: 'discount_rate',
-            base_value: base_inputs.discount_rate,
-            variance: variance_percent
-        },
-        {
-            name: 'OPEX %',
-            key: 'opex_percent',
-            base_value: base_inputs.opex_percent,
-            variance: variance_percent
-        },
-        {
-            name: 'Loan Tenure',
-            key: 'loan_tenure',
-            base_value: base_inputs.loan_tenure,
-            variance: variance_percent
-        },
-        {
-            name: 'Interest Rate',
-            key: 'interest_rate',
-            base_value: base_inputs.interest_rate,
-            variance: variance_percent
-        }
-    ];
-
-    // Calculate LCOE impacts
-    const impacts = [];
-
-    for (const param of parameters) {
-        const variance_amount = (param.base_value * param.variance) / 100;
-
-        // Calculate LCOE at -variance
-        const inputs_low = {
-            ...base_inputs,
-            [param.key]: param.base_value - variance_amount
-        };
-        const lcoe_low = calculateLCOE(inputs_low).lcoe_kwh;
-
-        // Calculate LCOE at +variance
-        const inputs_high = {
-            ...base_inputs,
-            [param.key]: param.base_value + variance_amount
-        };
-        const lcoe_high = calculateLCOE(inputs_high).lcoe_kwh;
-
-        // Calculate impact (negative = decrease, positive = increase)
-        const impact_low = lcoe_low - base_lcoe;  // Change when decreased
-        const impact_high = lcoe_high - base_lcoe; // Change when increased
-
-        impacts.push({
-            name: param.name,
-            low: Math.min(impact_low, impact_high),    // More negative is lower
-            high: Math.max(impact_low, impact_high),    // More positive is higher
-            range: Math.abs(impact_high - impact_low)
-        });
-    }
-
-    // Sort by impact range (descending)
-    impacts.sort((a, b) => Math.abs(b.range) - Math.abs(a.range));
+    // LCOE impacts, widest range first
+    const impacts = generateTornadoAnalysis(base_inputs, variance_percent);
 
     // Prepare chart data - create stacked effect
     const labels = impacts.map(i => i.name);
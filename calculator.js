@@ -4,8 +4,131 @@
 
 const CONSTANTS = {
     hours_in_year: 8760,            // Standard hours per year
-    opex_escalation_rate: 0.05,     // 5% annual OPEX increase
-    degradation_rate: 0.005,        // 0.5% annual panel degradation
+    opex_escalation_rate: 0.05,     // Default 5% annual OPEX increase (overridable per project)
+    degradation_rate: 0.005,        // Default 0.5% annual panel degradation (overridable per project)
+    cuf_min: 0.10,                  // Lowest plausible solar CUF (fraction); below this is flagged
+    cuf_max: 0.35,                  // Highest plausible solar CUF (fraction); above this is flagged
+};
+
+// Optional debug logger, e.g. setLogger(console.log); silent by default
+let debugLogger = null;
+
+/**
+ * Route the engine's debug output (intermediate values) to a function
+ * 
+ * @param {function|null} logger - Called with console.log-style arguments; null to silence
+ */
+function setLogger(logger) {
+    debugLogger = typeof logger === 'function' ? logger : null;
+}
+
+/**
+ * Write debug output through the logger set with setLogger(), if any
+ * 
+ * @param {...*} args - Values to log
+ */
+function debugLog(...args) {
+    if (debugLogger) debugLogger(...args);
+}
+
+// Supported module degradation profiles (see calculateDegradationFactors)
+const DEGRADATION_PROFILES = {
+    geometric: 'Geometric (constant % per year)',
+    linear: 'Linear (% of nameplate per year)',
+    lid_linear: 'First-year LID + linear',
+    custom: 'Custom year-by-year table'
+};
+
+// Supported LCOE methodologies (inputs.lcoe_method)
+const LCOE_METHODS = {
+    cost_npv: {
+        label: 'Cost-NPV over raw energy',
+        formula: '(CAPEX + NPV of OPEX) / Total Energy Generated'
+    },
+    discounted: {
+        label: 'Discounted cost over discounted energy (NREL/IEA)',
+        formula: '(CAPEX + PV of Annual Costs) / PV of Energy Generated'
+    },
+    crf: {
+        label: 'Simple LCOE (Capital Recovery Factor)',
+        formula: '(CAPEX × CRF + Year 1 OPEX) / Year 1 Energy Generated'
+    }
+};
+
+// Supported loan repayment structures (inputs.loan_repayment)
+const LOAN_REPAYMENT_TYPES = {
+    interest_only: 'Interest only (full CAPEX counted upfront)',
+    amortizing: 'Amortizing (equal annual instalments after moratorium)'
+};
+
+// Supported tax depreciation methods (inputs.depreciation_method)
+const DEPRECIATION_METHODS = {
+    straight_line: 'Straight line over depreciation life',
+    wdv: 'Written down value (WDV)',
+    accelerated: 'Accelerated (first-year allowance, balance straight line)'
+};
+
+// Input field metadata shared by import, validation and export code
+// type: 'number' | 'integer' | 'select' | 'list'; min/max are inclusive limits
+const INPUT_FIELDS = {
+    capacity: { label: 'Installed Capacity (MW)', type: 'number', min: 0.01 },
+    energy_generation: { label: 'Total Energy Generated (MWh)', type: 'number', min: 0 },
+    capex_per_mw: { label: 'Total CAPEX (₹)', type: 'number', min: 0 },
+    opex_percent: { label: 'Annual OPEX (% of CAPEX)', type: 'number', min: 0, max: 100 },
+    interest_rate: { label: 'Loan Interest Rate (%)', type: 'number', min: 0, max: 100 },
+    loan_tenure: { label: 'Loan Tenure (Years)', type: 'integer', min: 1, max: 100 },
+    project_lifetime: { label: 'Project Lifetime (Years)', type: 'integer', min: 1, max: 100 },
+    discount_rate: { label: 'Discount Rate (%)', type: 'number', min: 0, max: 50 },
+    opex_escalation_rate: { label: 'OPEX Escalation Rate (% per year)', type: 'number', min: 0, max: 100 },
+    degradation_rate: { label: 'Annual Degradation Rate (%)', type: 'number', min: 0, max: 10 },
+    degradation_profile: { label: 'Degradation Profile', type: 'select', options: DEGRADATION_PROFILES },
+    first_year_degradation: { label: 'First-Year Degradation / LID (%)', type: 'number', min: 0, max: 20 },
+    degradation_table: { label: 'Yearly Output Table (% of nameplate)', type: 'list', min: 0, max: 100 },
+    lcoe_method: { label: 'LCOE Methodology', type: 'select', options: LCOE_METHODS },
+    debt_fraction: { label: 'Debt Fraction (% of CAPEX)', type: 'number', min: 0, max: 100 },
+    cost_of_equity: { label: 'Cost of Equity (%)', type: 'number', min: 0, max: 100 },
+    loan_repayment: { label: 'Loan Repayment', type: 'select', options: LOAN_REPAYMENT_TYPES },
+    moratorium_years: { label: 'Moratorium (Years)', type: 'integer', min: 0, max: 100 },
+    tax_rate: { label: 'Corporate Tax Rate (%)', type: 'number', min: 0, max: 100 },
+    tax_holiday_years: { label: 'Tax Holiday (Years)', type: 'integer', min: 0, max: 100 },
+    mat_rate: { label: 'MAT Rate (%)', type: 'number', min: 0, max: 100 },
+    depreciation_method: { label: 'Tax Depreciation Method', type: 'select', options: DEPRECIATION_METHODS },
+    depreciation_life: { label: 'Depreciation Life (Years)', type: 'integer', min: 1, max: 100 },
+    wdv_rate: { label: 'WDV Rate (%)', type: 'number', min: 0, max: 100 },
+    accelerated_rate: { label: 'Accelerated Depreciation (% in Year 1)', type: 'number', min: 0, max: 100 },
+    tariff: { label: 'PPA Tariff, Year 1 (₹/kWh)', type: 'number', min: 0 },
+    tariff_escalation_rate: { label: 'Tariff Escalation (% per year)', type: 'number', min: 0, max: 100 }
+};
+
+// Default inputs: the web form's starting values, also used by the CLI and HTTP API
+const DEFAULT_INPUTS = {
+    capacity: 1.0,
+    energy_generation: 1627.53,
+    capex_per_mw: 34400000,
+    opex_percent: 1.0,
+    interest_rate: 8.25,
+    loan_tenure: 20,
+    project_lifetime: 20,
+    discount_rate: 9.0,
+    opex_escalation_rate: 5.0,
+    degradation_rate: 0.5,
+    degradation_profile: 'geometric',
+    first_year_degradation: 2.0,
+    degradation_table: [],
+    lcoe_method: 'cost_npv',
+    debt_fraction: 100,
+    cost_of_equity: 14.0,
+    loan_repayment: 'interest_only',
+    moratorium_years: 0,
+    tax_rate: 25.17,
+    tax_holiday_years: 0,
+    mat_rate: 15.0,
+    depreciation_method: 'straight_line',
+    depreciation_life: 25,
+    wdv_rate: 15.0,
+    accelerated_rate: 40.0,
+    tariff: 3.00,
+    tariff_escalation_rate: 0
 };
 
 // ============================================
@@ -40,12 +163,12 @@ function calculateEMI(principal, annual_rate, years) {
     // Handle edge cases
     if (years === 0 || principal === 0) return 0;
     
-    const monthly_rate = annual_rate / 12;
+    const monthly_rate = annual_rate / 100 / 12;
     const num_months = years * 12;
     
     // If no interest, simple division
     if (monthly_rate === 0) {
-        return principal / (num_months * 12); // Annual repayment
+        return principal / years; // Annual repayment
     }
     
     // Standard amortization formula
@@ -53,7 +176,7 @@ function calculateEMI(principal, annual_rate, years) {
     const denominator = Math.pow(1 + monthly_rate, num_months) - 1;
     const monthly_emi = principal * (numerator / denominator);
 
-    console.log("EMI :" + monthly_emi);
+    debugLog("EMI :" + monthly_emi);
     
     return monthly_emi * 12; // Convert to annual
 }
@@ -67,45 +190,193 @@ function calculateEMI_likeExcel(principal, annual_rate, years) {
   return ann_emi
 }
 
+/**
+ * Calculate level annual instalment for an amortizing loan (Excel PMT equivalent)
+ * Formula: A = P × r(1+r)^n / [(1+r)^n - 1], or P/n when r = 0
+ * 
+ * @param {number} principal - Loan amount in ₹
+ * @param {number} annual_rate - Annual interest rate (%)
+ * @param {number} years - Repayment period (years)
+ * @returns {number} Annual instalment (principal + interest) in ₹
+ */
+function calculateAnnuityPayment(principal, annual_rate, years) {
+    if (years <= 0 || principal === 0) return 0;
+
+    const rate = annual_rate / 100;
+    if (rate === 0) return principal / years;
+
+    const growth = Math.pow(1 + rate, years);
+    return principal * (rate * growth) / (growth - 1);
+}
+
+/**
+ * Build a year-by-year loan amortization schedule
+ * During the moratorium only interest is paid; afterwards the balance is repaid
+ * in equal annual instalments over the remaining tenure. For 'interest_only'
+ * loans the balance never reduces (principal is carried in upfront CAPEX).
+ * A fractional tenure runs to the next whole year, which repays the balance left.
+ * 
+ * @param {number} principal - Loan amount in ₹
+ * @param {number} annual_rate - Annual interest rate (%)
+ * @param {number} tenure - Loan tenure including moratorium (years)
+ * @param {number} moratorium_years - Interest-only grace period (years)
+ * @param {string} repayment - 'amortizing' | 'interest_only'
+ * @returns {array} Rows of {year, opening_balance, interest, principal, debt_service, closing_balance}
+ */
+function calculateLoanSchedule(principal, annual_rate, tenure, moratorium_years = 0, repayment = 'amortizing') {
+    const schedule = [];
+    const rate = annual_rate / 100;
+    const grace = Math.max(0, Math.min(moratorium_years, tenure - 1));
+    const instalment = calculateAnnuityPayment(principal, annual_rate, tenure - grace);
+    const last_year = Math.ceil(tenure);
+    let balance = principal;
+
+    for (let year = 1; year <= last_year; year++) {
+        const interest = balance * rate;
+        let principal_paid = 0;
+
+        if (repayment === 'amortizing' && year > grace) {
+            principal_paid = year === last_year ? balance : Math.min(instalment - interest, balance);
+        }
+
+        schedule.push({
+            year,
+            opening_balance: balance,
+            interest,
+            principal: principal_paid,
+            debt_service: interest + principal_paid,
+            closing_balance: balance - principal_paid
+        });
+
+        balance -= principal_paid;
+    }
+
+    return schedule;
+}
+
+/**
+ * Calculate Weighted Average Cost of Capital (pre-tax)
+ * Formula: WACC = D% × Kd + (1 - D%) × Ke
+ * 
+ * @param {number} debt_fraction - Share of CAPEX funded by debt (%)
+ * @param {number} interest_rate - Cost of debt (%)
+ * @param {number} cost_of_equity - Cost of equity (%)
+ * @returns {number} WACC (%)
+ */
+function calculateWACC(debt_fraction, interest_rate, cost_of_equity) {
+    const d = debt_fraction / 100;
+    return d * interest_rate + (1 - d) * cost_of_equity;
+}
 
 /**
  * Calculate total O&M costs with annual escalation
- * Formula: O&M[i] = OPEX × (1.05)^i summed for all years
+ * Formula: O&M[i] = OPEX × (1 + escalation)^i summed for all years
  * 
  * @param {number} annual_opex - Annual OPEX in Year 0 (₹)
  * @param {number} years - Number of years to project
+ * @param {number} escalation_rate - Annual OPEX escalation (%), defaults to CONSTANTS
  * @returns {number} Total O&M cost over period (₹)
  */
-function calculateTotalOM(annual_opex, years) {
+function calculateTotalOM(annual_opex, years, escalation_rate = CONSTANTS.opex_escalation_rate * 100) {
     let total = 0;
     
     for (let i = 0; i < years; i++) {
-        const escalated_opex = annual_opex * Math.pow(1 + CONSTANTS.opex_escalation_rate, i);
+        const escalated_opex = annual_opex * Math.pow(1 + escalation_rate / 100, i);
         total += escalated_opex;
     }
     
     return total;
 }
 
+/**
+ * Build the year-by-year degradation curve for a module profile
+ * Each factor is the fraction of Year 1 nameplate output delivered in that year.
+ * 
+ * Profiles:
+ *   - geometric:  factor[i] = (1 - d)^i
+ *   - linear:     factor[i] = 1 - d × i
+ *   - lid_linear: factor[i] = 1 - LID - d × i   (first-year light-induced loss, then linear)
+ *   - custom:     factor[i] = table[i] / 100; years past the table continue linearly at d
+ * 
+ * @param {number} years - Project lifetime (years)
+ * @param {object} profile - Profile settings:
+ *   - degradation_profile: 'geometric' | 'linear' | 'lid_linear' | 'custom'
+ *   - degradation_rate: Annual degradation d (%)
+ *   - first_year_degradation: First-year LID (%), used by 'lid_linear'
+ *   - degradation_table: Array of yearly output (% of nameplate), used by 'custom'
+ * @returns {array} Array of degradation factors (0-1), one per year
+ */
+function calculateDegradationFactors(years, profile = {}) {
+    const {
+        degradation_profile = 'geometric',
+        degradation_rate = CONSTANTS.degradation_rate * 100,
+        first_year_degradation = 0,
+        degradation_table = []
+    } = profile;
+
+    const d = degradation_rate / 100;
+    const lid = first_year_degradation / 100;
+    const factors = [];
+
+    for (let i = 0; i < years; i++) {
+        let factor;
+
+        if (degradation_profile === 'linear') {
+            factor = 1 - d * i;
+        } else if (degradation_profile === 'lid_linear') {
+            factor = 1 - lid - d * i;
+        } else if (degradation_profile === 'custom' && degradation_table.length > 0) {
+            const last = degradation_table.length - 1;
+            factor = i <= last
+                ? degradation_table[i] / 100
+                : degradation_table[last] / 100 - d * (i - last);
+        } else {
+            factor = Math.pow(1 - d, i);
+        }
+
+        factors.push(Math.max(factor, 0));
+    }
+
+    return factors;
+}
+
 /**
  * Calculate total energy generation with annual degradation
- * Formula: total_energy = Σ(annual_energy × (0.995)^i) for all years
+ * Formula: total_energy = Σ(annual_energy × factor[i]) for all years
  * 
  * @param {number} annual_energy - Annual energy generation in Year 0 (MWh)
  * @param {number} years - Project lifetime (years)
+ * @param {number|object} degradation - Annual geometric degradation (%), or a
+ *   profile object accepted by calculateDegradationFactors()
  * @returns {number} Total energy generated over project life (MWh)
  */
-function calculateTotalEnergy(annual_energy, years) {
+function calculateTotalEnergy(annual_energy, years, degradation = CONSTANTS.degradation_rate * 100) {
+    const profile = typeof degradation === 'object'
+        ? degradation
+        : { degradation_rate: degradation };
+    const factors = calculateDegradationFactors(years, profile);
     let total = 0;
     
     for (let i = 0; i < years; i++) {
-        const degraded_energy = annual_energy * Math.pow(1 - CONSTANTS.degradation_rate, i);
+        const degraded_energy = annual_energy * factors[i];
         total += degraded_energy;
     }
     
     return total;
 }
 
+/**
+ * Calculate discounted energy generation over project life
+ * Formula: Σ(E_t / (1 + r)^t) for t = 1..n
+ * 
+ * @param {number} discount_rate - Discount rate (%)
+ * @param {array} energy_by_year - Array of annual energy (MWh)
+ * @returns {number} Present value of energy (MWh)
+ */
+function calculateDiscountedEnergy(discount_rate, energy_by_year) {
+    return calculateNPV(discount_rate, energy_by_year);
+}
+
 /**
  * Calculate NPV (Net Present Value) of cash flows
  * Formula: NPV = Σ(CF_t / (1 + r)^t) for all periods t
@@ -128,21 +399,235 @@ function calculateNPV(discount_rate, cash_flows) {
     return npv;
 }
 
+/**
+ * Calculate NPV the way the reference spreadsheet does: NPV(rate, 0, flows),
+ * i.e. with an empty first period, so year n is discounted by (1+r)^(n+1)
+ * 
+ * @param {number} discount_rate - Discount rate (%)
+ * @param {array} cash_flows - Year 1..n cash flows (not modified)
+ * @returns {number} Net present value
+ */
 function calculateNPVlikeExcel(discount_rate, cash_flows) {
     const rate = discount_rate / 100;
-    // console.log("Rate :" + rate);
-    cash_flows.unshift(0.0);
-    // console.log("Cash Flows :" + cash_flows);
+    const flows = [0.0, ...cash_flows];
     let npv = 0;
     
-    for (let t = 0; t < cash_flows.length; t++) {
-        const pv = cash_flows[t] / Math.pow(1 + rate, t+1);
+    for (let t = 0; t < flows.length; t++) {
+        const pv = flows[t] / Math.pow(1 + rate, t+1);
         npv += pv;
     }
     
     return npv;
 }
 
+/**
+ * Calculate Capital Recovery Factor (CRF)
+ * Formula: CRF = r(1+r)^n / [(1+r)^n - 1], or 1/n when r = 0
+ * 
+ * @param {number} discount_rate - Discount rate (%)
+ * @param {number} years - Recovery period (years)
+ * @returns {number} CRF as fraction of capital per year
+ */
+function calculateCRF(discount_rate, years) {
+    if (years <= 0) return 0;
+
+    const rate = discount_rate / 100;
+    if (rate === 0) return 1 / years;
+
+    const growth = Math.pow(1 + rate, years);
+    return (rate * growth) / (growth - 1);
+}
+
+// ============================================
+// TAX & DEPRECIATION
+// ============================================
+
+/**
+ * Build a yearly depreciation schedule for the depreciable asset base
+ * 
+ * Methods:
+ *   - straight_line: capex / life for each year of the depreciation life
+ *   - wdv:           wdv_rate % of the opening written down value each year
+ *   - accelerated:   accelerated_rate % of capex in Year 1, balance straight
+ *                    line over the rest of the depreciation life
+ * 
+ * @param {number} capex - Depreciable asset base (₹)
+ * @param {number} years - Number of years to schedule
+ * @param {string} method - Key of DEPRECIATION_METHODS
+ * @param {object} options - { depreciation_life, wdv_rate, accelerated_rate }
+ * @returns {array} Depreciation charge for each year (₹)
+ */
+function calculateDepreciationSchedule(capex, years, method = 'straight_line', options = {}) {
+    const {
+        depreciation_life = 25,
+        wdv_rate = 15,
+        accelerated_rate = 40
+    } = options;
+
+    const life = Math.max(1, Math.round(depreciation_life));
+    const first_year = Math.min(capex, (capex * accelerated_rate) / 100);
+    const schedule = [];
+    let written_down = capex;
+
+    for (let i = 0; i < years; i++) {
+        let charge;
+
+        if (method === 'wdv') {
+            charge = (written_down * wdv_rate) / 100;
+        } else if (method === 'accelerated') {
+            if (i === 0) {
+                charge = first_year;
+            } else {
+                charge = i < life && life > 1 ? (capex - first_year) / (life - 1) : 0;
+            }
+        } else {
+            charge = i < life ? capex / life : 0;
+        }
+
+        charge = Math.min(charge, written_down);
+        written_down -= charge;
+        schedule.push(charge);
+    }
+
+    return schedule;
+}
+
+/**
+ * Build the yearly tax schedule used for the after-tax LCOE
+ * Corporate tax applies to deductions (O&M, interest, tax depreciation); during
+ * the tax holiday MAT applies instead, with book (straight-line) depreciation.
+ * Tax losses are assumed to be usable in the year they arise.
+ * 
+ * @param {object} params - Schedule inputs:
+ *   - om_by_year: Annual O&M cost (₹)
+ *   - interest_by_year: Annual loan interest (₹)
+ *   - tax_depreciation: Annual tax depreciation (₹)
+ *   - book_depreciation: Annual book depreciation (₹)
+ *   - tax_rate: Corporate tax rate (%)
+ *   - mat_rate: Minimum Alternate Tax rate during the holiday (%)
+ *   - tax_holiday_years: Years from COD with no corporate tax
+ * @returns {array} Rows of {year, tax_rate, depreciation, interest, deductions, tax_shield}
+ */
+function calculateTaxSchedule(params) {
+    const {
+        om_by_year,
+        interest_by_year,
+        tax_depreciation,
+        book_depreciation,
+        tax_rate = 0,
+        mat_rate = 0,
+        tax_holiday_years = 0
+    } = params;
+
+    return om_by_year.map((om, i) => {
+        const in_holiday = i < tax_holiday_years;
+        const rate = in_holiday ? mat_rate : tax_rate;
+        const depreciation = in_holiday ? book_depreciation[i] : tax_depreciation[i];
+        const interest = interest_by_year[i] || 0;
+        const deductions = om + interest + depreciation;
+
+        return {
+            year: i + 1,
+            tax_rate: rate,
+            in_holiday,
+            depreciation,
+            interest,
+            deductions,
+            tax_shield: (deductions * rate) / 100
+        };
+    });
+}
+
+// ============================================
+// PROJECT RETURNS
+// ============================================
+
+/**
+ * Calculate NPV of cash flows that start at Year 0 (undiscounted first entry)
+ * Formula: NPV = Σ(CF_t / (1 + r)^t) for t = 0..n
+ * 
+ * @param {number} discount_rate - Discount rate (%)
+ * @param {array} cash_flows - Cash flows from Year 0 onwards (₹)
+ * @returns {number} NPV (₹)
+ */
+function calculateNPVFromYear0(discount_rate, cash_flows) {
+    const rate = discount_rate / 100;
+    let npv = 0;
+
+    for (let t = 0; t < cash_flows.length; t++) {
+        npv += cash_flows[t] / Math.pow(1 + rate, t);
+    }
+
+    return npv;
+}
+
+/**
+ * Calculate Internal Rate of Return by bracketing and bisection
+ * Scans for a sign change of NPV between -99% and 1000% before bisecting,
+ * so it never diverges the way Newton's method can. Flows with a late outflow
+ * (such as a loan balloon) can have two IRRs; the scan runs upwards from 0%
+ * first, so a non-negative IRR is preferred.
+ * 
+ * @param {array} cash_flows - Cash flows from Year 0 onwards (₹)
+ * @returns {number|null} IRR (%), or null when NPV never changes sign
+ */
+function calculateIRR(cash_flows) {
+    const npv = rate => calculateNPVFromYear0(rate, cash_flows);
+    const grid = [-99, -90, -75, -50, -25, -10, 0, 5, 10, 15, 20, 30, 50, 75, 100, 200, 500, 1000];
+    const zero = grid.indexOf(0);
+    const intervals = [];
+    for (let i = zero; i < grid.length - 1; i++) intervals.push([grid[i], grid[i + 1]]);
+    for (let i = zero; i > 0; i--) intervals.push([grid[i - 1], grid[i]]);
+
+    for (let [low, high] of intervals) {
+        let npv_low = npv(low);
+        const npv_high = npv(high);
+
+        if (npv_low === 0) return low;
+        if (npv_low * npv_high > 0) continue;
+
+        for (let iter = 0; iter < 200 && high - low > 1e-10; iter++) {
+            const mid = (low + high) / 2;
+            const npv_mid = npv(mid);
+            if (npv_mid === 0) return mid;
+            if (npv_low * npv_mid < 0) {
+                high = mid;
+            } else {
+                low = mid;
+                npv_low = npv_mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    return null;
+}
+
+/**
+ * Calculate the payback year of a cash-flow series (interpolated within the year)
+ * 
+ * @param {array} cash_flows - Cash flows from Year 0 onwards (₹)
+ * @param {number} discount_rate - Discount rate (%), 0 for simple payback
+ * @returns {number|null} Payback in years, or null if never recovered
+ */
+function calculatePaybackYear(cash_flows, discount_rate = 0) {
+    const rate = discount_rate / 100;
+    let cumulative = 0;
+
+    for (let t = 0; t < cash_flows.length; t++) {
+        const cf = cash_flows[t] / Math.pow(1 + rate, t);
+        const previous = cumulative;
+        cumulative += cf;
+
+        if (t > 0 && previous < 0 && cumulative >= 0) {
+            return t - 1 + (-previous / cf);
+        }
+    }
+
+    return cumulative >= 0 && cash_flows.length > 0 ? 0 : null;
+}
+
 /**
  * Calculate Capacity Utilization Efficiency (CUE)
  * Formula: CUE = Annual_Energy / (Capacity × 8760 hours)
@@ -169,18 +654,71 @@ function calculateCUE(annual_energy, capacity) {
  *   - loan_tenure: Loan tenure (years)
  *   - project_lifetime: Total project lifetime (years)
  *   - discount_rate: Discount rate for NPV (%)
+ *   - opex_escalation_rate: Annual OPEX escalation (%), optional
+ *   - degradation_rate: Annual panel degradation (%), optional
+ *   - degradation_profile: 'geometric' | 'linear' | 'lid_linear' | 'custom', optional
+ *   - first_year_degradation: First-year LID (%), optional
+ *   - degradation_table: Yearly output (% of nameplate) for 'custom', optional
+ *   - lcoe_method: Key of LCOE_METHODS used for lcoe_mwh/lcoe_kwh, optional
+ *   - debt_fraction: Share of CAPEX funded by debt (%), optional (default 100)
+ *   - cost_of_equity: Required return on equity (%), optional
+ *   - moratorium_years: Interest-only grace period (years), optional
+ *   - loan_repayment: Key of LOAN_REPAYMENT_TYPES, optional (default 'interest_only')
+ *   - tax_rate: Corporate tax rate (%), optional (default 0)
+ *   - mat_rate: MAT rate during the tax holiday (%), optional
+ *   - tax_holiday_years: Years with MAT instead of corporate tax, optional
+ *   - depreciation_method: Key of DEPRECIATION_METHODS, optional
+ *   - depreciation_life: Straight-line / book depreciation life (years), optional
+ *   - wdv_rate: WDV depreciation rate (%), optional
+ *   - accelerated_rate: First-year accelerated allowance (% of CAPEX), optional
+ *   - tariff: PPA tariff in Year 1 (₹/kWh), optional; 0 skips the revenue metrics
+ *   - tariff_escalation_rate: Annual PPA escalation (%), 0 for a flat tariff
  * 
  * @returns {object} Results object containing:
  *   - capex: Total CAPEX (₹)
  *   - annual_opex: Annual OPEX in Year 0 (₹)
- *   - annual_emi: Annual EMI (₹)
+ *   - annual_emi: Annual EMI (₹), the level instalment for amortizing loans
+ *   - debt_amount: Debt-funded share of CAPEX (₹)
+ *   - equity_amount: Equity-funded share of CAPEX (₹)
+ *   - upfront_cost: CAPEX counted at Year 0 in the LCOE numerator (₹)
+ *   - loan_schedule: Yearly amortization rows (see calculateLoanSchedule)
+ *   - loan_repayment: Repayment structure applied
+ *   - wacc: Pre-tax weighted average cost of capital (%)
+ *   - wacc_post_tax: WACC with the interest tax shield (%)
  *   - total_om: Total O&M over project life (₹)
  *   - total_loan: Total loan repayment (₹)
  *   - npv_opex: NPV of OPEX (₹)
  *   - total_energy: Total energy generated (MWh)
+ *   - discounted_energy: Present value of energy generated (MWh)
+ *   - energy_by_year: Array of annual energy after degradation (MWh)
+ *   - degradation_factors: Array of yearly output factors (0-1)
  *   - lcoe_mwh: LCOE per MWh (₹/MWh)
  *   - lcoe_kwh: LCOE per kWh (₹/kWh)
+ *   - lcoe_method: Methodology used for lcoe_mwh/lcoe_kwh
+ *   - lcoe_by_method: LCOE per MWh under every methodology (₹/MWh)
+ *   - pv_costs: PV of annual costs, standard discounting (₹)
+ *   - crf: Capital recovery factor (fraction)
+ *   - after_tax_lcoe_mwh: After-tax LCOE per MWh (₹/MWh)
+ *   - after_tax_lcoe_kwh: After-tax LCOE per kWh (₹/kWh)
+ *   - depreciation_schedule: Yearly tax depreciation (₹)
+ *   - tax_schedule: Yearly tax rows (see calculateTaxSchedule)
+ *   - pv_depreciation_shield: PV of depreciation tax savings (₹)
+ *   - pv_interest_shield: PV of interest tax savings (₹)
+ *   - revenue_by_year: Yearly PPA revenue (₹)
+ *   - project_cash_flows / equity_cash_flows: Year 0..n cash flows (₹)
+ *   - project_irr / equity_irr: IRR (%), null without a tariff or sign change
+ *     (equity_irr is also null when the project is fully debt-funded)
+ *   - project_npv: NPV of project cash flows at the discount rate (₹)
+ *   - payback_year / discounted_payback_year: Payback (years), null if never
+ *   - dscr_by_year: Yearly DSCR (null in years without debt service)
+ *   - min_dscr / avg_dscr: Minimum and average DSCR
+ *   - yearly_schedule: Year 1..n rows of { year, degradation_factor, energy (MWh),
+ *     om, interest, principal, debt_service, total_cost, discount_factor,
+ *     pv_cost, pv_energy, revenue } (₹ unless noted)
  *   - cue: Capacity Utilization Efficiency (fraction)
+ *   - opex_escalation_rate: OPEX escalation applied (%)
+ *   - degradation_rate: Panel degradation applied (%)
+ *   - degradation_profile: Degradation profile applied
  *   - cash_flows: Array of annual cash flows for debugging
  */
 function calculateLCOE(inputs) {
@@ -193,59 +731,218 @@ function calculateLCOE(inputs) {
         interest_rate,
         loan_tenure,
         project_lifetime,
-        discount_rate
+        discount_rate,
+        opex_escalation_rate = CONSTANTS.opex_escalation_rate * 100,
+        degradation_rate = CONSTANTS.degradation_rate * 100,
+        degradation_profile = 'geometric',
+        first_year_degradation = 0,
+        degradation_table = [],
+        lcoe_method = 'cost_npv',
+        debt_fraction = 100,
+        cost_of_equity = 0,
+        moratorium_years = 0,
+        loan_repayment = 'interest_only',
+        tax_rate = 0,
+        mat_rate = 0,
+        tax_holiday_years = 0,
+        depreciation_method = 'straight_line',
+        depreciation_life = 25,
+        wdv_rate = 15,
+        accelerated_rate = 40,
+        tariff = 0,
+        tariff_escalation_rate = 0
     } = inputs;
 
     // Step 1: Calculate total CAPEX
-    console.log("Capacity :" + capacity);
-    console.log("Energy Generation :" + energy_generation);
-    console.log("CAPEX per MW :" + capex_per_mw);
+    debugLog("Capacity :" + capacity);
+    debugLog("Energy Generation :" + energy_generation);
+    debugLog("CAPEX per MW :" + capex_per_mw);
     const capex = calculateCAPEX(capacity, capex_per_mw);
     const energy_generation_per_year = energy_generation / capacity;
-    console.log("-----------------")
-    console.log("Capacity :" + capacity);
-    console.log("Energy Generation :" + energy_generation_per_year);
-    console.log("CAPEX per MW :" + capex);
+    debugLog("-----------------");
+    debugLog("Capacity :" + capacity);
+    debugLog("Energy Generation :" + energy_generation_per_year);
+    debugLog("CAPEX per MW :" + capex);
 
-    // Step 2: Calculate annual OPEX and annual EMI
+    // Step 2: Split CAPEX into debt and equity, then calculate OPEX and EMI
+    // Interest-only loans keep the spreadsheet convention: the full CAPEX is
+    // counted upfront and only interest flows through the yearly cash flows.
+    // Amortizing loans count only equity upfront; principal is repaid yearly.
+    const repayment = LOAN_REPAYMENT_TYPES[loan_repayment] ? loan_repayment : 'interest_only';
+    const debt_amount = (capex * debt_fraction) / 100;
+    const equity_amount = capex - debt_amount;
+    const upfront_cost = repayment === 'amortizing' ? equity_amount : capex;
     const annual_opex = (capex * opex_percent) / 100;
-    // const annual_emi = calculateEMI(capex, interest_rate, loan_tenure);
-    const annual_emi = calculateEMI_likeExcel(capex, interest_rate, loan_tenure);
+    const grace_years = Math.max(0, Math.min(moratorium_years, loan_tenure - 1));
+    const annual_emi = repayment === 'amortizing'
+        ? calculateAnnuityPayment(debt_amount, interest_rate, loan_tenure - grace_years)
+        : calculateEMI_likeExcel(debt_amount, interest_rate, loan_tenure);
+    const loan_schedule = calculateLoanSchedule(
+        debt_amount, interest_rate, loan_tenure, moratorium_years, repayment
+    );
+    const wacc = calculateWACC(debt_fraction, interest_rate, cost_of_equity);
 
     // Step 3: Calculate total O&M over project lifetime
-    const total_om = calculateTotalOM(annual_opex, project_lifetime);
+    const total_om = calculateTotalOM(annual_opex, project_lifetime, opex_escalation_rate);
 
-    // Step 4: Total loan repayment over project lifetime
-    // Note: EMI only paid during loan_tenure, then becomes 0
-    const total_loan = annual_emi * loan_tenure;
+    // Step 4: Total loan repayment over the loan tenure
+    const total_loan = loan_schedule.reduce((sum, row) => sum + row.debt_service, 0);
 
     const total_opex = total_om + total_loan;
 
     // Step 5: Create annual cash flows for NPV
-    // Each year includes: escalated O&M + EMI (if within loan tenure)
+    // Each year includes: escalated O&M + debt service (if within loan tenure)
     const cash_flows = [];
+    const om_by_year = [];
+    const debt_service_by_year = [];
     for (let year = 0; year < project_lifetime; year++) {
-        const om_year = annual_opex * Math.pow(1 + CONSTANTS.opex_escalation_rate, year);
-        const emi_year = year < loan_tenure ? annual_emi : 0;
+        const om_year = annual_opex * Math.pow(1 + opex_escalation_rate / 100, year);
+        // The schedule holds one row per whole loan year; none once the loan is repaid
+        const loan_row = loan_schedule[year];
+        const emi_year = loan_row ? loan_row.debt_service : 0;
+        om_by_year.push(om_year);
+        debt_service_by_year.push(emi_year);
         cash_flows.push(om_year + emi_year);
-        console.log('Cash flow for year', year + 1, ':', cash_flows[year]);
+        debugLog('Cash flow for year', year + 1, ':', cash_flows[year]);
     }
 
     // Step 6: Calculate NPV of OPEX (cash flows discounted to present)
-    // const npv_opex = calculateNPV(discount_rate, cash_flows);
+    // pv_costs uses standard end-of-year discounting for the discounted method
+    const pv_costs = calculateNPV(discount_rate, cash_flows);
     const npv_opex = calculateNPVlikeExcel(discount_rate, cash_flows);
 
-    // Step 7: Calculate total energy generated with degradation
-    const total_energy = calculateTotalEnergy(energy_generation_per_year, project_lifetime);
+    // Step 7: Calculate total and discounted energy generated with degradation
+    const degradation_factors = calculateDegradationFactors(project_lifetime, {
+        degradation_profile,
+        degradation_rate,
+        first_year_degradation,
+        degradation_table
+    });
+    const energy_by_year = degradation_factors.map(f => energy_generation_per_year * f);
+    const total_energy = energy_by_year.reduce((sum, e) => sum + e, 0);
+    const discounted_energy = calculateDiscountedEnergy(discount_rate, energy_by_year);
 
-    // Step 8: Calculate LCOE
-    // LCOE = (CAPEX + NPV of OPEX) / Total Energy Generated
-    const lcoe_mwh = total_energy > 0 
-        ? (capex + npv_opex) / total_energy 
-        : 0;
+    // Step 8: Calculate LCOE under every methodology
+    // cost_npv and discounted use the upfront cost (full CAPEX, or equity for
+    // amortizing loans) since their costs include debt service; crf has no debt
+    // service, so it annualises the full CAPEX whatever the loan type
+    // cost_npv:   (upfront cost + NPV of OPEX) / Total Energy Generated
+    // discounted: (upfront cost + PV of costs) / PV of Energy Generated
+    // crf:        (CAPEX × CRF + Year 1 OPEX) / Year 1 Energy Generated
+    const crf = calculateCRF(discount_rate, project_lifetime);
+    const first_year_energy = energy_by_year[0] || 0;
+    const lcoe_by_method = {
+        cost_npv: total_energy > 0 
+            ? (upfront_cost + npv_opex) / total_energy 
+            : 0,
+        discounted: discounted_energy > 0
+            ? (upfront_cost + pv_costs) / discounted_energy
+            : 0,
+        crf: first_year_energy > 0
+            ? (capex * crf + annual_opex) / first_year_energy
+            : 0
+    };
+    const method = LCOE_METHODS[lcoe_method] ? lcoe_method : 'cost_npv';
+    const lcoe_mwh = lcoe_by_method[method];
     const lcoe_kwh = lcoe_mwh / 1000;
 
-    // Step 9: Calculate CUE
+    // Step 8b: After-tax LCOE (revenue requirement with tax shields)
+    // LCOE_at = [upfront + Σ DF_t × (cost_t - T_t × deductions_t)] / Σ DF_t × E_t × (1 - T_t)
+    // With no tax this equals the 'discounted' methodology.
+    const depreciation_schedule = calculateDepreciationSchedule(
+        capex, project_lifetime, depreciation_method,
+        { depreciation_life, wdv_rate, accelerated_rate }
+    );
+    const book_depreciation = calculateDepreciationSchedule(
+        capex, project_lifetime, 'straight_line', { depreciation_life }
+    );
+    const tax_schedule = calculateTaxSchedule({
+        om_by_year,
+        interest_by_year: loan_schedule.slice(0, project_lifetime).map(row => row.interest),
+        tax_depreciation: depreciation_schedule,
+        book_depreciation,
+        tax_rate,
+        mat_rate,
+        tax_holiday_years
+    });
+    const rate = discount_rate / 100;
+    let pv_after_tax_costs = 0;
+    let pv_after_tax_energy = 0;
+    let pv_depreciation_shield = 0;
+    let pv_interest_shield = 0;
+    tax_schedule.forEach((row, i) => {
+        const df = 1 / Math.pow(1 + rate, i + 1);
+        pv_after_tax_costs += (om_by_year[i] + debt_service_by_year[i] - row.tax_shield) * df;
+        pv_after_tax_energy += energy_by_year[i] * (1 - row.tax_rate / 100) * df;
+        pv_depreciation_shield += (row.depreciation * row.tax_rate / 100) * df;
+        pv_interest_shield += (row.interest * row.tax_rate / 100) * df;
+    });
+    const after_tax_lcoe_mwh = pv_after_tax_energy > 0
+        ? (upfront_cost + pv_after_tax_costs) / pv_after_tax_energy
+        : 0;
+    const after_tax_lcoe_kwh = after_tax_lcoe_mwh / 1000;
+    const wacc_post_tax = calculateWACC(debt_fraction, interest_rate * (1 - tax_rate / 100), cost_of_equity);
+
+    // Step 9: Project returns from the PPA tariff
+    // Project (unlevered) CF: -CAPEX, then revenue - O&M - tax on (revenue - O&M - depreciation)
+    // Equity (levered) CF:    -equity, then revenue - O&M - debt service - tax after interest,
+    //                         less any principal still owed in the last loan year (the
+    //                         interest-only balloon, or the balance left at the end of the project)
+    // DSCR: (revenue - O&M - levered tax) / debt service, for years with debt service
+    const has_tariff = tariff > 0;
+    const revenue_by_year = energy_by_year.map((energy, i) =>
+        has_tariff ? tariff * Math.pow(1 + tariff_escalation_rate / 100, i) * energy * 1000 : 0
+    );
+    const last_loan_year = Math.min(loan_schedule.length, project_lifetime) - 1;
+    const balloon = last_loan_year >= 0 ? loan_schedule[last_loan_year].closing_balance : 0;
+    const project_cash_flows = [-capex];
+    const equity_cash_flows = [-equity_amount];
+    const dscr_by_year = [];
+    tax_schedule.forEach((row, i) => {
+        const revenue = revenue_by_year[i];
+        const tax_unlevered = ((revenue - om_by_year[i] - row.depreciation) * row.tax_rate) / 100;
+        const tax_levered = ((revenue - row.deductions) * row.tax_rate) / 100;
+        const cfads = revenue - om_by_year[i] - tax_levered;
+
+        project_cash_flows.push(revenue - om_by_year[i] - tax_unlevered);
+        equity_cash_flows.push(cfads - debt_service_by_year[i] - (i === last_loan_year ? balloon : 0));
+        dscr_by_year.push(debt_service_by_year[i] > 0 ? cfads / debt_service_by_year[i] : null);
+    });
+    const dscr_values = dscr_by_year.filter(v => v !== null);
+    const project_irr = has_tariff ? calculateIRR(project_cash_flows) : null;
+    // A fully debt-funded project has no equity invested, so no equity return
+    const equity_irr = has_tariff && equity_amount > 0 ? calculateIRR(equity_cash_flows) : null;
+    const project_npv = has_tariff ? calculateNPVFromYear0(discount_rate, project_cash_flows) : null;
+    const payback_year = has_tariff ? calculatePaybackYear(project_cash_flows) : null;
+    const discounted_payback_year = has_tariff ? calculatePaybackYear(project_cash_flows, discount_rate) : null;
+    const min_dscr = has_tariff && dscr_values.length ? Math.min(...dscr_values) : null;
+    const avg_dscr = has_tariff && dscr_values.length
+        ? dscr_values.reduce((sum, v) => sum + v, 0) / dscr_values.length
+        : null;
+
+    // Step 9b: Yearly schedule (Year 1..n), discounted at the end of each year
+    const yearly_schedule = energy_by_year.map((energy, i) => {
+        const loan_row = loan_schedule[i] || null;
+        const total_cost = om_by_year[i] + debt_service_by_year[i];
+        const discount_factor = 1 / Math.pow(1 + rate, i + 1);
+
+        return {
+            year: i + 1,
+            degradation_factor: degradation_factors[i],
+            energy,
+            om: om_by_year[i],
+            interest: loan_row ? loan_row.interest : 0,
+            principal: loan_row ? loan_row.principal : 0,
+            debt_service: debt_service_by_year[i],
+            total_cost,
+            discount_factor,
+            pv_cost: total_cost * discount_factor,
+            pv_energy: energy * discount_factor,
+            revenue: revenue_by_year[i]
+        };
+    });
+
+    // Step 10: Calculate CUE
     const cue = calculateCUE(energy_generation, capacity);
 
     // Return comprehensive results object
@@ -253,18 +950,363 @@ function calculateLCOE(inputs) {
         capex,
         annual_opex,
         annual_emi,
+        debt_amount,
+        equity_amount,
+        upfront_cost,
+        loan_schedule,
+        loan_repayment: repayment,
+        wacc,
+        wacc_post_tax,
         total_om,
         total_loan,
         total_opex,
         npv_opex,
         total_energy,
+        discounted_energy,
+        energy_by_year,
+        degradation_factors,
         lcoe_mwh,
         lcoe_kwh,
+        lcoe_method: method,
+        lcoe_by_method,
+        pv_costs,
+        crf,
+        after_tax_lcoe_mwh,
+        after_tax_lcoe_kwh,
+        depreciation_schedule,
+        tax_schedule,
+        pv_depreciation_shield,
+        pv_interest_shield,
+        revenue_by_year,
+        project_cash_flows,
+        equity_cash_flows,
+        project_irr,
+        equity_irr,
+        project_npv,
+        payback_year,
+        discounted_payback_year,
+        dscr_by_year,
+        yearly_schedule,
+        min_dscr,
+        avg_dscr,
         cue,
+        opex_escalation_rate,
+        degradation_rate,
+        degradation_profile,
         cash_flows  // Include for debugging/analysis
     };
 }
 
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+/**
+ * Check one input value against its INPUT_FIELDS definition
+ * 
+ * @param {string} key - Input key
+ * @param {*} value - Value to check
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function validateInputField(key, value) {
+    const field = INPUT_FIELDS[key];
+    if (!field) return 'is not a known input';
+
+    const range = v => {
+        if (field.min !== undefined && v < field.min) return `must be at least ${field.min}`;
+        if (field.max !== undefined && v > field.max) return `must be at most ${field.max}`;
+        return null;
+    };
+
+    switch (field.type) {
+        case 'select':
+            return Object.prototype.hasOwnProperty.call(field.options, value)
+                ? null
+                : `must be one of: ${Object.keys(field.options).join(', ')}`;
+
+        case 'list':
+            if (!Array.isArray(value)) return 'must be a list of numbers';
+            for (let i = 0; i < value.length; i++) {
+                if (typeof value[i] !== 'number' || !isFinite(value[i])) return `entry ${i + 1} is not a number`;
+                const error = range(value[i]);
+                if (error) return `entry ${i + 1} ${error}`;
+            }
+            return null;
+
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !isFinite(value)) return 'must be a number';
+            if (field.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+            return range(value);
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a full or partial inputs object field by field
+ * 
+ * @param {object} inputs - Inputs to check
+ * @returns {array} Array of {field, label, value, message}; empty when every field is valid
+ */
+function validateInputs(inputs) {
+    const errors = [];
+
+    Object.entries(inputs).forEach(([key, value]) => {
+        const message = validateInputField(key, value);
+        if (message) {
+            errors.push({ field: key, label: INPUT_FIELDS[key]?.label || key, value, message });
+        }
+    });
+
+    return errors;
+}
+
+// Cross-field and plausibility rules checked on top of the INPUT_FIELDS limits.
+// level 'error' means the results would be meaningless; 'warning' flags an
+// unusual but computable value. check() returns a message or null.
+const INPUT_RULES = [
+    {
+        field: 'energy_generation',
+        level: 'error',
+        check: inputs => inputs.energy_generation > 0 ? null : 'must be greater than 0'
+    },
+    {
+        field: 'loan_tenure',
+        level: 'error',
+        check: inputs => inputs.loan_tenure <= inputs.project_lifetime
+            ? null
+            : `must not exceed the project lifetime (${inputs.project_lifetime} years)`
+    },
+    {
+        field: 'energy_generation',
+        level: 'error',
+        check: inputs => calculateCUE(inputs.energy_generation, inputs.capacity) <= 1
+            ? null
+            : `implies a CUF above 100% for ${inputs.capacity} MW (more than capacity × 8760 hours)`
+    },
+    {
+        field: 'energy_generation',
+        level: 'warning',
+        check: inputs => {
+            const cuf = calculateCUE(inputs.energy_generation, inputs.capacity);
+            if (cuf <= 0 || cuf > 1 || (cuf >= CONSTANTS.cuf_min && cuf <= CONSTANTS.cuf_max)) return null;
+            return `implies a CUF of ${(cuf * 100).toFixed(1)}%, outside the usual ` +
+                `${CONSTANTS.cuf_min * 100}–${CONSTANTS.cuf_max * 100}% for solar`;
+        }
+    },
+    {
+        field: 'moratorium_years',
+        level: 'warning',
+        check: inputs => inputs.moratorium_years < inputs.loan_tenure
+            ? null
+            : `is not shorter than the loan tenure; ${Math.max(0, inputs.loan_tenure - 1)} year(s) will be used`
+    },
+    {
+        field: 'degradation_table',
+        level: 'warning',
+        check: inputs => inputs.degradation_profile !== 'custom' || inputs.degradation_table.length > 0
+            ? null
+            : 'is empty, so no degradation is applied'
+    },
+    {
+        field: 'cost_of_equity',
+        level: 'warning',
+        check: inputs => inputs.debt_fraction >= 100 || inputs.cost_of_equity > 0
+            ? null
+            : 'is 0% although part of the CAPEX is equity funded'
+    }
+];
+
+/**
+ * Apply INPUT_RULES to a complete inputs object
+ * Run this once every field passes validateInputField, since rules compare
+ * fields with each other.
+ * 
+ * @param {object} inputs - Complete inputs object
+ * @returns {array} Array of {field, label, level, message}
+ */
+function validateInputRules(inputs) {
+    const issues = [];
+
+    INPUT_RULES.forEach(rule => {
+        const message = rule.check(inputs);
+        if (message) {
+            issues.push({ field: rule.field, label: INPUT_FIELDS[rule.field].label, level: rule.level, message });
+        }
+    });
+
+    return issues;
+}
+
+// ============================================
+// GOAL SEEK
+// ============================================
+
+/**
+ * Inputs the goal-seek solver can vary, with the search range used to
+ * bracket the root. Integer inputs are solved on whole years; max_input names
+ * another input that caps the range (a loan cannot outlast the project).
+ */
+const GOAL_SEEK_VARIABLES = {
+    capex_per_mw: { label: 'CAPEX per MW (₹)', min: 1000000, max: 200000000, integer: false },
+    energy_generation: { label: 'Annual Energy (MWh)', min: 10, max: 100000, integer: false },
+    opex_percent: { label: 'OPEX % of CAPEX', min: 0, max: 20, integer: false },
+    discount_rate: { label: 'Discount Rate (%)', min: 0, max: 50, integer: false },
+    interest_rate: { label: 'Interest Rate (%)', min: 0, max: 50, integer: false },
+    loan_tenure: { label: 'Loan Tenure (Years)', min: 1, max: 40, integer: true, max_input: 'project_lifetime' }
+};
+
+/**
+ * Metrics the goal-seek solver can target
+ */
+const GOAL_SEEK_TARGETS = {
+    lcoe_kwh: { label: 'LCOE (₹/kWh)', metric: results => results.lcoe_kwh },
+    after_tax_lcoe_kwh: { label: 'After-Tax LCOE (₹/kWh)', metric: results => results.after_tax_lcoe_kwh },
+    project_irr: { label: 'Project IRR (%)', metric: results => results.project_irr },
+    equity_irr: { label: 'Equity IRR (%)', metric: results => results.equity_irr }
+};
+
+/**
+ * Find a root of f(x) = 0 inside [low, high]
+ * The range is scanned on a grid until f changes sign, then the bracket is
+ * narrowed by bisection. Points where f is not finite (e.g. IRR undefined)
+ * are skipped while scanning.
+ * 
+ * @param {function} f - Function of one variable
+ * @param {number} low - Lower end of the search range
+ * @param {number} high - Upper end of the search range
+ * @param {object} options - { steps: grid points (default 50), tolerance (default 1e-9), max_iterations (default 200) }
+ * @returns {object|null} { x, fx, iterations }, or null when no sign change is found
+ */
+function findRootBracketed(f, low, high, options = {}) {
+    const { steps = 50, tolerance = 1e-9, max_iterations = 200 } = options;
+    const evaluate = x => {
+        const value = f(x);
+        return value === null || value === undefined || !isFinite(value) ? null : value;
+    };
+
+    let a = low;
+    let fa = evaluate(a);
+
+    for (let i = 1; i <= steps; i++) {
+        const b = low + ((high - low) * i) / steps;
+        const fb = evaluate(b);
+
+        if (fa === 0) return { x: a, fx: 0, iterations: 0 };
+        if (fa !== null && fb !== null && fa * fb <= 0) {
+            let lo = a;
+            let hi = b;
+            let f_lo = fa;
+            let iterations = 0;
+
+            while (iterations < max_iterations && Math.abs(hi - lo) > tolerance * Math.max(1, Math.abs(lo))) {
+                const mid = (lo + hi) / 2;
+                const f_mid = evaluate(mid);
+                iterations++;
+
+                if (f_mid === null) break;
+                if (f_mid === 0) return { x: mid, fx: 0, iterations };
+                if (f_lo * f_mid < 0) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                    f_lo = f_mid;
+                }
+            }
+
+            const x = (lo + hi) / 2;
+            return { x, fx: evaluate(x), iterations };
+        }
+
+        a = b;
+        fa = fb;
+    }
+
+    return null;
+}
+
+/**
+ * Solve for the value of one input that makes a result metric hit a target
+ * Example: the CAPEX per MW that brings LCOE down to ₹3.00/kWh
+ * 
+ * @param {object} base_inputs - Base input parameters
+ * @param {string} variable - Key of GOAL_SEEK_VARIABLES to vary
+ * @param {string} target - Key of GOAL_SEEK_TARGETS to hit
+ * @param {number} target_value - Desired metric value (₹/kWh or %)
+ * @param {object} options - Optional { min, max } overriding the search range (max is
+ *   still capped by the variable's max_input)
+ * @returns {object} { variable, target, target_value, value, achieved, iterations, inputs, results }
+ * @throws {Error} If the variable/target is unknown, or the target is not reachable in
+ *   range with inputs that pass validateInputRules
+ */
+function goalSeek(base_inputs, variable, target, target_value, options = {}) {
+    const variable_config = GOAL_SEEK_VARIABLES[variable];
+    const target_config = GOAL_SEEK_TARGETS[target];
+
+    if (!variable_config) throw new Error(`Unknown goal-seek variable: ${variable}`);
+    if (!target_config) throw new Error(`Unknown goal-seek target: ${target}`);
+
+    const min = options.min ?? variable_config.min;
+    const cap = variable_config.max_input ? base_inputs[variable_config.max_input] : Infinity;
+    const max = Math.min(options.max ?? variable_config.max, cap);
+    // Values that break an input rule (e.g. tenure beyond the lifetime) are never a solution
+    const ruleError = inputs => validateInputRules(inputs).find(issue => issue.level === 'error');
+    const gap = value => {
+        const inputs = { ...base_inputs, [variable]: value };
+        if (ruleError(inputs)) return null;
+        const metric = target_config.metric(calculateLCOE(inputs));
+        return metric === null ? null : metric - target_value;
+    };
+
+    let solved;
+    if (variable_config.integer) {
+        // Whole-year inputs: pick the value whose metric lands closest to the target,
+        // provided the range has values on both sides of it (as the bracketing solver requires)
+        let best = null;
+        let below = false;
+        let above = false;
+        for (let value = Math.ceil(min); value <= Math.floor(max); value++) {
+            const diff = gap(value);
+            if (diff === null || !isFinite(diff)) continue;
+            below = below || diff <= 0;
+            above = above || diff >= 0;
+            if (!best || Math.abs(diff) < Math.abs(best.fx)) {
+                best = { x: value, fx: diff, iterations: value - Math.ceil(min) + 1 };
+            }
+        }
+        solved = below && above ? best : null;
+    } else {
+        solved = findRootBracketed(gap, min, max);
+    }
+
+    if (!solved) {
+        throw new Error(
+            `${target_config.label} of ${target_value} cannot be reached by varying ` +
+            `${variable_config.label} between ${min} and ${max}`
+        );
+    }
+
+    const inputs = { ...base_inputs, [variable]: solved.x };
+    const broken = ruleError(inputs);
+    if (broken) {
+        throw new Error(`${variable_config.label} of ${solved.x} is not valid: ${broken.label} ${broken.message}`);
+    }
+    const results = calculateLCOE(inputs);
+
+    return {
+        variable,
+        target,
+        target_value,
+        value: solved.x,
+        achieved: target_config.metric(results),
+        iterations: solved.iterations,
+        inputs,
+        results
+    };
+}
+
 /**
  * Generate sensitivity analysis for LCOE vs discount rate
  * Useful for understanding how discount rate affects LCOE
@@ -273,12 +1315,19 @@ function calculateLCOE(inputs) {
  * @param {number} min_rate - Minimum discount rate (%)
  * @param {number} max_rate - Maximum discount rate (%)
  * @param {number} step - Step size (%)
- * @returns {array} Array of {rate, lcoe_kwh, lcoe_mwh} objects
+ * @returns {array} Array of {rate, lcoe_kwh, lcoe_mwh} objects, max_rate included
+ *   when it is a whole number of steps from min_rate
  */
 function generateSensitivityAnalysis(base_inputs, min_rate = 5, max_rate = 15, step = 0.5) {
     const results = [];
+    // Each rate is min + i × step rounded to the inputs' decimal places, so
+    // repeated addition cannot drift (5.1999…) or drop max_rate
+    const decimalPlaces = value => (String(value).split('.')[1] || '').length;
+    const decimals = Math.max(decimalPlaces(min_rate), decimalPlaces(step));
+    const count = Math.floor((max_rate - min_rate) / step + 1e-9) + 1;
     
-    for (let rate = min_rate; rate <= max_rate; rate += step) {
+    for (let i = 0; i < count; i++) {
+        const rate = Number((min_rate + i * step).toFixed(decimals));
         const inputs = { ...base_inputs, discount_rate: rate };
         const calc = calculateLCOE(inputs);
         results.push({
@@ -289,4 +1338,163 @@ function generateSensitivityAnalysis(base_inputs, min_rate = 5, max_rate = 15, s
     }
     
     return results;
-}
\ No newline at end of file
+}
+
+// Inputs varied by the tornado analysis, in display order
+const TORNADO_PARAMETERS = {
+    capex_per_mw: 'CAPEX per MW',
+    energy_generation: 'Annual Energy',
+    discount_rate: 'Discount Rate',
+    opex_percent: 'OPEX %',
+    loan_tenure: 'Loan Tenure',
+    interest_rate: 'Interest Rate',
+    opex_escalation_rate: 'OPEX Escalation',
+    degradation_rate: 'Degradation Rate'
+};
+
+/**
+ * Tornado analysis: LCOE impact of moving each key input ±variance_percent
+ * (whole-number inputs such as the loan tenure are rounded to whole values)
+ * 
+ * @param {object} base_inputs - Base input parameters
+ * @param {number} variance_percent - +/- variance to apply (e.g., 20 = ±20%)
+ * @returns {array} Rows of {key, name, low_value, high_value, lcoe_low, lcoe_high,
+ *   low, high, range} (LCOE in ₹/kWh; low/high are the smaller/larger change
+ *   from the base LCOE), widest range first
+ */
+function generateTornadoAnalysis(base_inputs, variance_percent = 20) {
+    const base_lcoe = calculateLCOE(base_inputs).lcoe_kwh;
+
+    const impacts = Object.entries(TORNADO_PARAMETERS).map(([key, name]) => {
+        const base_value = base_inputs[key];
+        const variance_amount = (base_value * variance_percent) / 100;
+        // Whole-number inputs (loan tenure) move to the nearest whole value
+        const step = INPUT_FIELDS[key] && INPUT_FIELDS[key].type === 'integer' ? Math.round : v => v;
+        const low_value = step(base_value - variance_amount);
+        const high_value = step(base_value + variance_amount);
+
+        const lcoe_low = calculateLCOE({ ...base_inputs, [key]: low_value }).lcoe_kwh;
+        const lcoe_high = calculateLCOE({ ...base_inputs, [key]: high_value }).lcoe_kwh;
+
+        // Impact relative to base (negative = LCOE decreases)
+        const impact_low = lcoe_low - base_lcoe;
+        const impact_high = lcoe_high - base_lcoe;
+
+        return {
+            key,
+            name,
+            low_value,
+            high_value,
+            lcoe_low,
+            lcoe_high,
+            low: Math.min(impact_low, impact_high),
+            high: Math.max(impact_low, impact_high),
+            range: Math.abs(impact_high - impact_low)
+        };
+    });
+
+    return impacts.sort((a, b) => b.range - a.range);
+}
+
+// Inputs offered on the heatmap axes, with their labels and default ranges
+const HEATMAP_PARAMETERS = {
+    capex_per_mw: {
+        label: 'CAPEX per MW (₹)',
+        range: [30e6, 40e6, 50e6, 60e6, 70e6]
+    },
+    energy_generation: {
+        label: 'Annual Energy (MWh)',
+        range: [1000, 1300, 1700, 2100, 2500]
+    },
+    discount_rate: {
+        label: 'Discount Rate (%)',
+        range: [5, 7, 9, 11, 13]
+    },
+    opex_percent: {
+        label: 'OPEX (% of CAPEX)',
+        range: [1, 1.5, 2.0, 2.5, 3.0]
+    },
+    interest_rate: {
+        label: 'Interest Rate (%)',
+        range: [7, 8, 9, 10, 11]
+    },
+    opex_escalation_rate: {
+        label: 'OPEX Escalation (%)',
+        range: [0, 2.5, 5, 7.5, 10]
+    },
+    degradation_rate: {
+        label: 'Degradation Rate (%)',
+        range: [0.25, 0.4, 0.55, 0.7, 1.0]
+    }
+};
+
+/**
+ * Two-parameter heatmap: LCOE (₹/kWh) for every combination of two inputs
+ *
+ * @param {object} base_inputs - Inputs for everything else
+ * @param {string} row_key - Row parameter
+ * @param {array} row_values - Row values
+ * @param {string} col_key - Column parameter
+ * @param {array} col_values - Column values
+ * @returns {array} matrix[row][column] of LCOE (₹/kWh)
+ */
+function generateHeatmapMatrix(base_inputs, row_key, row_values, col_key, col_values) {
+    return row_values.map(row_value => col_values.map(col_value => calculateLCOE({
+        ...base_inputs,
+        [row_key]: row_value,
+        [col_key]: col_value
+    }).lcoe_kwh));
+}
+
+// ============================================
+// MODULE EXPORTS
+// ============================================
+
+// In the browser the declarations above are page globals. Under CommonJS
+// (Node, bundlers) the same API is exported; calculator.mjs re-exports it
+// for ES module imports.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONSTANTS,
+        DEFAULT_INPUTS,
+        DEGRADATION_PROFILES,
+        LCOE_METHODS,
+        LOAN_REPAYMENT_TYPES,
+        DEPRECIATION_METHODS,
+        INPUT_FIELDS,
+        INPUT_RULES,
+        GOAL_SEEK_VARIABLES,
+        GOAL_SEEK_TARGETS,
+        TORNADO_PARAMETERS,
+        HEATMAP_PARAMETERS,
+        setLogger,
+        calculateCAPEX,
+        calculateEMI,
+        calculateEMI_likeExcel,
+        calculateAnnuityPayment,
+        calculateLoanSchedule,
+        calculateWACC,
+        calculateTotalOM,
+        calculateDegradationFactors,
+        calculateTotalEnergy,
+        calculateDiscountedEnergy,
+        calculateNPV,
+        calculateNPVlikeExcel,
+        calculateCRF,
+        calculateDepreciationSchedule,
+        calculateTaxSchedule,
+        calculateNPVFromYear0,
+        calculateIRR,
+        calculatePaybackYear,
+        calculateCUE,
+        calculateLCOE,
+        validateInputField,
+        validateInputs,
+        validateInputRules,
+        findRootBracketed,
+        goalSeek,
+        generateSensitivityAnalysis,
+        generateTornadoAnalysis,
+        generateHeatmapMatrix
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - ES MODULE ENTRY
+ * ============================================
+ *
+ * ES module wrapper around the CommonJS exports of calculator.js, so the
+ * engine can be used from Node, notebooks and other apps:
+ *
+ *   import { calculateLCOE, setLogger } from 'lcoe-calci';
+ *
+ * The browser page keeps loading calculator.js with a <script> tag.
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+import engine from './calculator.js';
+
+export const {
+    CONSTANTS,
+    DEFAULT_INPUTS,
+    DEGRADATION_PROFILES,
+    LCOE_METHODS,
+    LOAN_REPAYMENT_TYPES,
+    DEPRECIATION_METHODS,
+    INPUT_FIELDS,
+    INPUT_RULES,
+    GOAL_SEEK_VARIABLES,
+    GOAL_SEEK_TARGETS,
+    TORNADO_PARAMETERS,
+    HEATMAP_PARAMETERS,
+    setLogger,
+    calculateCAPEX,
+    calculateEMI,
+    calculateEMI_likeExcel,
+    calculateAnnuityPayment,
+    calculateLoanSchedule,
+    calculateWACC,
+    calculateTotalOM,
+    calculateDegradationFactors,
+    calculateTotalEnergy,
+    calculateDiscountedEnergy,
+    calculateNPV,
+    calculateNPVlikeExcel,
+    calculateCRF,
+    calculateDepreciationSchedule,
+    calculateTaxSchedule,
+    calculateNPVFromYear0,
+    calculateIRR,
+    calculatePaybackYear,
+    calculateCUE,
+    calculateLCOE,
+    validateInputField,
+    validateInputs,
+    validateInputRules,
+    findRootBracketed,
+    goalSeek,
+    generateSensitivityAnalysis,
+    generateTornadoAnalysis,
+    generateHeatmapMatrix
+} = engine;
+
+export default engine;
@@ -0,0 +1,377 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - CHART IMAGE EXPORT
+ * ============================================
+ *
+ * Builds downloadable chart images: a white card with the chart title on
+ * top and a summary of the inputs underneath. Each image is described as a
+ * list of shapes (rect, line, text, image) that render either to a canvas
+ * (PNG) or to SVG markup.
+ *
+ * Chart.js charts are embedded in SVG as a raster image; the grid heatmap
+ * is drawn as true vector shapes.
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const ChartExport = {
+    // Logical layout in CSS pixels; PNGs are multiplied by the scale factor
+    LAYOUT: {
+        padding: 24,
+        title_size: 18,
+        footer_size: 11,
+        footer_line: 16,
+        font: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"
+    },
+
+    COLORS: {
+        background: '#ffffff',
+        title: '#333333',
+        muted: '#666666',
+        rule: '#e0e0e0'
+    }
+};
+
+// ============================================
+// TEXT
+// ============================================
+
+/**
+ * Approximate text width, used for wrapping and centring so that PNG and
+ * SVG output share one layout
+ *
+ * @param {string} text - Text
+ * @param {number} size - Font size (px)
+ * @param {boolean} bold - Bold weight
+ * @returns {number} Width (px)
+ */
+ChartExport.textWidth = function(text, size, bold = false) {
+    return String(text).length * size * (bold ? 0.6 : 0.54);
+};
+
+/**
+ * Join summary segments with ' · ' into lines no wider than max_width
+ *
+ * @param {array} segments - Text segments, never split across lines
+ * @param {number} max_width - Line width (px)
+ * @param {number} size - Font size (px)
+ * @returns {array} Lines
+ */
+ChartExport.wrapSegments = function(segments, max_width, size) {
+    const lines = [];
+    segments.forEach(segment => {
+        const last = lines.length ? lines[lines.length - 1] : null;
+        const joined = last === null ? segment : `${last}  ·  ${segment}`;
+        if (last !== null && ChartExport.textWidth(joined, size) <= max_width) {
+            lines[lines.length - 1] = joined;
+        } else {
+            lines.push(segment);
+        }
+    });
+    return lines;
+};
+
+/**
+ * Input summary printed under every exported chart
+ *
+ * @param {object} inputs - Calculator inputs
+ * @param {object} results - Output of calculateLCOE()
+ * @param {Date} date - Export date
+ * @returns {array} Text segments
+ */
+ChartExport.inputSummary = function(inputs, results, date = new Date()) {
+    const number = (value, decimals = 2) => Number(value).toLocaleString('en-IN', { maximumFractionDigits: decimals });
+
+    return [
+        `${number(inputs.capacity)} MW`,
+        `${number(inputs.energy_generation)} MWh/year`,
+        `CAPEX ₹${number(inputs.capex_per_mw / 1e6)}M/MW`,
+        `OPEX ${inputs.opex_percent}% (+${inputs.opex_escalation_rate}%/yr)`,
+        `Discount ${inputs.discount_rate}%`,
+        `Debt ${inputs.debt_fraction}% @ ${inputs.interest_rate}% / ${inputs.loan_tenure} yrs`,
+        `Life ${inputs.project_lifetime} yrs`,
+        `Degradation ${inputs.degradation_rate}%/yr`,
+        `Tariff ₹${inputs.tariff}/kWh`,
+        `LCOE ₹${results.lcoe_kwh.toFixed(4)}/kWh`,
+        `Solar LCOE Calculator, ${date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}`
+    ];
+};
+
+// ============================================
+// LAYOUT
+// ============================================
+
+/**
+ * Lay out the card around a chart body: background, title, rule and footer
+ *
+ * @param {object} options - { title, summary: segments, width, body_height }
+ * @returns {object} { width, height, shapes, body: {x, y, width, height} }
+ */
+ChartExport.frame = function({ title, summary, width, body_height }) {
+    const { padding, title_size, footer_size, footer_line } = ChartExport.LAYOUT;
+    const inner_width = width - padding * 2;
+    const lines = ChartExport.wrapSegments(summary, inner_width, footer_size);
+
+    const body_y = padding + title_size + 16;
+    const footer_y = body_y + body_height + 16;
+    const height = footer_y + 8 + lines.length * footer_line + padding - 4;
+
+    const shapes = [
+        { type: 'rect', x: 0, y: 0, width, height, fill: ChartExport.COLORS.background },
+        { type: 'text', x: padding, y: padding + title_size * 0.8, text: title, size: title_size, bold: true, color: ChartExport.COLORS.title },
+        { type: 'line', x1: padding, y1: footer_y, x2: width - padding, y2: footer_y, color: ChartExport.COLORS.rule }
+    ];
+    lines.forEach((line, i) => {
+        shapes.push({
+            type: 'text', x: padding, y: footer_y + 8 + (i + 0.8) * footer_line,
+            text: line, size: footer_size, color: ChartExport.COLORS.muted
+        });
+    });
+
+    return {
+        width,
+        height,
+        shapes,
+        body: { x: padding, y: body_y, width: inner_width, height: body_height }
+    };
+};
+
+/**
+ * Shapes for the LCOE grid heatmap, matching the on-screen grid
+ *
+ * @param {object} heatmap - { row_label, col_label, rows, cols, matrix }
+ * @param {number} width - Available width (px)
+ * @returns {object} { height, shapes } with shapes positioned from (0, 0)
+ */
+ChartExport.heatmapShapes = function(heatmap, width) {
+    const { row_label, col_label, rows, cols, matrix } = heatmap;
+    const axis_width = 70;
+    const header_height = 22;
+    const cell_width = Math.min(120, (width - axis_width) / cols.length);
+    const cell_height = 44;
+    const grid_width = cell_width * cols.length;
+    const left = axis_width + (width - axis_width - grid_width) / 2;
+    const bottom = header_height + rows.length * cell_height;
+
+    const flat = matrix.flat();
+    const min = Math.min(...flat);
+    const max = Math.max(...flat);
+    const shapes = [
+        { type: 'text', x: left - 8, y: 14, text: row_label, size: 12, bold: true, color: ChartExport.COLORS.title, align: 'right' }
+    ];
+
+    matrix.forEach((row, i) => {
+        const y = header_height + i * cell_height;
+        shapes.push({
+            type: 'text', x: left - 8, y: y + cell_height / 2 + 4,
+            text: HeatmapAlternatives.axisLabel(rows[i]), size: 12, color: ChartExport.COLORS.title, align: 'right'
+        });
+        row.forEach((value, j) => {
+            const normalized = max > min ? (value - min) / (max - min) : 0;
+            const [r, g, b] = HeatmapAlternatives.gridColor(normalized);
+            const x = left + j * cell_width;
+            shapes.push({
+                type: 'rect', x, y, width: cell_width, height: cell_height,
+                fill: `rgb(${r}, ${g}, ${b})`, stroke: ChartExport.COLORS.background
+            });
+            shapes.push({
+                type: 'text', x: x + cell_width / 2, y: y + cell_height / 2 + 4,
+                text: `₹${value.toFixed(2)}`, size: 12, bold: true,
+                color: normalized > 0.6 ? '#ffffff' : '#000000', align: 'center'
+            });
+        });
+    });
+
+    cols.forEach((value, j) => {
+        shapes.push({
+            type: 'text', x: left + (j + 0.5) * cell_width, y: bottom + 18,
+            text: HeatmapAlternatives.axisLabel(value), size: 12, color: ChartExport.COLORS.title, align: 'center'
+        });
+    });
+    shapes.push({
+        type: 'text', x: left + grid_width / 2, y: bottom + 40,
+        text: col_label, size: 12, bold: true, color: ChartExport.COLORS.title, align: 'center'
+    });
+
+    return { height: bottom + 48, shapes };
+};
+
+/**
+ * Move shapes by an offset
+ *
+ * @param {array} shapes - Shapes
+ * @param {number} dx - Horizontal offset
+ * @param {number} dy - Vertical offset
+ * @returns {array} New shapes
+ */
+ChartExport.offset = function(shapes, dx, dy) {
+    return shapes.map(shape => shape.type === 'line'
+        ? { ...shape, x1: shape.x1 + dx, y1: shape.y1 + dy, x2: shape.x2 + dx, y2: shape.y2 + dy }
+        : { ...shape, x: shape.x + dx, y: shape.y + dy });
+};
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Escape text for XML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+ChartExport.escapeXml = function(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/**
+ * Render shapes as an SVG document
+ * Image shapes need an `href` (usually a data: URL).
+ *
+ * @param {number} width - Width (px)
+ * @param {number} height - Height (px)
+ * @param {array} shapes - Shapes
+ * @returns {string} SVG markup
+ */
+ChartExport.toSvg = function(width, height, shapes) {
+    const anchors = { left: 'start', center: 'middle', right: 'end' };
+    const body = shapes.map(shape => {
+        switch (shape.type) {
+            case 'rect':
+                return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${shape.fill}"` +
+                    (shape.stroke ? ` stroke="${shape.stroke}"` : '') + '/>';
+            case 'line':
+                return `<line x1="${shape.x1}" y1="${shape.y1}" x2="${shape.x2}" y2="${shape.y2}" stroke="${shape.color}"/>`;
+            case 'image':
+                return `<image x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" href="${shape.href}"/>`;
+            default:
+                return `<text x="${shape.x}" y="${shape.y}" font-size="${shape.size}" fill="${shape.color}"` +
+                    (shape.bold ? ' font-weight="bold"' : '') +
+                    ` text-anchor="${anchors[shape.align || 'left']}">${ChartExport.escapeXml(shape.text)}</text>`;
+        }
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"` +
+            ` font-family="${ChartExport.escapeXml(ChartExport.LAYOUT.font)}">`,
+        ...body.map(line => `  ${line}`),
+        '</svg>',
+        ''
+    ].join('\n');
+};
+
+/**
+ * Render shapes onto a new canvas
+ * Image shapes need a `source` canvas.
+ *
+ * @param {number} width - Logical width (px)
+ * @param {number} height - Logical height (px)
+ * @param {array} shapes - Shapes
+ * @param {number} scale - Pixel density (2 = twice the logical size)
+ * @returns {HTMLCanvasElement} Canvas
+ */
+ChartExport.toCanvas = function(width, height, shapes, scale = 1) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    shapes.forEach(shape => {
+        switch (shape.type) {
+            case 'rect':
+                ctx.fillStyle = shape.fill;
+                ctx.fillRect(shape.x, shape.y, shape.width, shape.height);
+                if (shape.stroke) {
+                    ctx.strokeStyle = shape.stroke;
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(shape.x, shape.y, shape.width, shape.height);
+                }
+                break;
+            case 'line':
+                ctx.strokeStyle = shape.color;
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(shape.x1, shape.y1);
+                ctx.lineTo(shape.x2, shape.y2);
+                ctx.stroke();
+                break;
+            case 'image':
+                ctx.drawImage(shape.source, shape.x, shape.y, shape.width, shape.height);
+                break;
+            default:
+                ctx.fillStyle = shape.color;
+                ctx.font = `${shape.bold ? 'bold ' : ''}${shape.size}px ${ChartExport.LAYOUT.font}`;
+                ctx.textAlign = shape.align || 'left';
+                ctx.textBaseline = 'alphabetic';
+                ctx.fillText(shape.text, shape.x, shape.y);
+        }
+    });
+
+    return canvas;
+};
+
+/**
+ * Encode a canvas as PNG bytes
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas
+ * @returns {Uint8Array} PNG file bytes
+ */
+ChartExport.toPng = function(canvas) {
+    const binary = atob(canvas.toDataURL('image/png').split(',')[1]);
+    return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+};
+
+// ============================================
+// CHART IMAGES
+// ============================================
+
+/**
+ * Build an exported image for a rendered Chart.js canvas
+ *
+ * @param {HTMLCanvasElement} source - Chart drawn at `scale` pixel density
+ * @param {object} options - { title, summary, format: 'png' | 'svg', scale }
+ * @returns {Uint8Array|string} PNG bytes or SVG markup
+ */
+ChartExport.chartImage = function(source, { title, summary, format, scale }) {
+    const chart_width = source.width / scale;
+    const chart_height = source.height / scale;
+    const layout = ChartExport.frame({
+        title,
+        summary,
+        width: chart_width + ChartExport.LAYOUT.padding * 2,
+        body_height: chart_height
+    });
+    const image = { type: 'image', ...layout.body };
+
+    if (format === 'svg') {
+        image.href = source.toDataURL('image/png');
+        return ChartExport.toSvg(layout.width, layout.height, [...layout.shapes, image]);
+    }
+    image.source = source;
+    return ChartExport.toPng(ChartExport.toCanvas(layout.width, layout.height, [...layout.shapes, image], scale));
+};
+
+/**
+ * Build an exported image for the LCOE grid heatmap
+ *
+ * @param {object} heatmap - { row_label, col_label, rows, cols, matrix }
+ * @param {object} options - { title, summary, format: 'png' | 'svg', scale, width }
+ * @returns {Uint8Array|string} PNG bytes or SVG markup
+ */
+ChartExport.heatmapImage = function(heatmap, { title, summary, format, scale, width = 800 }) {
+    const inner_width = width - ChartExport.LAYOUT.padding * 2;
+    const grid = ChartExport.heatmapShapes(heatmap, inner_width);
+    const layout = ChartExport.frame({ title, summary, width, body_height: grid.height });
+    const shapes = [...layout.shapes, ...ChartExport.offset(grid.shapes, layout.body.x, layout.body.y)];
+
+    if (format === 'svg') {
+        return ChartExport.toSvg(layout.width, layout.height, shapes);
+    }
+    return ChartExport.toPng(ChartExport.toCanvas(layout.width, layout.height, shapes, scale));
+};
@@ -281,14 +281,15 @@ Charts.plotCostBreakdown = function(results) {
         Charts.charts.costBreakdown.destroy();
     }
 
-    const capex = results.capex;
-    const npv_om = results.npv_opex - (results.annual_emi * results.loan_tenure); // O&M portion
-    const npv_loan = results.annual_emi * results.loan_tenure; // Loan portion
+    // Upfront CAPEX plus the present value of each yearly cost stream
+    const capex = results.upfront_cost;
+    const npv_om = results.yearly_schedule.reduce((sum, row) => sum + row.om * row.discount_factor, 0);
+    const npv_loan = results.yearly_schedule.reduce((sum, row) => sum + row.debt_service * row.discount_factor, 0);
 
     Charts.charts.costBreakdown = new Chart(ctx, {
         type: 'doughnut',
         data: {
-            labels: ['CAPEX', 'O&M (NPV)', 'Loan Repayment (NPV)'],
+            labels: ['CAPEX (Upfront)', 'O&M (NPV)', 'Debt Service (NPV)'],
             datasets: [{
                 data: [capex, npv_om, npv_loan],
                 backgroundColor: [
@@ -419,8 +420,9 @@ Charts.plotScenarioComparison = function(scenarios) {
 
 /**
  * Display energy generation over project lifetime with degradation
+ * Plots whichever degradation profile is selected in the inputs
  * @param {object} base_inputs - Base input parameters
- * @param {object} results - Results from calculateLCOE
+ * @param {object} results - Results from calculateLCOE (optional)
  */
 Charts.plotEnergyDegradation = function(base_inputs, results) {
     const ctx = document.getElementById('chart-energy-degradation')?.getContext('2d');
@@ -435,7 +437,12 @@ Charts.plotEnergyDegradation = function(base_inputs, results) {
 
     const project_lifetime = base_inputs.project_lifetime;
     const annual_energy = base_inputs.energy_generation;
-    const degradation_rate = CONSTANTS.degradation_rate;
+
+    // Use the profile applied by the engine, or rebuild it from the inputs
+    const factors = results?.degradation_factors ||
+        calculateDegradationFactors(project_lifetime, base_inputs);
+    const profile = base_inputs.degradation_profile || 'geometric';
+    const profile_label = DEGRADATION_PROFILES[profile] || profile;
 
     // Generate annual energy data
     const years = [];
@@ -443,7 +450,7 @@ Charts.plotEnergyDegradation = function(base_inputs, results) {
     let cumulative = 0;
 
     for (let i = 0; i < project_lifetime; i++) {
-        const energy_year = annual_energy * Math.pow(1 - degradation_rate, i);
+        const energy_year = annual_energy * factors[i];
         energies.push(parseFloat(energy_year.toFixed(2)));
         cumulative += energy_year;
         years.push((i + 1).toString());
@@ -468,7 +475,7 @@ Charts.plotEnergyDegradation = function(base_inputs, results) {
                 ...Charts.defaultOptions.plugins,
                 title: {
                     display: true,
-                    text: `⚡ Energy Generation Over Project Life (${project_lifetime} years)`,
+                    text: `⚡ Energy Generation Over Project Life (${project_lifetime} years, ${profile_label})`,
                     font: { size: 16, weight: 'bold' },
                     padding: 20,
                     color: '#333'
@@ -478,7 +485,7 @@ Charts.plotEnergyDegradation = function(base_inputs, results) {
                     callbacks: {
                         afterLabel: function(context) {
                             const year = parseInt(context.label);
-                            const degradation = ((1 - Math.pow(1 - degradation_rate, year - 1)) * 100).toFixed(2);
+                            const degradation = ((1 - factors[year - 1]) * 100).toFixed(2);
                             return `Degradation: ${degradation}%`;
                         }
                     }
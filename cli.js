@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - COMMAND LINE TOOL
+ * ============================================
+ *
+ * Runs the calculator engine from a terminal or a script:
+ *
+ *   lcoe [calc]       [--input FILE] [--<input> VALUE ...] [--format table|json|csv]
+ *   lcoe sensitivity  [--min 5] [--max 15] [--step 0.5] ...
+ *   lcoe tornado      [--variance 20] ...
+ *
+ * Inputs start from DEFAULT_INPUTS, then the --input file (project JSON,
+ * plain JSON object of inputs, or an exported CSV report), then flags.
+ * A CSV site table (one row per site) runs every row, like the portfolio tab.
+ *
+ * Exit codes: 0 success, 1 invalid input, 2 usage error, 3 calculation failure
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const engine = require('./calculator.js');
+
+const CLI = {
+    COMMANDS: ['calc', 'sensitivity', 'tornado'],
+    FORMATS: ['table', 'json', 'csv'],
+
+    // Command options and their defaults (mirroring the chart controls)
+    OPTIONS: {
+        calc: {},
+        sensitivity: { min: 5, max: 15, step: 0.5 },
+        tornado: { variance: 20 }
+    },
+
+    EXIT: { OK: 0, INVALID_INPUT: 1, USAGE: 2, INTERNAL: 3 },
+
+    // Report sections shown by --format table (the rest are in csv/json)
+    TABLE_SECTIONS: ['MAIN RESULTS', 'PROJECT RETURNS', 'DETAILED BREAKDOWN']
+};
+
+CLI.USAGE = `Usage: lcoe [command] [options] [--<input> value ...]
+
+Commands:
+  calc          Calculate LCOE and returns (default)
+  sensitivity   LCOE across a range of discount rates
+  tornado       LCOE impact of varying each key input up and down
+
+Options:
+  --input FILE      Project JSON, inputs JSON, CSV report or CSV site table ("-" for stdin)
+  --format FORMAT   table (default), json or csv
+  --min, --max, --step   Discount rate range for sensitivity (default 5, 15, 0.5)
+  --variance PCT         Variation for tornado (default 20)
+  -h, --help        Show this help
+
+Inputs (override the file and the defaults; "_" or "-" both work):
+${Object.entries(engine.INPUT_FIELDS).map(([key, field]) =>
+        `  --${key.padEnd(24)}${field.label} [default ${engine.DEFAULT_INPUTS[key]}]`).join('\n')}
+
+Exit codes: 0 success, 1 invalid input, 2 usage error, 3 calculation failure
+`;
+
+/**
+ * Build an error carrying the process exit code
+ *
+ * @param {string} message - Summary line
+ * @param {number} exit_code - One of CLI.EXIT
+ * @param {array} details - Further lines (e.g. one per invalid field)
+ * @returns {Error} Error with exit_code and details
+ */
+CLI.error = function(message, exit_code, details = []) {
+    const error = new Error(message);
+    error.exit_code = exit_code;
+    error.details = details;
+    return error;
+};
+
+// ============================================
+// ARGUMENTS
+// ============================================
+
+/**
+ * Parse command-line arguments
+ *
+ * @param {array} argv - Arguments after the script name
+ * @returns {object} { command, input, format, options, values, help }
+ * @throws {Error} Usage errors (exit code 2)
+ */
+CLI.parseArgs = function(argv) {
+    const args = { command: 'calc', input: null, format: 'table', options: {}, values: {}, help: false };
+    let i = 0;
+
+    if (argv[0] && !argv[0].startsWith('-')) {
+        if (!CLI.COMMANDS.includes(argv[0])) {
+            throw CLI.error(`Unknown command "${argv[0]}" (expected ${CLI.COMMANDS.join(', ')})`, CLI.EXIT.USAGE);
+        }
+        args.command = argv[0];
+        i = 1;
+    }
+
+    const options = CLI.OPTIONS[args.command];
+    for (; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+            continue;
+        }
+
+        const match = arg.match(/^--([a-z][a-z0-9_-]*)(?:=(.*))?$/);
+        if (!match) {
+            throw CLI.error(`Unexpected argument "${arg}"`, CLI.EXIT.USAGE);
+        }
+        const flag = `--${match[1]}`;
+        const name = match[1].replace(/-/g, '_');
+        let value = match[2];
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) throw CLI.error(`${flag} needs a value`, CLI.EXIT.USAGE);
+        }
+
+        if (name === 'input') {
+            args.input = value;
+        } else if (name === 'format') {
+            if (!CLI.FORMATS.includes(value)) {
+                throw CLI.error(`${flag} must be one of: ${CLI.FORMATS.join(', ')}`, CLI.EXIT.USAGE);
+            }
+            args.format = value;
+        } else if (name in options) {
+            const number = Number(value);
+            if (value.trim() === '' || !isFinite(number)) {
+                throw CLI.error(`${flag} must be a number, got "${value}"`, CLI.EXIT.USAGE);
+            }
+            args.options[name] = number;
+        } else if (name in engine.INPUT_FIELDS) {
+            args.values[name] = CLI.parseValue(name, value);
+        } else {
+            throw CLI.error(`Unknown option ${flag} for "${args.command}"`, CLI.EXIT.USAGE);
+        }
+    }
+
+    args.options = { ...options, ...args.options };
+    return args;
+};
+
+/**
+ * Convert a flag value to the input's type and check it
+ * Numbers may carry ₹ and digit-group commas; lists are separated by spaces,
+ * commas or semicolons.
+ *
+ * @param {string} key - Input key
+ * @param {string} text - Flag value
+ * @returns {*} Typed value
+ * @throws {Error} If the value is invalid (exit code 1)
+ */
+CLI.parseValue = function(key, text) {
+    const type = engine.INPUT_FIELDS[key].type;
+    let value = text.trim();
+
+    if (type === 'list') {
+        value = value === '' ? [] : value.split(/[\s,;]+/).map(v => Number(v));
+    } else if (type === 'number' || type === 'integer') {
+        const cleaned = value.replace(/[₹,\s]/g, '');
+        value = cleaned === '' ? NaN : Number(cleaned);
+    }
+
+    const message = engine.validateInputField(key, value);
+    if (message) {
+        throw CLI.error(`--${key} (${engine.INPUT_FIELDS[key].label}): ${message}, got "${text}"`, CLI.EXIT.INVALID_INPUT);
+    }
+    return value;
+};
+
+// ============================================
+// INPUTS
+// ============================================
+
+/**
+ * Load the browser-side project-io.js and portfolio.js into a sandbox that
+ * has the engine as globals, so the CLI reads and writes the same files as the page
+ *
+ * @returns {object} { ProjectIO, Portfolio }
+ */
+CLI.loadPageModules = function() {
+    const context = vm.createContext({ ...engine, console });
+    ['project-io.js', 'portfolio.js'].forEach(file => {
+        const file_path = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(file_path, 'utf8'), context, { filename: file_path });
+    });
+
+    return {
+        ProjectIO: vm.runInContext('ProjectIO', context),
+        Portfolio: vm.runInContext('Portfolio', context)
+    };
+};
+
+/**
+ * Copy of the default inputs (lists copied too)
+ *
+ * @returns {object} Inputs
+ */
+CLI.defaultInputs = function() {
+    const inputs = {};
+    Object.entries(engine.DEFAULT_INPUTS).forEach(([key, value]) => {
+        inputs[key] = Array.isArray(value) ? value.slice() : value;
+    });
+    return inputs;
+};
+
+/**
+ * Read the --input file
+ *
+ * @param {string} source - File path, or '-' for stdin
+ * @param {object} modules - { ProjectIO } from loadPageModules()
+ * @returns {object} { inputs, warnings } for a single project, or { table } for a site table
+ * @throws {Error} If the file cannot be read or is invalid (exit code 1)
+ */
+CLI.readInput = function(source, { ProjectIO }) {
+    let text;
+    try {
+        text = fs.readFileSync(source === '-' ? 0 : source, 'utf8').replace(/^\uFEFF/, '');
+    } catch (error) {
+        throw CLI.error(`Cannot read ${source}: ${error.message}`, CLI.EXIT.INVALID_INPUT);
+    }
+
+    // JSON: a saved project file, or a plain object of input values
+    if (text.trim().startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw CLI.error(`${source} is not valid JSON: ${error.message}`, CLI.EXIT.INVALID_INPUT);
+        }
+
+        if (data.format === ProjectIO.FORMAT) {
+            const parsed = ProjectIO.parse(text, engine.DEFAULT_INPUTS);
+            if (parsed.errors.length) {
+                throw CLI.error(`${source} is not a valid project file`, CLI.EXIT.INVALID_INPUT, parsed.errors);
+            }
+            return { inputs: parsed.project.inputs, warnings: parsed.warnings };
+        }
+
+        const inputs = CLI.defaultInputs();
+        const warnings = [];
+        Object.entries(data).forEach(([key, value]) => {
+            if (key in engine.INPUT_FIELDS) {
+                inputs[key] = value;
+            } else {
+                warnings.push(`${key}: unknown input, ignored`);
+            }
+        });
+        return { inputs, warnings };
+    }
+
+    // CSV: an exported report, or a site table
+    if (/^=== INPUT PARAMETERS ===/m.test(text)) {
+        const parsed = ProjectIO.parseReportCSV(text, engine.DEFAULT_INPUTS);
+        if (parsed.errors.length) {
+            throw CLI.error(`${source} is not a valid CSV report`, CLI.EXIT.INVALID_INPUT, parsed.errors);
+        }
+        return { inputs: parsed.inputs, warnings: parsed.warnings };
+    }
+
+    return { table: text };
+};
+
+/**
+ * Check complete inputs field by field and against the cross-field rules
+ *
+ * @param {object} inputs - Calculator inputs
+ * @returns {array} Warning messages
+ * @throws {Error} If any input is invalid (exit code 1)
+ */
+CLI.checkInputs = function(inputs) {
+    const errors = engine.validateInputs(inputs)
+        .map(error => `${error.label}: ${error.message}, got ${JSON.stringify(error.value)}`);
+    const warnings = [];
+
+    if (!errors.length) {
+        engine.validateInputRules(inputs).forEach(issue => {
+            (issue.level === 'error' ? errors : warnings).push(`${issue.label}: ${issue.message}`);
+        });
+    }
+
+    if (errors.length) {
+        throw CLI.error('Invalid inputs', CLI.EXIT.INVALID_INPUT, errors);
+    }
+    return warnings;
+};
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Format rows as an aligned text table
+ * The first column is left-aligned, the others right-aligned.
+ *
+ * @param {array} header - Column headings, or null for none
+ * @param {array} rows - Array of arrays of cell text
+ * @returns {string} Table text
+ */
+CLI.formatTable = function(header, rows) {
+    const all = header ? [header, ...rows] : rows;
+    const widths = all[0].map((_, col) => Math.max(...all.map(row => String(row[col] ?? '').length)));
+    const line = row => row.map((cell, col) => {
+        const text = String(cell ?? '');
+        return col === 0 ? text.padEnd(widths[col]) : text.padStart(widths[col]);
+    }).join('  ').trimEnd();
+
+    const lines = all.map(line);
+    if (header) lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('  '));
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Format a list of records as CSV
+ *
+ * @param {array} columns - Array of [key, heading]
+ * @param {array} records - Array of objects
+ * @param {object} ProjectIO - For csvCell()
+ * @returns {string} CSV text
+ */
+CLI.formatCSV = function(columns, records, ProjectIO) {
+    const lines = [columns.map(([, heading]) => ProjectIO.csvCell(heading)).join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(([key]) => ProjectIO.csvCell(record[key])).join(','));
+    });
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Single project: the CSV report, its summary sections as tables, or JSON
+ */
+CLI.outputCalc = function(format, inputs, { ProjectIO }) {
+    const results = engine.calculateLCOE(inputs);
+    if (!isFinite(results.lcoe_kwh)) {
+        throw CLI.error('LCOE could not be calculated for these inputs', CLI.EXIT.INVALID_INPUT);
+    }
+
+    if (format === 'json') {
+        return JSON.stringify({ inputs, results }, null, 2) + '\n';
+    }
+
+    const csv = ProjectIO.reportCSV({ inputs, results });
+    if (format === 'csv') return csv;
+
+    // Table: the summary sections of the same report
+    const sections = {};
+    let current = null;
+    ProjectIO.parseCSV(csv).forEach(row => {
+        const heading = (row[0] || '').match(/^=== (.+) ===$/);
+        if (heading) {
+            current = heading[1];
+            sections[current] = [];
+        } else if (current && row[0]) {
+            sections[current].push(row);
+        }
+    });
+
+    return CLI.TABLE_SECTIONS
+        .map(name => `${name}\n${CLI.formatTable(null, sections[name])}`)
+        .join('\n');
+};
+
+/**
+ * Site table: one row per site plus the portfolio summary
+ */
+CLI.outputBatch = function(format, run, { Portfolio }) {
+    if (format === 'csv') return Portfolio.toCSV(run);
+
+    if (format === 'json') {
+        const sites = run.sites.map(s => {
+            const results = {};
+            Object.keys(Portfolio.RESULT_COLUMNS).forEach(key => { results[key] = s.results ? s.results[key] : null; });
+            return { line: s.line, site: s.site, inputs: s.inputs, results: s.results ? results : null, errors: s.errors };
+        });
+        return JSON.stringify({ sites, unknown_columns: run.unknown_columns, summary: run.summary }, null, 2) + '\n';
+    }
+
+    const columns = Object.entries(Portfolio.RESULT_COLUMNS);
+    const header = ['Site', 'Row', 'Capacity (MW)', ...columns.map(([, column]) => column.label), 'Status'];
+    const rows = run.sites.map(s => [
+        s.site,
+        s.line,
+        s.inputs.capacity,
+        ...columns.map(([key, column]) => {
+            const value = s.results?.[key];
+            return value === null || value === undefined || !isFinite(value)
+                ? '–'
+                : (value * (column.scale || 1)).toFixed(column.decimals);
+        }),
+        s.results ? 'OK' : 'ERROR'
+    ]);
+
+    const summary = run.summary;
+    const weighted = summary.weighted_lcoe_kwh === null ? '–' : summary.weighted_lcoe_kwh.toFixed(4);
+    return CLI.formatTable(header, rows) + '\n' + CLI.formatTable(null, [
+        ['Sites', summary.site_count],
+        ['Valid Sites', summary.valid_count],
+        ['Sites with Errors', summary.error_count],
+        ['Total Capacity (MW)', summary.total_capacity],
+        ['Capacity-Weighted LCOE (₹/kWh)', weighted]
+    ]);
+};
+
+/**
+ * Discount-rate sweep, as generateSensitivityAnalysis() returns it
+ */
+CLI.outputSensitivity = function(format, inputs, options, { ProjectIO }) {
+    const { min, max, step } = options;
+    if (!(step > 0) || min > max) {
+        throw CLI.error('--step must be greater than 0 and --min at most --max', CLI.EXIT.USAGE);
+    }
+
+    const rows = engine.generateSensitivityAnalysis(inputs, min, max, step);
+    if (format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+
+    const columns = [['rate', 'Discount Rate (%)'], ['lcoe_kwh', 'LCOE (₹/kWh)'], ['lcoe_mwh', 'LCOE (₹/MWh)']];
+    if (format === 'csv') return CLI.formatCSV(columns, rows, ProjectIO);
+
+    return CLI.formatTable(columns.map(([, heading]) => heading), rows.map(r => [
+        Number(r.rate.toFixed(4)), r.lcoe_kwh.toFixed(4), r.lcoe_mwh.toFixed(2)
+    ]));
+};
+
+/**
+ * Tornado impacts, as generateTornadoAnalysis() returns them (largest range first)
+ */
+CLI.outputTornado = function(format, inputs, options, { ProjectIO }) {
+    if (!(options.variance > 0) || options.variance >= 100) {
+        throw CLI.error('--variance must be greater than 0 and less than 100', CLI.EXIT.USAGE);
+    }
+
+    const base_lcoe = engine.calculateLCOE(inputs).lcoe_kwh;
+    const rows = engine.generateTornadoAnalysis(inputs, options.variance);
+    if (format === 'json') {
+        return JSON.stringify({ base_lcoe_kwh: base_lcoe, variance_percent: options.variance, impacts: rows }, null, 2) + '\n';
+    }
+
+    const columns = [
+        ['name', 'Parameter'], ['low_value', 'Low Value'], ['high_value', 'High Value'],
+        ['lcoe_low', 'LCOE at Low (₹/kWh)'], ['lcoe_high', 'LCOE at High (₹/kWh)'], ['range', 'Range (₹/kWh)']
+    ];
+    if (format === 'csv') return CLI.formatCSV(columns, rows, ProjectIO);
+
+    return `Base LCOE: ₹${base_lcoe.toFixed(4)}/kWh, inputs varied ±${options.variance}%\n\n` +
+        CLI.formatTable(columns.map(([, heading]) => heading), rows.map(r => [
+            r.name, Number(r.low_value.toPrecision(6)), Number(r.high_value.toPrecision(6)),
+            r.lcoe_low.toFixed(4), r.lcoe_high.toFixed(4), r.range.toFixed(4)
+        ]));
+};
+
+// ============================================
+// MAIN
+// ============================================
+
+/**
+ * Run the tool
+ *
+ * @param {array} argv - Arguments after the script name
+ * @param {object} io - { stdout, stderr } writable streams
+ * @returns {number} Exit code
+ */
+CLI.main = function(argv, io = process) {
+    try {
+        const args = CLI.parseArgs(argv);
+        if (args.help) {
+            io.stdout.write(CLI.USAGE);
+            return CLI.EXIT.OK;
+        }
+
+        const modules = CLI.loadPageModules();
+        const loaded = args.input ? CLI.readInput(args.input, modules) : { inputs: CLI.defaultInputs(), warnings: [] };
+
+        // Site table: flags set the inputs for columns the table does not have
+        if (loaded.table !== undefined) {
+            if (args.command !== 'calc') {
+                throw CLI.error(`"${args.command}" needs a single project, not a site table`, CLI.EXIT.USAGE);
+            }
+
+            let run;
+            try {
+                run = modules.Portfolio.run(loaded.table, { ...CLI.defaultInputs(), ...args.values });
+            } catch (error) {
+                throw CLI.error(`${args.input}: ${error.message}`, CLI.EXIT.INVALID_INPUT);
+            }
+
+            run.unknown_columns.forEach(column => io.stderr.write(`⚠️ Column "${column}" is not a known input, ignored\n`));
+            run.sites.filter(s => s.errors.length).forEach(s => {
+                io.stderr.write(`❌ Row ${s.line} (${s.site}): ${s.errors.join('; ')}\n`);
+            });
+            io.stdout.write(CLI.outputBatch(args.format, run, modules));
+            return run.summary.error_count ? CLI.EXIT.INVALID_INPUT : CLI.EXIT.OK;
+        }
+
+        const inputs = { ...loaded.inputs, ...args.values };
+        const warnings = [...loaded.warnings, ...CLI.checkInputs(inputs)];
+        warnings.forEach(warning => io.stderr.write(`⚠️ ${warning}\n`));
+
+        let output;
+        if (args.command === 'sensitivity') {
+            output = CLI.outputSensitivity(args.format, inputs, args.options, modules);
+        } else if (args.command === 'tornado') {
+            output = CLI.outputTornado(args.format, inputs, args.options, modules);
+        } else {
+            output = CLI.outputCalc(args.format, inputs, modules);
+        }
+        io.stdout.write(output);
+        return CLI.EXIT.OK;
+
+    } catch (error) {
+        // Anything the engine throws for inputs that passed validation
+        if (error.exit_code === undefined) {
+            io.stderr.write(`❌ Calculation failed: ${error.message}\n`);
+            return CLI.EXIT.INTERNAL;
+        }
+
+        io.stderr.write(`❌ ${error.message}\n`);
+        error.details.forEach(line => io.stderr.write(`   - ${line}\n`));
+        if (error.exit_code === CLI.EXIT.USAGE) io.stderr.write('Run "lcoe --help" for usage.\n');
+        return error.exit_code;
+    }
+};
+
+if (require.main === module) {
+    process.exitCode = CLI.main(process.argv.slice(2));
+}
+
+module.exports = CLI;
@@ -19,6 +19,51 @@ const HeatmapAlternatives = {
     }
 };
 
+// ============================================
+// SHARED GRID HELPERS
+// ============================================
+
+/**
+ * Calculate LCOE (₹/kWh) for every combination of two parameters
+ *
+ * @param {object} base_inputs - Inputs for everything else
+ * @param {string} param1_key - Row parameter
+ * @param {array} param1_range - Row values
+ * @param {string} param2_key - Column parameter
+ * @param {array} param2_range - Column values
+ * @returns {array} matrix[row][column] of LCOE (₹/kWh)
+ */
+HeatmapAlternatives.computeMatrix = function(base_inputs, param1_key, param1_range, param2_key, param2_range) {
+    return generateHeatmapMatrix(base_inputs, param1_key, param1_range, param2_key, param2_range);
+};
+
+/**
+ * Grid colour scale: Green (low) → Yellow → Red (high)
+ *
+ * @param {number} normalized - Position in the value range (0-1)
+ * @returns {array} [r, g, b] (0-255)
+ */
+HeatmapAlternatives.gridColor = function(normalized) {
+    if (normalized < 0.5) {
+        // Green to Yellow
+        return [Math.round(255 * normalized * 2), 255, 0];
+    }
+    // Yellow to Red
+    return [255, Math.round(255 * (1 - (normalized - 0.5) * 2)), 0];
+};
+
+/**
+ * Axis label for a parameter value: millions as "40M", otherwise the plain number
+ *
+ * @param {number} value - Parameter value
+ * @returns {string} Label
+ */
+HeatmapAlternatives.axisLabel = function(value) {
+    if (value >= 1e6) return (value / 1e6).toFixed(0) + 'M';
+    if (value >= 100) return value.toLocaleString('en-IN');
+    return String(Number(value.toFixed(2)));
+};
+
 // ============================================
 // HEATMAP STYLE 1: GRID HEATMAP (HTML/CSS)
 // Professional square grid with smooth colors
@@ -44,20 +89,7 @@ HeatmapAlternatives.plotGridHeatmap = function(
     }
 
     // Generate 2D matrix
-    const matrix = [];
-    for (let val1 of param1_range) {
-        const row = [];
-        for (let val2 of param2_range) {
-            const inputs = {
-                ...base_inputs,
-                [param1_key]: val1,
-                [param2_key]: val2
-            };
-            const lcoe = calculateLCOE(inputs).lcoe_kwh;
-            row.push(lcoe);
-        }
-        matrix.push(row);
-    }
+    const matrix = HeatmapAlternatives.computeMatrix(base_inputs, param1_key, param1_range, param2_key, param2_range);
 
     const flat = matrix.flat();
     const min_val = Math.min(...flat);
@@ -78,8 +110,7 @@ HeatmapAlternatives.plotGridHeatmap = function(
     // Y-axis labels (parameters 1) - on the left side
     html += `<div class="heatmap-axis-y">`;
     for (let val1 of param1_range) {
-        const display_val = typeof val1 === 'number' && val1 > 100 ? 
-            (val1 / 1e6).toFixed(0) + 'M' : val1.toFixed(1);
+        const display_val = HeatmapAlternatives.axisLabel(val1);
         html += `<div class="heatmap-label-y">${display_val}</div>`;
     }
     html += `</div>`;
@@ -95,23 +126,8 @@ HeatmapAlternatives.plotGridHeatmap = function(
             const value = matrix[i][j];
             const normalized = (value - min_val) / (max_val - min_val);
             
-            // Beautiful color scale: Green (low) → Yellow → Red (high)
-            let color;
-            if (normalized < 0.5) {
-                // Green to Yellow
-                const ratio = normalized * 2;
-                const r = Math.round(255 * ratio);
-                const g = 255;
-                const b = 0;
-                color = `rgb(${r}, ${g}, ${b})`;
-            } else {
-                // Yellow to Red
-                const ratio = (normalized - 0.5) * 2;
-                const r = 255;
-                const g = Math.round(255 * (1 - ratio));
-                const b = 0;
-                color = `rgb(${r}, ${g}, ${b})`;
-            }
+            const [r, g, b] = HeatmapAlternatives.gridColor(normalized);
+            const color = `rgb(${r}, ${g}, ${b})`;
 
             const text_color = normalized > 0.6 ? '#fff' : '#000';
             
@@ -130,8 +146,7 @@ HeatmapAlternatives.plotGridHeatmap = function(
     // X-axis labels (parameters 2) - below grid
     html += `<div class="heatmap-labels-x">`;
     for (let val2 of param2_range) {
-        const display_val = typeof val2 === 'number' && val2 > 100 ? 
-            (val2 / 1e6).toFixed(0) + 'M' : val2.toFixed(1);
+        const display_val = HeatmapAlternatives.axisLabel(val2);
         html += `<div class="heatmap-label-x">${display_val}</div>`;
     }
     html += `</div>`;
@@ -0,0 +1,688 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - MONTE CARLO ENGINE
+ * ============================================
+ *
+ * Probabilistic LCOE: samples uncertain inputs from user-assigned
+ * distributions, runs calculateLCOE() for each sample and summarises the
+ * resulting LCOE distribution (histogram, CDF, P10/P50/P90). Inputs that
+ * move together can be given a rank correlation matrix (Iman-Conover).
+ *
+ * No DOM dependencies - can run standalone or in Node.js alongside calculator.js
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const MonteCarlo = {
+    // Supported distributions and the parameters each one needs
+    DISTRIBUTIONS: {
+        normal: { label: 'Normal', params: ['mean', 'std'] },
+        triangular: { label: 'Triangular', params: ['min', 'mode', 'max'] },
+        uniform: { label: 'Uniform', params: ['min', 'max'] },
+        lognormal: { label: 'Lognormal', params: ['mean', 'std'] }
+    },
+
+    // Percentiles reported in the summary table
+    PERCENTILES: [5, 10, 25, 50, 75, 90, 95],
+
+    // Run defaults
+    defaults: {
+        iterations: 5000,
+        seed: 42,
+        max_iterations: 100000
+    }
+};
+
+// ============================================
+// ENGINE
+// ============================================
+
+/**
+ * The calculator engine: calculator.js page globals in the browser, or
+ * calculator.js's CommonJS export when this file is required from Node.js
+ *
+ * @returns {object} { calculateLCOE, validateInputRules, INPUT_FIELDS }
+ */
+MonteCarlo.engine = function() {
+    return typeof calculateLCOE === 'function'
+        ? { calculateLCOE, validateInputRules, INPUT_FIELDS }
+        : require('./calculator.js');
+};
+
+// ============================================
+// RANDOM NUMBER GENERATION
+// ============================================
+
+/**
+ * Create a seedable pseudo-random generator (mulberry32)
+ * The same seed always reproduces the same sequence, so runs can be repeated.
+ *
+ * @param {number|string} seed - Integer seed, or a string hashed to one
+ * @returns {function} Generator returning uniform numbers in [0, 1)
+ */
+MonteCarlo.createRNG = function(seed = MonteCarlo.defaults.seed) {
+    let state = 0;
+
+    if (typeof seed === 'string') {
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 2654435761);
+        }
+    } else {
+        state = Math.floor(seed) || 0;
+    }
+
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Draw a standard normal variate using the Box-Muller transform
+ *
+ * @param {function} rng - Uniform generator from createRNG()
+ * @returns {number} Sample from N(0, 1)
+ */
+MonteCarlo.standardNormal = function(rng) {
+    let u = 0;
+    while (u === 0) u = rng();
+    const v = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// ============================================
+// DISTRIBUTIONS
+// ============================================
+
+/**
+ * Check that a distribution definition is usable
+ *
+ * @param {string} key - Input key the distribution belongs to (for messages)
+ * @param {object} dist - Distribution, e.g. { type: 'normal', mean: 100, std: 10 }
+ * @throws {Error} If the type is unknown or the parameters are inconsistent
+ */
+MonteCarlo.validateDistribution = function(key, dist) {
+    const spec = MonteCarlo.DISTRIBUTIONS[dist?.type];
+    if (!spec) {
+        throw new Error(`${key}: unknown distribution "${dist?.type}"`);
+    }
+
+    for (const param of spec.params) {
+        if (typeof dist[param] !== 'number' || !isFinite(dist[param])) {
+            throw new Error(`${key}: ${spec.label} distribution needs a numeric "${param}"`);
+        }
+    }
+
+    if ((dist.type === 'normal' || dist.type === 'lognormal') && dist.std < 0) {
+        throw new Error(`${key}: standard deviation cannot be negative`);
+    }
+    if (dist.type === 'lognormal' && dist.mean <= 0) {
+        throw new Error(`${key}: lognormal mean must be greater than 0`);
+    }
+    if ((dist.type === 'uniform' || dist.type === 'triangular') && dist.min > dist.max) {
+        throw new Error(`${key}: min cannot be greater than max`);
+    }
+    if (dist.type === 'triangular' && (dist.mode < dist.min || dist.mode > dist.max)) {
+        throw new Error(`${key}: mode must lie between min and max`);
+    }
+};
+
+/**
+ * Draw one sample from a distribution
+ * Lognormal parameters are the mean and standard deviation of the variable
+ * itself (not of its logarithm).
+ *
+ * @param {object} dist - Validated distribution definition
+ * @param {function} rng - Uniform generator from createRNG()
+ * @returns {number} Sampled value
+ */
+MonteCarlo.sampleDistribution = function(dist, rng) {
+    switch (dist.type) {
+        case 'normal':
+            return dist.mean + dist.std * MonteCarlo.standardNormal(rng);
+
+        case 'uniform':
+            return dist.min + (dist.max - dist.min) * rng();
+
+        case 'triangular': {
+            const { min, mode, max } = dist;
+            if (max === min) return min;
+            const u = rng();
+            const split = (mode - min) / (max - min);
+            return u < split
+                ? min + Math.sqrt(u * (max - min) * (mode - min))
+                : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+        }
+
+        case 'lognormal': {
+            const sigma2 = Math.log(1 + Math.pow(dist.std / dist.mean, 2));
+            const mu = Math.log(dist.mean) - sigma2 / 2;
+            return Math.exp(mu + Math.sqrt(sigma2) * MonteCarlo.standardNormal(rng));
+        }
+
+        default:
+            throw new Error(`Unknown distribution "${dist.type}"`);
+    }
+};
+
+/**
+ * Keep a sampled value inside the range the calculator accepts
+ * Values are clipped to the INPUT_FIELDS min/max and whole-year inputs are
+ * rounded. Limits between inputs are applied per sample by applyInputRules().
+ *
+ * @param {string} key - Input key
+ * @param {number} value - Sampled value
+ * @returns {number} Usable input value
+ */
+MonteCarlo.clampInput = function(key, value) {
+    const field = MonteCarlo.engine().INPUT_FIELDS[key] || { min: 0 };
+    let clamped = field.type === 'integer' ? Math.round(value) : value;
+
+    if (field.min !== undefined) clamped = Math.max(field.min, clamped);
+    if (field.max !== undefined) clamped = Math.min(field.max, clamped);
+
+    return clamped;
+};
+
+/**
+ * Apply the cross-input limits of INPUT_RULES to one sampled set of inputs
+ * A loan tenure drawn beyond the project lifetime would leave principal unpaid
+ * and understate the LCOE, so it is capped at the lifetime.
+ *
+ * @param {object} inputs - Inputs for one sample (modified in place)
+ * @returns {object} The same inputs
+ */
+MonteCarlo.applyInputRules = function(inputs) {
+    if (inputs.loan_tenure > inputs.project_lifetime) {
+        inputs.loan_tenure = inputs.project_lifetime;
+    }
+    return inputs;
+};
+
+/**
+ * Draw independent samples for every uncertain input
+ *
+ * @param {object} distributions - Map of input key → distribution
+ * @param {number} iterations - Number of samples per input
+ * @param {function} rng - Uniform generator from createRNG()
+ * @returns {object} Map of input key → array of sampled values
+ */
+MonteCarlo.sampleInputs = function(distributions, iterations, rng) {
+    const samples = {};
+
+    for (const [key, dist] of Object.entries(distributions)) {
+        samples[key] = [];
+        for (let i = 0; i < iterations; i++) {
+            samples[key].push(MonteCarlo.clampInput(key, MonteCarlo.sampleDistribution(dist, rng)));
+        }
+    }
+
+    return samples;
+};
+
+// ============================================
+// CORRELATED SAMPLING
+// ============================================
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ *
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that Φ(z) = p
+ */
+MonteCarlo.inverseNormalCDF = function(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const p_low = 0.02425;
+
+    if (p < p_low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - p_low) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Eigenvalues of a symmetric matrix (cyclic Jacobi rotations)
+ *
+ * @param {array} matrix - Symmetric k×k matrix
+ * @returns {array} Eigenvalues sorted ascending
+ */
+MonteCarlo.symmetricEigenvalues = function(matrix) {
+    const k = matrix.length;
+    const a = matrix.map(row => row.slice());
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let off = 0;
+        for (let i = 0; i < k; i++) {
+            for (let j = i + 1; j < k; j++) off += a[i][j] * a[i][j];
+        }
+        if (off < 1e-20) break;
+
+        for (let p = 0; p < k; p++) {
+            for (let q = p + 1; q < k; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const cos = 1 / Math.sqrt(t * t + 1);
+                const sin = t * cos;
+
+                for (let r = 0; r < k; r++) {
+                    const arp = a[r][p];
+                    const arq = a[r][q];
+                    a[r][p] = cos * arp - sin * arq;
+                    a[r][q] = sin * arp + cos * arq;
+                }
+                for (let r = 0; r < k; r++) {
+                    const apr = a[p][r];
+                    const aqr = a[q][r];
+                    a[p][r] = cos * apr - sin * aqr;
+                    a[q][r] = sin * apr + cos * aqr;
+                }
+            }
+        }
+    }
+
+    return a.map((row, i) => row[i]).sort((x, y) => x - y);
+};
+
+/**
+ * Cholesky factor L (lower triangular, C = L·Lᵀ) of a positive semi-definite matrix
+ * Zero pivots from perfectly correlated inputs are allowed.
+ *
+ * @param {array} matrix - Symmetric positive semi-definite k×k matrix
+ * @returns {array} Lower-triangular k×k matrix
+ * @throws {Error} If a negative pivot shows the matrix is not positive semi-definite
+ */
+MonteCarlo.choleskyDecompose = function(matrix) {
+    const k = matrix.length;
+    const L = Array.from({ length: k }, () => new Array(k).fill(0));
+
+    for (let j = 0; j < k; j++) {
+        let pivot = matrix[j][j];
+        for (let m = 0; m < j; m++) pivot -= L[j][m] * L[j][m];
+
+        if (pivot < -1e-10) {
+            throw new Error('Correlation matrix is not positive semi-definite');
+        }
+        L[j][j] = Math.sqrt(Math.max(0, pivot));
+
+        for (let i = j + 1; i < k; i++) {
+            let sum = matrix[i][j];
+            for (let m = 0; m < j; m++) sum -= L[i][m] * L[j][m];
+            L[i][j] = L[j][j] > 1e-12 ? sum / L[j][j] : 0;
+        }
+    }
+
+    return L;
+};
+
+/**
+ * Check that a correlation specification can be used for sampling
+ *
+ * @param {object} correlation - { keys: [input keys], matrix: k×k array }
+ * @param {object} distributions - Map of input key → distribution
+ * @param {number} iterations - Samples per input, optional; Iman-Conover needs
+ *   at least k + 2 to impose a correlation on k inputs
+ * @throws {Error} Describing the first problem found; for a matrix that is not
+ *   positive semi-definite the message includes the smallest eigenvalue
+ */
+MonteCarlo.validateCorrelation = function(correlation, distributions, iterations) {
+    const { keys, matrix } = correlation;
+    const k = keys.length;
+
+    if (iterations !== undefined && iterations < k + 2) {
+        throw new Error(
+            `${iterations} iteration(s) are too few to correlate ${k} inputs; use at least ${k + 2}`
+        );
+    }
+
+    if (!Array.isArray(matrix) || matrix.length !== k || matrix.some(row => !Array.isArray(row) || row.length !== k)) {
+        throw new Error(`Correlation matrix must be ${k}×${k} to match: ${keys.join(', ')}`);
+    }
+
+    keys.forEach(key => {
+        if (!distributions[key]) {
+            throw new Error(`${key}: correlated inputs need a distribution`);
+        }
+    });
+
+    for (let i = 0; i < k; i++) {
+        if (Math.abs(matrix[i][i] - 1) > 1e-9) {
+            throw new Error(`Correlation of ${keys[i]} with itself must be 1`);
+        }
+        for (let j = 0; j < k; j++) {
+            const value = matrix[i][j];
+            if (typeof value !== 'number' || !isFinite(value) || value < -1 || value > 1) {
+                throw new Error(`Correlation between ${keys[i]} and ${keys[j]} must be between -1 and 1`);
+            }
+            if (Math.abs(value - matrix[j][i]) > 1e-9) {
+                throw new Error(`Correlation matrix is not symmetric: ${keys[i]}/${keys[j]} = ${value} but ${keys[j]}/${keys[i]} = ${matrix[j][i]}`);
+            }
+        }
+    }
+
+    const smallest = MonteCarlo.symmetricEigenvalues(matrix)[0];
+    if (smallest < -1e-10) {
+        throw new Error(
+            `Correlation matrix is not positive semi-definite (smallest eigenvalue ${smallest.toFixed(4)}). ` +
+            'The pairwise correlations contradict each other; weaken the strongest ones.'
+        );
+    }
+};
+
+/**
+ * Pearson correlation matrix of the columns of a row-major sample matrix
+ *
+ * @param {array} rows - n rows of k values
+ * @returns {array} k×k correlation matrix
+ */
+MonteCarlo.correlationMatrix = function(rows) {
+    const n = rows.length;
+    const k = rows[0].length;
+    const means = new Array(k).fill(0);
+    rows.forEach(row => row.forEach((v, j) => { means[j] += v / n; }));
+
+    const cov = Array.from({ length: k }, () => new Array(k).fill(0));
+    rows.forEach(row => {
+        for (let i = 0; i < k; i++) {
+            for (let j = i; j < k; j++) {
+                cov[i][j] += (row[i] - means[i]) * (row[j] - means[j]);
+            }
+        }
+    });
+
+    return cov.map((row, i) => row.map((_, j) => {
+        const c = i <= j ? cov[i][j] : cov[j][i];
+        const scale = Math.sqrt(cov[i][i] * cov[j][j]);
+        return i === j ? 1 : (scale > 0 ? c / scale : 0);
+    }));
+};
+
+/**
+ * Rank each value in an array (0 = smallest; ties broken by position)
+ *
+ * @param {array} values - Values to rank
+ * @returns {array} Ranks
+ */
+MonteCarlo.ranks = function(values) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    order.forEach((index, rank) => { ranks[index] = rank; });
+    return ranks;
+};
+
+/**
+ * Spearman rank correlation matrix of sampled inputs
+ *
+ * @param {object} samples - Map of input key → sampled values
+ * @param {array} keys - Inputs to include, in matrix order
+ * @returns {array} k×k rank correlation matrix
+ */
+MonteCarlo.rankCorrelation = function(samples, keys) {
+    const ranks = keys.map(key => MonteCarlo.ranks(samples[key]));
+    const rows = ranks[0].map((_, i) => ranks.map(column => column[i]));
+    return MonteCarlo.correlationMatrix(rows);
+};
+
+/**
+ * Reorder independent samples so they follow a target rank correlation (Iman-Conover)
+ * Each input keeps exactly its sampled values (so its distribution is unchanged);
+ * only the pairing between inputs changes. Van der Waerden scores are shuffled,
+ * decorrelated with the Cholesky factor of their own correlation and re-correlated
+ * with the Cholesky factor of the target, and the samples are then put in the
+ * rank order of the resulting scores.
+ *
+ * @param {object} samples - Map of input key → independent sampled values
+ * @param {object} correlation - { keys, matrix } validated target correlation
+ * @param {function} rng - Uniform generator from createRNG()
+ * @returns {object} New map of input key → reordered values
+ * @throws {Error} If there are fewer than k + 2 samples per input
+ */
+MonteCarlo.imanConover = function(samples, correlation, rng) {
+    const { keys, matrix } = correlation;
+    const k = keys.length;
+    const n = samples[keys[0]].length;
+    const result = { ...samples };
+
+    if (n < k + 2) {
+        throw new Error(`${n} iteration(s) are too few to correlate ${k} inputs; use at least ${k + 2}`);
+    }
+
+    // Shuffled normal scores, one column per correlated input
+    const base_scores = Array.from({ length: n }, (_, i) => MonteCarlo.inverseNormalCDF((i + 1) / (n + 1)));
+    const columns = keys.map(() => {
+        const column = base_scores.slice();
+        for (let i = n - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [column[i], column[j]] = [column[j], column[i]];
+        }
+        return column;
+    });
+    const scores = base_scores.map((_, i) => columns.map(column => column[i]));
+
+    const Q = MonteCarlo.choleskyDecompose(MonteCarlo.correlationMatrix(scores));
+    const P = MonteCarlo.choleskyDecompose(matrix);
+
+    // target[i] = P · Q⁻¹ · scores[i]
+    const target = scores.map(row => {
+        const y = new Array(k).fill(0);
+        for (let i = 0; i < k; i++) {
+            let sum = row[i];
+            for (let m = 0; m < i; m++) sum -= Q[i][m] * y[m];
+            y[i] = Q[i][i] > 1e-12 ? sum / Q[i][i] : 0;
+        }
+        return P.map(p_row => p_row.reduce((acc, p, m) => acc + p * y[m], 0));
+    });
+
+    keys.forEach((key, j) => {
+        const sorted = samples[key].slice().sort((a, b) => a - b);
+        const ranks = MonteCarlo.ranks(target.map(row => row[j]));
+        result[key] = ranks.map(rank => sorted[rank]);
+    });
+
+    return result;
+};
+
+// ============================================
+// STATISTICS
+// ============================================
+
+/**
+ * Percentile of sorted values with linear interpolation (Excel PERCENTILE.INC)
+ *
+ * @param {array} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Interpolated percentile value
+ */
+MonteCarlo.percentile = function(sorted, p) {
+    if (sorted.length === 0) return NaN;
+
+    const rank = (p / 100) * (sorted.length - 1);
+    const low = Math.floor(rank);
+    const high = Math.ceil(rank);
+
+    return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+/**
+ * Bin values into a histogram
+ *
+ * @param {array} values - Sample values
+ * @param {number} bins - Number of equal-width bins
+ * @returns {object} { edges (bins + 1), counts (bins), centers (bins) }
+ */
+MonteCarlo.histogram = function(values, bins = 30) {
+    // A loop rather than Math.min(...values), which overflows the call stack on large runs
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+    const width = (max - min) / bins || 1;
+    const edges = Array.from({ length: bins + 1 }, (_, i) => min + i * width);
+    const counts = new Array(bins).fill(0);
+
+    for (const value of values) {
+        const index = Math.min(bins - 1, Math.floor((value - min) / width));
+        counts[index]++;
+    }
+
+    return {
+        edges,
+        counts,
+        centers: counts.map((_, i) => (edges[i] + edges[i + 1]) / 2)
+    };
+};
+
+/**
+ * Empirical cumulative distribution, thinned to at most max_points points
+ *
+ * @param {array} sorted - Values sorted ascending
+ * @param {number} max_points - Maximum number of points returned
+ * @returns {array} Array of {x, p} with p the cumulative probability (0-1)
+ */
+MonteCarlo.cdf = function(sorted, max_points = 200) {
+    const step = Math.max(1, Math.floor(sorted.length / max_points));
+    const points = [];
+
+    for (let i = 0; i < sorted.length; i += step) {
+        points.push({ x: sorted[i], p: (i + 1) / sorted.length });
+    }
+    if (points.length && points[points.length - 1].p < 1) {
+        points.push({ x: sorted[sorted.length - 1], p: 1 });
+    }
+
+    return points;
+};
+
+/**
+ * Summary statistics of a sample
+ *
+ * @param {array} sorted - Values sorted ascending
+ * @returns {object} { mean, std, min, max, p10, p50, p90 }
+ */
+MonteCarlo.summarize = function(sorted) {
+    const n = sorted.length;
+    const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+    const variance = n > 1
+        ? sorted.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (n - 1)
+        : 0;
+
+    return {
+        mean,
+        std: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[n - 1],
+        p10: MonteCarlo.percentile(sorted, 10),
+        p50: MonteCarlo.percentile(sorted, 50),
+        p90: MonteCarlo.percentile(sorted, 90)
+    };
+};
+
+// ============================================
+// SIMULATION
+// ============================================
+
+/**
+ * Run a Monte Carlo simulation of LCOE
+ *
+ * @param {object} base_inputs - Base input parameters (used for inputs without a distribution)
+ * @param {object} distributions - Map of input key → distribution, e.g.
+ *   { capex_per_mw: { type: 'triangular', min: 30e6, mode: 34.4e6, max: 40e6 } }
+ * @param {object} options - { iterations (default 5000), seed (default 42),
+ *   correlation: optional { keys: [input keys], matrix: k×k rank correlations } }
+ * @returns {object} { iterations, seed, distributions, correlation, achieved_correlation,
+ *   base_lcoe, lcoe_values (sorted ₹/kWh), discarded (samples breaking an INPUT_RULES
+ *   error or without a finite LCOE, left out of every statistic), samples, stats, percentiles: [{p, lcoe_kwh, lcoe_mwh}],
+ *   histogram, cdf }
+ * @throws {Error} If no distribution is given, one is invalid, the correlation
+ *   matrix is malformed or not positive semi-definite, or there are too few
+ *   iterations to impose it
+ */
+MonteCarlo.run = function(base_inputs, distributions, options = {}) {
+    const iterations = Math.floor(options.iterations ?? MonteCarlo.defaults.iterations);
+    const seed = options.seed ?? MonteCarlo.defaults.seed;
+    const keys = Object.keys(distributions);
+
+    if (keys.length === 0) {
+        throw new Error('Assign a distribution to at least one input');
+    }
+    if (!(iterations > 0)) {
+        throw new Error('Iterations must be a positive number');
+    }
+    keys.forEach(key => MonteCarlo.validateDistribution(key, distributions[key]));
+
+    const correlation = options.correlation?.keys?.length > 1 ? options.correlation : null;
+    if (correlation) {
+        MonteCarlo.validateCorrelation(correlation, distributions, iterations);
+    }
+
+    const rng = MonteCarlo.createRNG(seed);
+    let samples = MonteCarlo.sampleInputs(distributions, iterations, rng);
+    if (correlation) {
+        samples = MonteCarlo.imanConover(samples, correlation, rng);
+    }
+
+    const engine = MonteCarlo.engine();
+    const lcoe_values = [];
+    for (let i = 0; i < iterations; i++) {
+        const inputs = { ...base_inputs };
+        keys.forEach(key => { inputs[key] = samples[key][i]; });
+        MonteCarlo.applyInputRules(inputs);
+        keys.forEach(key => { samples[key][i] = inputs[key]; });
+
+        // Samples the calculator would reject (e.g. zero energy, CUF above 100%) are discarded
+        if (engine.validateInputRules(inputs).some(issue => issue.level === 'error')) continue;
+        const lcoe = engine.calculateLCOE(inputs).lcoe_kwh;
+        if (isFinite(lcoe)) lcoe_values.push(lcoe);
+    }
+
+    if (lcoe_values.length === 0) {
+        throw new Error('No sample produced valid inputs and a finite LCOE; check the distributions');
+    }
+
+    lcoe_values.sort((a, b) => a - b);
+
+    return {
+        iterations,
+        seed,
+        distributions,
+        correlation,
+        achieved_correlation: correlation ? MonteCarlo.rankCorrelation(samples, correlation.keys) : null,
+        base_lcoe: engine.calculateLCOE(base_inputs).lcoe_kwh,
+        lcoe_values,
+        discarded: iterations - lcoe_values.length,
+        samples,
+        stats: MonteCarlo.summarize(lcoe_values),
+        percentiles: MonteCarlo.PERCENTILES.map(p => {
+            const lcoe_kwh = MonteCarlo.percentile(lcoe_values, p);
+            return { p, lcoe_kwh, lcoe_mwh: lcoe_kwh * 1000 };
+        }),
+        histogram: MonteCarlo.histogram(lcoe_values),
+        cdf: MonteCarlo.cdf(lcoe_values)
+    };
+};
+
+// In the browser MonteCarlo is a page global. Under CommonJS (Node, bundlers)
+// it is exported and runs calculator.js through require().
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarlo;
+}
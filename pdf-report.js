@@ -0,0 +1,420 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - PDF PROJECT REPORT
+ * ============================================
+ *
+ * Lays out the printable project report with PdfWriter:
+ *   1. Cover page (project name, date, headline LCOE)
+ *   2. Input parameters
+ *   3. Result cards and detailed breakdown
+ *   4. Yearly cash flow table
+ *   5. Chart snapshots (tornado, heatmap, range charts)
+ * Every page after the cover has the same header; every page has a footer
+ * with the report date and page number.
+ *
+ * Chart images are captured by the UI and passed in as JPEG bytes; the
+ * heatmap is drawn as vector cells from its LCOE matrix.
+ *
+ * No DOM dependencies
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const PdfReport = {
+    MARGIN: 40,
+    HEADER_HEIGHT: 50,
+    FOOTER_HEIGHT: 40,
+
+    COLORS: {
+        primary: '#667eea',
+        secondary: '#764ba2',
+        text: '#333333',
+        muted: '#777777',
+        rule: '#dddddd',
+        band: '#f3f4fb',
+        white: '#ffffff'
+    }
+};
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Format a number with Indian digit grouping
+ *
+ * @param {number} value - Number
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted number, '–' when not available
+ */
+PdfReport.formatNumber = function(value, decimals = 2) {
+    if (value === null || value === undefined || !isFinite(value)) return '–';
+    return value.toLocaleString('en-IN', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+};
+
+/**
+ * Format an input value for display, using option labels for select fields
+ *
+ * @param {string} key - Input key
+ * @param {*} value - Input value
+ * @returns {string} Display text
+ */
+PdfReport.formatInput = function(key, value) {
+    const field = INPUT_FIELDS[key];
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '–';
+    if (field?.type === 'select') {
+        const option = field.options[value];
+        return option ? (option.label || option) : String(value);
+    }
+    return typeof value === 'number' ? String(value) : String(value ?? '–');
+};
+
+// ============================================
+// PAGE LAYOUT
+// ============================================
+
+/**
+ * Start a content page and move the cursor below the header
+ *
+ * @param {object} state - Layout state { doc, page, y }
+ */
+PdfReport.newPage = function(state) {
+    state.page = PdfWriter.addPage(state.doc);
+    state.y = PdfReport.MARGIN + PdfReport.HEADER_HEIGHT;
+};
+
+/**
+ * Start a new page if the next block does not fit
+ *
+ * @param {object} state - Layout state
+ * @param {number} height - Height of the next block (pt)
+ * @returns {boolean} True if a page was added
+ */
+PdfReport.ensureSpace = function(state, height) {
+    const bottom = PdfWriter.PAGE.height - PdfReport.MARGIN - PdfReport.FOOTER_HEIGHT;
+    if (state.y + height <= bottom) return false;
+
+    PdfReport.newPage(state);
+    return true;
+};
+
+/**
+ * Draw a section heading
+ *
+ * @param {object} state - Layout state
+ * @param {string} title - Heading text
+ */
+PdfReport.heading = function(state, title) {
+    PdfReport.ensureSpace(state, 60);
+    state.y += 10;
+    PdfWriter.text(state.page, PdfReport.MARGIN, state.y + 14, title, {
+        size: 14, bold: true, color: PdfReport.COLORS.primary
+    });
+    state.y += 22;
+    PdfWriter.line(state.page, PdfReport.MARGIN, state.y, PdfWriter.PAGE.width - PdfReport.MARGIN, state.y, {
+        color: PdfReport.COLORS.primary, width: 1.5
+    });
+    state.y += 10;
+};
+
+/**
+ * Draw a table, continuing on new pages with the header row repeated
+ *
+ * @param {object} state - Layout state
+ * @param {array} columns - [{label, width (fraction of the content width), align: 'left'|'right'}]
+ * @param {array} rows - Rows of cell text
+ * @param {object} options - { size = 8.5 } font size
+ */
+PdfReport.table = function(state, columns, rows, options = {}) {
+    const { size = 8.5 } = options;
+    const content_width = PdfWriter.PAGE.width - PdfReport.MARGIN * 2;
+    const row_height = size + 7;
+    const lefts = [];
+    let left = PdfReport.MARGIN;
+    columns.forEach(column => {
+        lefts.push(left);
+        left += column.width * content_width;
+    });
+
+    const drawRow = (cells, style) => {
+        if (style === 'header') {
+            PdfWriter.rect(state.page, PdfReport.MARGIN, state.y, content_width, row_height, { fill: PdfReport.COLORS.primary });
+        } else if (style === 'band') {
+            PdfWriter.rect(state.page, PdfReport.MARGIN, state.y, content_width, row_height, { fill: PdfReport.COLORS.band });
+        }
+
+        cells.forEach((cell, i) => {
+            const column = columns[i];
+            const width = column.width * content_width - 8;
+            const text = PdfWriter.fitText(cell, width, size, style === 'header');
+            const x = column.align === 'right' ? lefts[i] + column.width * content_width - 4 : lefts[i] + 4;
+            PdfWriter.text(state.page, x, state.y + row_height - 4.5, text, {
+                size,
+                bold: style === 'header',
+                color: style === 'header' ? PdfReport.COLORS.white : PdfReport.COLORS.text,
+                align: column.align === 'right' ? 'right' : 'left'
+            });
+        });
+        state.y += row_height;
+    };
+
+    PdfReport.ensureSpace(state, row_height * 3);
+    drawRow(columns.map(c => c.label), 'header');
+    rows.forEach((row, i) => {
+        if (PdfReport.ensureSpace(state, row_height)) {
+            drawRow(columns.map(c => c.label), 'header');
+        }
+        drawRow(row, i % 2 ? 'band' : 'plain');
+    });
+    state.y += 10;
+};
+
+/**
+ * Draw a row of metric cards
+ *
+ * @param {object} state - Layout state
+ * @param {array} cards - [{label, value, note}]
+ */
+PdfReport.cards = function(state, cards) {
+    const gap = 10;
+    const per_row = 3;
+    const width = (PdfWriter.PAGE.width - PdfReport.MARGIN * 2 - gap * (per_row - 1)) / per_row;
+    const height = 58;
+
+    for (let i = 0; i < cards.length; i += per_row) {
+        PdfReport.ensureSpace(state, height + gap);
+        cards.slice(i, i + per_row).forEach((card, j) => {
+            const x = PdfReport.MARGIN + j * (width + gap);
+            PdfWriter.rect(state.page, x, state.y, width, height, { fill: PdfReport.COLORS.band, stroke: PdfReport.COLORS.rule });
+            PdfWriter.rect(state.page, x, state.y, 4, height, { fill: PdfReport.COLORS.primary });
+            PdfWriter.text(state.page, x + 12, state.y + 16, card.label, { size: 8.5, color: PdfReport.COLORS.muted });
+            PdfWriter.text(state.page, x + 12, state.y + 36, PdfWriter.fitText(card.value, width - 20, 15, true), {
+                size: 15, bold: true, color: PdfReport.COLORS.text
+            });
+            if (card.note) {
+                PdfWriter.text(state.page, x + 12, state.y + 50, PdfWriter.fitText(card.note, width - 20, 7), {
+                    size: 7, color: PdfReport.COLORS.muted
+                });
+            }
+        });
+        state.y += height + gap;
+    }
+};
+
+/**
+ * Draw a chart snapshot scaled to the content width
+ *
+ * @param {object} state - Layout state
+ * @param {object} chart - { title, image: {data, width, height} }
+ */
+PdfReport.chart = function(state, chart) {
+    const max_width = PdfWriter.PAGE.width - PdfReport.MARGIN * 2;
+    const max_height = 300;
+    const scale = Math.min(max_width / chart.image.width, max_height / chart.image.height);
+    const width = chart.image.width * scale;
+    const height = chart.image.height * scale;
+
+    PdfReport.ensureSpace(state, height + 30);
+    PdfWriter.text(state.page, PdfReport.MARGIN, state.y + 12, chart.title, { size: 11, bold: true });
+    state.y += 20;
+
+    const name = PdfWriter.addImage(state.doc, chart.image.data, chart.image.width, chart.image.height);
+    PdfWriter.image(state.page, name, PdfReport.MARGIN + (max_width - width) / 2, state.y, width, height);
+    PdfWriter.rect(state.page, PdfReport.MARGIN + (max_width - width) / 2, state.y, width, height, { stroke: PdfReport.COLORS.rule });
+    state.y += height + 16;
+};
+
+/**
+ * Draw the LCOE heatmap as coloured cells
+ *
+ * @param {object} state - Layout state
+ * @param {object} heatmap - { row_label, col_label, rows, cols, matrix }
+ */
+PdfReport.heatmap = function(state, heatmap) {
+    const { row_label, col_label, rows, cols, matrix } = heatmap;
+    const axis_width = 60;
+    const cell_width = Math.min(80, (PdfWriter.PAGE.width - PdfReport.MARGIN * 2 - axis_width) / cols.length);
+    const cell_height = 26;
+    const height = rows.length * cell_height + 60;
+    const flat = matrix.flat();
+    const min = Math.min(...flat);
+    const max = Math.max(...flat);
+    const toHex = rgb => `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+
+    PdfReport.ensureSpace(state, height + 20);
+    PdfWriter.text(state.page, PdfReport.MARGIN, state.y + 12, `LCOE Heatmap (₹/kWh): ${row_label} vs ${col_label}`, { size: 11, bold: true });
+    state.y += 24;
+
+    const left = PdfReport.MARGIN + axis_width;
+    matrix.forEach((row, i) => {
+        const y = state.y + i * cell_height;
+        PdfWriter.text(state.page, left - 6, y + cell_height / 2 + 3, HeatmapAlternatives.axisLabel(rows[i]), { size: 8, align: 'right' });
+        row.forEach((value, j) => {
+            const normalized = max > min ? (value - min) / (max - min) : 0;
+            const x = left + j * cell_width;
+            PdfWriter.rect(state.page, x, y, cell_width, cell_height, {
+                fill: toHex(HeatmapAlternatives.gridColor(normalized)), stroke: PdfReport.COLORS.white, line_width: 1
+            });
+            PdfWriter.text(state.page, x + cell_width / 2, y + cell_height / 2 + 3, `₹${value.toFixed(2)}`, {
+                size: 8, align: 'center', color: normalized > 0.6 ? PdfReport.COLORS.white : '#000000'
+            });
+        });
+    });
+
+    const bottom = state.y + rows.length * cell_height;
+    cols.forEach((value, j) => {
+        PdfWriter.text(state.page, left + j * cell_width + cell_width / 2, bottom + 12, HeatmapAlternatives.axisLabel(value), { size: 8, align: 'center' });
+    });
+    PdfWriter.text(state.page, left + (cols.length * cell_width) / 2, bottom + 26, col_label, { size: 8, bold: true, align: 'center' });
+    PdfWriter.text(state.page, PdfReport.MARGIN, state.y - 4, row_label, { size: 8, bold: true });
+    state.y = bottom + 40;
+};
+
+/**
+ * Draw headers (all pages but the cover) and footers (every page)
+ *
+ * @param {object} doc - Document
+ * @param {string} name - Project name
+ * @param {string} date_text - Report date
+ */
+PdfReport.decoratePages = function(doc, name, date_text) {
+    const { width, height } = PdfWriter.PAGE;
+    const m = PdfReport.MARGIN;
+    const total = doc.pages.length;
+
+    doc.pages.forEach((page, i) => {
+        if (i > 0) {
+            PdfWriter.text(page, m, m + 12, PdfWriter.fitText(name, width / 2, 10, true), { size: 10, bold: true });
+            PdfWriter.text(page, width - m, m + 12, 'Solar LCOE Project Report', { size: 9, color: PdfReport.COLORS.muted, align: 'right' });
+            PdfWriter.line(page, m, m + 20, width - m, m + 20, { color: PdfReport.COLORS.primary, width: 1 });
+        }
+
+        const footer_y = height - m;
+        PdfWriter.line(page, m, footer_y - 14, width - m, footer_y - 14, { color: PdfReport.COLORS.rule });
+        PdfWriter.text(page, m, footer_y, `Generated ${date_text} · Solar LCOE Calculator`, { size: 8, color: PdfReport.COLORS.muted });
+        PdfWriter.text(page, width - m, footer_y, `Page ${i + 1} of ${total}`, { size: 8, color: PdfReport.COLORS.muted, align: 'right' });
+    });
+};
+
+// ============================================
+// REPORT CONTENT
+// ============================================
+
+/**
+ * Build the report
+ *
+ * @param {object} report - Report content:
+ *   - name: Project name
+ *   - date: Report date (Date)
+ *   - inputs, results: Calculator inputs and calculateLCOE() results
+ *   - charts: [{title, image: {data: JPEG bytes, width, height}}] in display order
+ *   - heatmap: { row_label, col_label, rows, cols, matrix } or null
+ * @returns {Uint8Array} PDF file bytes
+ */
+PdfReport.build = function(report) {
+    const { name, date = new Date(), inputs, results, charts = [], heatmap = null } = report;
+    const date_text = date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+    const doc = PdfWriter.createDocument({ title: `${name} – LCOE Report`, author: 'Solar LCOE Calculator' });
+    const state = { doc, page: null, y: 0 };
+    const { width } = PdfWriter.PAGE;
+    const m = PdfReport.MARGIN;
+    const rs = value => `₹${PdfReport.formatNumber(value)}`;
+    const method = LCOE_METHODS[results.lcoe_method];
+
+    // ---------- 1. Cover ----------
+    const cover = PdfWriter.addPage(doc);
+    PdfWriter.rect(cover, 0, 0, width, 300, { fill: PdfReport.COLORS.primary });
+    PdfWriter.rect(cover, 0, 300, width, 6, { fill: PdfReport.COLORS.secondary });
+    PdfWriter.text(cover, m, 120, 'Solar LCOE Project Report', { size: 28, bold: true, color: PdfReport.COLORS.white });
+    PdfWriter.wrapText(name, width - m * 2, 18, true).slice(0, 3).forEach((line, i) => {
+        PdfWriter.text(cover, m, 170 + i * 24, line, { size: 18, bold: true, color: PdfReport.COLORS.white });
+    });
+    PdfWriter.text(cover, m, 270, date_text, { size: 12, color: PdfReport.COLORS.white });
+
+    PdfWriter.text(cover, m, 380, 'Levelized Cost of Energy', { size: 12, color: PdfReport.COLORS.muted });
+    PdfWriter.text(cover, m, 420, `${rs(results.lcoe_kwh)} / kWh`, { size: 32, bold: true, color: PdfReport.COLORS.primary });
+    PdfWriter.text(cover, m, 445, `${rs(results.lcoe_mwh)} / MWh  ·  ${method.label}`, { size: 11 });
+    PdfWriter.text(cover, m, 480, `${inputs.capacity} MW  ·  ${PdfReport.formatNumber(inputs.energy_generation)} MWh/year  ·  ` +
+        `${inputs.project_lifetime}-year life  ·  CUE ${(results.cue * 100).toFixed(2)}%`, { size: 11, color: PdfReport.COLORS.muted });
+    PdfWriter.wrapText(`Formula: ${method.formula}`, width - m * 2, 10).forEach((line, i) => {
+        PdfWriter.text(cover, m, 510 + i * 14, line, { size: 10, color: PdfReport.COLORS.muted });
+    });
+
+    // ---------- 2. Inputs ----------
+    PdfReport.newPage(state);
+    PdfReport.heading(state, 'Input Parameters');
+    PdfReport.table(state,
+        [{ label: 'Parameter', width: 0.45 }, { label: 'Value', width: 0.55, align: 'right' }],
+        Object.keys(INPUT_FIELDS).map(key => [INPUT_FIELDS[key].label, PdfReport.formatInput(key, inputs[key])])
+    );
+
+    // ---------- 3. Results ----------
+    PdfReport.heading(state, 'Results');
+    PdfReport.cards(state, [
+        { label: 'LCOE (per MWh)', value: rs(results.lcoe_mwh), note: method.label },
+        { label: 'LCOE (per kWh)', value: rs(results.lcoe_kwh), note: method.label },
+        { label: 'After-Tax LCOE (per kWh)', value: rs(results.after_tax_lcoe_kwh), note: 'With depreciation and interest tax shields' },
+        { label: 'Project IRR', value: results.project_irr === null ? '–' : `${results.project_irr.toFixed(2)}%`, note: inputs.tariff > 0 ? `Tariff ₹${inputs.tariff}/kWh` : 'Enter a PPA tariff' },
+        { label: 'Equity IRR', value: results.equity_irr === null ? '–' : `${results.equity_irr.toFixed(2)}%` },
+        { label: 'Minimum DSCR', value: results.min_dscr === null ? '–' : `${results.min_dscr.toFixed(2)}x` }
+    ]);
+
+    PdfReport.heading(state, 'Detailed Breakdown');
+    const breakdown = [
+        ['Total CAPEX', rs(results.capex)],
+        ['Debt / Equity', `${rs(results.debt_amount)} / ${rs(results.equity_amount)}`],
+        ['Total O&M Cost', rs(results.total_om)],
+        ['Total Loan Repayment', rs(results.total_loan)],
+        ['Total OPEX', rs(results.total_opex)],
+        ['NPV of OPEX', rs(results.npv_opex)],
+        ['Total Energy Generated (MWh)', PdfReport.formatNumber(results.total_energy)],
+        ['Capacity Utilization', `${(results.cue * 100).toFixed(2)}%`],
+        ['WACC (pre-tax / post-tax)', `${results.wacc.toFixed(2)}% / ${results.wacc_post_tax.toFixed(2)}%`],
+        ...Object.keys(results.lcoe_by_method).map(key => [
+            `LCOE – ${LCOE_METHODS[key].label}`, `${rs(results.lcoe_by_method[key] / 1000)} / kWh`
+        ]),
+        ['PV of Depreciation Tax Shield', rs(results.pv_depreciation_shield)],
+        ['PV of Interest Tax Shield', rs(results.pv_interest_shield)],
+        ['Project NPV', results.project_npv === null ? '–' : rs(results.project_npv)],
+        ['Payback (simple / discounted)',
+            `${results.payback_year === null ? '–' : results.payback_year.toFixed(1) + ' yrs'} / ` +
+            `${results.discounted_payback_year === null ? '–' : results.discounted_payback_year.toFixed(1) + ' yrs'}`]
+    ];
+    PdfReport.table(state, [{ label: 'Item', width: 0.55 }, { label: 'Value', width: 0.45, align: 'right' }], breakdown);
+
+    // ---------- 4. Yearly cash flows ----------
+    PdfReport.newPage(state);
+    PdfReport.heading(state, 'Yearly Cash Flows');
+    PdfReport.table(state, [
+        { label: 'Year', width: 0.06, align: 'right' },
+        { label: 'Energy (MWh)', width: 0.12, align: 'right' },
+        { label: 'O&M (₹)', width: 0.13, align: 'right' },
+        { label: 'Debt Service (₹)', width: 0.15, align: 'right' },
+        { label: 'Total Cost (₹)', width: 0.14, align: 'right' },
+        { label: 'Disc. Factor', width: 0.1, align: 'right' },
+        { label: 'PV of Cost (₹)', width: 0.15, align: 'right' },
+        { label: 'Revenue (₹)', width: 0.15, align: 'right' }
+    ], results.yearly_schedule.map(row => [
+        String(row.year),
+        PdfReport.formatNumber(row.energy),
+        PdfReport.formatNumber(row.om, 0),
+        PdfReport.formatNumber(row.debt_service, 0),
+        PdfReport.formatNumber(row.total_cost, 0),
+        row.discount_factor.toFixed(4),
+        PdfReport.formatNumber(row.pv_cost, 0),
+        PdfReport.formatNumber(row.revenue, 0)
+    ]), { size: 7.5 });
+
+    // ---------- 5. Charts ----------
+    if (charts.length || heatmap) {
+        PdfReport.newPage(state);
+        PdfReport.heading(state, 'Charts');
+        if (charts.length) PdfReport.chart(state, charts[0]);
+        if (heatmap) PdfReport.heatmap(state, heatmap);
+        charts.slice(1).forEach(chart => PdfReport.chart(state, chart));
+    }
+
+    PdfReport.decoratePages(doc, name, date_text);
+    return PdfWriter.build(doc);
+};
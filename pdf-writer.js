@@ -0,0 +1,415 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - PDF WRITER
+ * ============================================
+ *
+ * Minimal PDF 1.4 writer for client-side reports: text in the built-in
+ * Helvetica fonts, lines, filled rectangles and JPEG images.
+ *
+ * Coordinates are in points (1/72 inch) measured from the TOP-LEFT corner of
+ * an A4 page; y is the text baseline for text and the top edge for shapes.
+ * Text uses WinAnsi encoding: '₹' is written as 'Rs.' and characters outside
+ * the code page (e.g. emoji) are dropped.
+ *
+ * No DOM dependencies
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const PdfWriter = {
+    // A4 portrait in points
+    PAGE: { width: 595.28, height: 841.89 },
+
+    // Glyph widths (1/1000 em) for characters 32-126
+    WIDTHS: {
+        regular: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ],
+        bold: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ]
+    },
+
+    // Characters outside Latin-1 that have a WinAnsi code (or a text substitute)
+    CHAR_MAP: {
+        '₹': 'Rs.',
+        '€': '\x80',
+        '…': '\x85',
+        '•': '\x95',
+        '–': '\x96',
+        '—': '\x97',
+        '‘': '\x91',
+        '’': '\x92',
+        '“': '\x93',
+        '”': '\x94',
+        '≥': '>=',
+        '≤': '<=',
+        '→': '->',
+        '▲': '^',
+        '▼': 'v'
+    }
+};
+
+// ============================================
+// DOCUMENT & TEXT
+// ============================================
+
+/**
+ * Start an empty document
+ *
+ * @param {object} info - { title, author } written to the document properties
+ * @returns {object} Document { info, pages, images }
+ */
+PdfWriter.createDocument = function(info = {}) {
+    return { info, pages: [], images: [] };
+};
+
+/**
+ * Append a blank page
+ *
+ * @param {object} doc - Document
+ * @returns {object} Page { ops } to draw on
+ */
+PdfWriter.addPage = function(doc) {
+    const page = { ops: [] };
+    doc.pages.push(page);
+    return page;
+};
+
+/**
+ * Convert text to WinAnsi characters (one char per byte, codes 0-255)
+ *
+ * @param {string} text - Text to encode
+ * @returns {string} Encoded text
+ */
+PdfWriter.encodeText = function(text) {
+    let encoded = '';
+    for (const ch of String(text)) {
+        if (PdfWriter.CHAR_MAP[ch] !== undefined) {
+            encoded += PdfWriter.CHAR_MAP[ch];
+        } else if (ch.charCodeAt(0) < 256 && ch.length === 1) {
+            encoded += ch;
+        }
+    }
+    return encoded.replace(/\s+/g, ' ');
+};
+
+/**
+ * Width of a string in points
+ * Characters outside 32-126 are measured as an average glyph.
+ *
+ * @param {string} text - Text
+ * @param {number} size - Font size (pt)
+ * @param {boolean} bold - Helvetica-Bold instead of Helvetica
+ * @returns {number} Width (pt)
+ */
+PdfWriter.textWidth = function(text, size, bold = false) {
+    const widths = bold ? PdfWriter.WIDTHS.bold : PdfWriter.WIDTHS.regular;
+    let total = 0;
+    for (const ch of PdfWriter.encodeText(text)) {
+        const code = ch.charCodeAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (total * size) / 1000;
+};
+
+/**
+ * Break text into lines that fit a width
+ *
+ * @param {string} text - Text
+ * @param {number} width - Maximum line width (pt)
+ * @param {number} size - Font size (pt)
+ * @param {boolean} bold - Bold font
+ * @returns {array} Lines
+ */
+PdfWriter.wrapText = function(text, width, size, bold = false) {
+    const lines = [];
+    let line = '';
+
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && PdfWriter.textWidth(candidate, size, bold) > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line) lines.push(line);
+
+    return lines;
+};
+
+/**
+ * Shorten text with an ellipsis so that it fits a width
+ *
+ * @param {string} text - Text
+ * @param {number} width - Maximum width (pt)
+ * @param {number} size - Font size (pt)
+ * @param {boolean} bold - Bold font
+ * @returns {string} Text that fits
+ */
+PdfWriter.fitText = function(text, width, size, bold = false) {
+    let fitted = String(text);
+    if (PdfWriter.textWidth(fitted, size, bold) <= width) return fitted;
+
+    while (fitted.length > 1 && PdfWriter.textWidth(`${fitted}…`, size, bold) > width) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}…`;
+};
+
+// ============================================
+// DRAWING
+// ============================================
+
+/**
+ * Format a number for a content stream
+ *
+ * @param {number} value - Number
+ * @returns {string} Number with at most 3 decimals
+ */
+PdfWriter.num = function(value) {
+    return String(Math.round(value * 1000) / 1000);
+};
+
+/**
+ * Convert '#rrggbb' to a PDF colour operand ("r g b")
+ *
+ * @param {string} hex - Colour
+ * @returns {string} Operand
+ */
+PdfWriter.color = function(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+        .map(c => PdfWriter.num(c / 255))
+        .join(' ');
+};
+
+/**
+ * Escape an encoded string as a PDF literal, using octal escapes outside ASCII
+ *
+ * @param {string} text - WinAnsi text from encodeText()
+ * @returns {string} Literal including the parentheses
+ */
+PdfWriter.literal = function(text) {
+    let out = '(';
+    for (const ch of text) {
+        const code = ch.charCodeAt(0);
+        if (ch === '(' || ch === ')' || ch === '\\') {
+            out += `\\${ch}`;
+        } else if (code < 32 || code > 126) {
+            out += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            out += ch;
+        }
+    }
+    return `${out})`;
+};
+
+/**
+ * Encode document metadata as a UTF-16BE hex string (any Unicode text)
+ *
+ * @param {string} text - Text
+ * @returns {string} Hex string including the angle brackets
+ */
+PdfWriter.unicodeString = function(text) {
+    let hex = '<FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+    }
+    return `${hex}>`;
+};
+
+/**
+ * Draw a line of text
+ *
+ * @param {object} page - Page
+ * @param {number} x - Left edge, or anchor for 'right' / 'center'
+ * @param {number} y - Baseline, from the top of the page
+ * @param {string} text - Text
+ * @param {object} options - { size = 10, bold = false, color = '#333333', align = 'left' }
+ */
+PdfWriter.text = function(page, x, y, text, options = {}) {
+    const { size = 10, bold = false, color = '#333333', align = 'left' } = options;
+    const encoded = PdfWriter.encodeText(text);
+    if (!encoded) return;
+
+    const width = PdfWriter.textWidth(text, size, bold);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+
+    page.ops.push(
+        `BT /${bold ? 'F2' : 'F1'} ${PdfWriter.num(size)} Tf ${PdfWriter.color(color)} rg ` +
+        `${PdfWriter.num(left)} ${PdfWriter.num(PdfWriter.PAGE.height - y)} Td ${PdfWriter.literal(encoded)} Tj ET`
+    );
+};
+
+/**
+ * Draw a rectangle
+ *
+ * @param {object} page - Page
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge, from the top of the page
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {object} options - { fill: '#rrggbb', stroke: '#rrggbb', line_width = 0.5 }
+ */
+PdfWriter.rect = function(page, x, y, width, height, options = {}) {
+    const { fill, stroke, line_width = 0.5 } = options;
+    if (!fill && !stroke) return;
+
+    const box = `${PdfWriter.num(x)} ${PdfWriter.num(PdfWriter.PAGE.height - y - height)} ` +
+        `${PdfWriter.num(width)} ${PdfWriter.num(height)} re`;
+    let op = 'q ';
+    if (fill) op += `${PdfWriter.color(fill)} rg `;
+    if (stroke) op += `${PdfWriter.color(stroke)} RG ${PdfWriter.num(line_width)} w `;
+    op += `${box} ${fill && stroke ? 'B' : fill ? 'f' : 'S'} Q`;
+
+    page.ops.push(op);
+};
+
+/**
+ * Draw a straight line
+ *
+ * @param {object} page - Page
+ * @param {number} x1 - Start x
+ * @param {number} y1 - Start y, from the top of the page
+ * @param {number} x2 - End x
+ * @param {number} y2 - End y, from the top of the page
+ * @param {object} options - { color = '#cccccc', width = 0.5 }
+ */
+PdfWriter.line = function(page, x1, y1, x2, y2, options = {}) {
+    const { color = '#cccccc', width = 0.5 } = options;
+    const h = PdfWriter.PAGE.height;
+
+    page.ops.push(
+        `q ${PdfWriter.color(color)} RG ${PdfWriter.num(width)} w ` +
+        `${PdfWriter.num(x1)} ${PdfWriter.num(h - y1)} m ${PdfWriter.num(x2)} ${PdfWriter.num(h - y2)} l S Q`
+    );
+};
+
+/**
+ * Register a JPEG image with the document
+ *
+ * @param {object} doc - Document
+ * @param {Uint8Array} jpeg - JPEG file bytes (baseline, RGB)
+ * @param {number} width - Image width (px)
+ * @param {number} height - Image height (px)
+ * @returns {string} Image name for PdfWriter.image()
+ */
+PdfWriter.addImage = function(doc, jpeg, width, height) {
+    const name = `Im${doc.images.length + 1}`;
+    doc.images.push({ name, data: jpeg, width, height });
+    return name;
+};
+
+/**
+ * Draw a registered image
+ *
+ * @param {object} page - Page
+ * @param {string} name - Name from addImage()
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge, from the top of the page
+ * @param {number} width - Drawn width (pt)
+ * @param {number} height - Drawn height (pt)
+ */
+PdfWriter.image = function(page, name, x, y, width, height) {
+    page.ops.push(
+        `q ${PdfWriter.num(width)} 0 0 ${PdfWriter.num(height)} ` +
+        `${PdfWriter.num(x)} ${PdfWriter.num(PdfWriter.PAGE.height - y - height)} cm /${name} Do Q`
+    );
+};
+
+// ============================================
+// SERIALIZATION
+// ============================================
+
+/**
+ * Serialize the document
+ *
+ * @param {object} doc - Document
+ * @returns {Uint8Array} PDF file bytes
+ */
+PdfWriter.build = function(doc) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = data => {
+        const bytes = typeof data === 'string'
+            ? Uint8Array.from(data, ch => ch.charCodeAt(0) & 255)
+            : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream !== undefined) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    // Object ids: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then page + content pairs
+    const image_ids = doc.images.map((img, i) => 6 + i);
+    const first_page_id = 6 + doc.images.length;
+    const page_ids = doc.pages.map((p, i) => first_page_id + i * 2);
+    const xobjects = doc.images.map((img, i) => `/${img.name} ${image_ids[i]} 0 R`).join(' ');
+    const resources = '<< /Font << /F1 3 0 R /F2 4 0 R >>' + (xobjects ? ` /XObject << ${xobjects} >>` : '') + ' >>';
+    const pdf_date = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${page_ids.map(id => `${id} 0 R`).join(' ')}] /Count ${page_ids.length} >>`);
+    object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    object(5, `<< /Title ${PdfWriter.unicodeString(doc.info.title || '')} ` +
+        `/Author ${PdfWriter.unicodeString(doc.info.author || '')} ` +
+        `/Producer (Solar LCOE Calculator) /CreationDate (D:${pdf_date}Z) >>`);
+
+    doc.images.forEach((img, i) => {
+        object(image_ids[i],
+            `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>`,
+            img.data);
+    });
+
+    doc.pages.forEach((page, i) => {
+        const content = page.ops.join('\n');
+        object(page_ids[i],
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PdfWriter.PAGE.width} ${PdfWriter.PAGE.height}] ` +
+            `/Resources ${resources} /Contents ${page_ids[i] + 1} 0 R >>`);
+        object(page_ids[i] + 1, `<< /Length ${content.length} >>`, content);
+    });
+
+    const object_count = first_page_id + doc.pages.length * 2;
+    const xref_offset = length;
+    let xref = `xref\n0 ${object_count}\n0000000000 65535 f \n`;
+    for (let id = 1; id < object_count; id++) {
+        xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${object_count} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref_offset}\n%%EOF\n`);
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, position);
+        position += chunk.length;
+    });
+    return output;
+};
@@ -0,0 +1,98 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - PERMALINK
+ * ============================================
+ *
+ * Encodes every input and the chart settings into the URL hash so that a
+ * copied link reproduces the same numbers and charts, e.g.
+ *   index.html#capacity=1&capex_per_mw=34400000&...&tornado_variance=20
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const Permalink = {
+    // Chart settings carried in the link: hash parameter → element id
+    SETTINGS: {
+        tornado_variance: 'tornado-variance',
+        heatmap_param1: 'heatmap-param1',
+        heatmap_param2: 'heatmap-param2'
+    }
+};
+
+// ============================================
+// ENCODING
+// ============================================
+
+/**
+ * Build the URL hash for a set of inputs and chart settings
+ * Arrays (e.g. degradation_table) are written comma separated.
+ *
+ * @param {object} inputs - Calculator inputs
+ * @param {object} settings - Chart settings keyed as in SETTINGS
+ * @returns {string} Hash without the leading '#'
+ */
+Permalink.encode = function(inputs, settings = {}) {
+    const params = new URLSearchParams();
+
+    Object.entries({ ...inputs, ...settings }).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    });
+
+    return params.toString();
+};
+
+/**
+ * Read inputs and chart settings from a URL hash
+ * Values are converted to the type of the matching default; unknown keys and
+ * values that are not valid numbers are ignored.
+ *
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @param {object} defaults - Default inputs, used for the set of keys and their types
+ * @returns {object} { inputs, settings, ignored: [keys skipped] }
+ */
+Permalink.decode = function(hash, defaults) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const inputs = {};
+    const settings = {};
+    const ignored = [];
+
+    params.forEach((raw, key) => {
+        if (Permalink.SETTINGS[key]) {
+            settings[key] = raw;
+            return;
+        }
+        if (!(key in defaults)) {
+            ignored.push(key);
+            return;
+        }
+
+        const default_value = defaults[key];
+        if (Array.isArray(default_value)) {
+            inputs[key] = raw.split(',').map(v => parseFloat(v)).filter(v => !isNaN(v));
+        } else if (typeof default_value === 'number') {
+            const value = parseFloat(raw);
+            if (isNaN(value)) {
+                ignored.push(key);
+            } else {
+                inputs[key] = value;
+            }
+        } else {
+            inputs[key] = raw;
+        }
+    });
+
+    return { inputs, settings, ignored };
+};
+
+/**
+ * Check whether a URL hash carries calculator state
+ *
+ * @param {string} hash - location.hash
+ * @param {object} defaults - Default inputs
+ * @returns {boolean} True if at least one input is present
+ */
+Permalink.hasState = function(hash, defaults) {
+    return Object.keys(Permalink.decode(hash, defaults).inputs).length > 0;
+};
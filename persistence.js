@@ -0,0 +1,202 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - PERSISTENCE
+ * ============================================
+ *
+ * Saves the working inputs and all scenarios in localStorage so that work
+ * survives a reload. The stored payload carries a schema version; older
+ * payloads are upgraded by MIGRATIONS and any input field added since they
+ * were written is filled from the current defaults.
+ *
+ * Stored payload (version 1):
+ *   { version, saved_at, inputs, scenarios: [{id, name, inputs, created}], next_scenario_id }
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const Persistence = {
+    // localStorage key for the current payload
+    STORAGE_KEY: 'solar-lcoe-calculator',
+
+    // localStorage key a payload that failed to parse is copied to
+    BACKUP_KEY: 'solar-lcoe-calculator:backup',
+
+    // Schema version written by this build
+    SCHEMA_VERSION: 1,
+
+    // MIGRATIONS[n] upgrades a version-n payload to version n + 1
+    MIGRATIONS: {
+        // Unversioned payload: a bare inputs object (or { inputs })
+        0: data => ({
+            inputs: data.inputs || data,
+            scenarios: [],
+            next_scenario_id: 1
+        })
+    }
+};
+
+// ============================================
+// STORAGE ACCESS
+// ============================================
+
+/**
+ * Get localStorage, or null when the browser blocks it (private mode, file://)
+ *
+ * @returns {Storage|null} Storage object
+ */
+Persistence.getStorage = function() {
+    try {
+        const storage = window.localStorage;
+        const probe = `${Persistence.STORAGE_KEY}:probe`;
+        storage.setItem(probe, '1');
+        storage.removeItem(probe);
+        return storage;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Write the working state
+ *
+ * @param {object} state - { inputs, scenarios, next_scenario_id }
+ * @returns {boolean} True if the state was written
+ */
+Persistence.save = function(state) {
+    const storage = Persistence.getStorage();
+    if (!storage) return false;
+
+    const payload = {
+        version: Persistence.SCHEMA_VERSION,
+        saved_at: new Date().toISOString(),
+        inputs: state.inputs,
+        scenarios: state.scenarios,
+        next_scenario_id: state.next_scenario_id
+    };
+
+    try {
+        storage.setItem(Persistence.STORAGE_KEY, JSON.stringify(payload));
+        return true;
+    } catch (error) {
+        console.warn('⚠️ Could not save to localStorage:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Read and upgrade the stored state
+ *
+ * @param {object} defaults - Current default inputs, used to fill new fields
+ * @returns {object} { status: 'empty' | 'ok' | 'corrupt' | 'unavailable', data, raw, error }
+ */
+Persistence.load = function(defaults) {
+    const storage = Persistence.getStorage();
+    if (!storage) return { status: 'unavailable' };
+
+    const raw = storage.getItem(Persistence.STORAGE_KEY);
+    if (raw === null) return { status: 'empty' };
+
+    try {
+        return { status: 'ok', data: Persistence.migrate(JSON.parse(raw), defaults), raw };
+    } catch (error) {
+        return { status: 'corrupt', raw, error };
+    }
+};
+
+/**
+ * Copy an unreadable payload to the backup key and clear the main key
+ *
+ * @param {string} raw - Payload text that failed to load
+ */
+Persistence.backupAndClear = function(raw) {
+    const storage = Persistence.getStorage();
+    if (!storage) return;
+
+    try {
+        storage.setItem(Persistence.BACKUP_KEY, raw);
+    } catch (error) {
+        console.warn('⚠️ Could not back up unreadable saved data:', error.message);
+    }
+    storage.removeItem(Persistence.STORAGE_KEY);
+};
+
+/**
+ * Remove the stored state
+ */
+Persistence.clear = function() {
+    Persistence.getStorage()?.removeItem(Persistence.STORAGE_KEY);
+};
+
+// ============================================
+// SCHEMA MIGRATION
+// ============================================
+
+/**
+ * Upgrade a stored payload to the current schema
+ * Runs each migration from the payload's version up to SCHEMA_VERSION, then
+ * fills input fields missing from the working inputs and from every scenario
+ * with the current defaults and drops fields this build no longer knows.
+ *
+ * @param {object} data - Parsed payload
+ * @param {object} defaults - Current default inputs
+ * @returns {object} { version, saved_at, inputs, scenarios, next_scenario_id }
+ * @throws {Error} If the payload is not an object, is from a newer build or has no migration path
+ */
+Persistence.migrate = function(data, defaults) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Saved data is not an object');
+    }
+
+    let version = Number.isInteger(data.version) ? data.version : 0;
+    if (version > Persistence.SCHEMA_VERSION) {
+        throw new Error(`Saved data is from a newer version (schema ${version})`);
+    }
+
+    let migrated = data;
+    while (version < Persistence.SCHEMA_VERSION) {
+        const migration = Persistence.MIGRATIONS[version];
+        if (!migration) {
+            throw new Error(`No migration from schema version ${version}`);
+        }
+        migrated = { ...migration(migrated), version: version + 1 };
+        version++;
+    }
+
+    const fillInputs = inputs => {
+        if (!inputs || typeof inputs !== 'object') {
+            throw new Error('Saved inputs are not an object');
+        }
+        const filled = {};
+        Object.keys(defaults).forEach(key => {
+            const value = inputs[key] !== undefined ? inputs[key] : defaults[key];
+            filled[key] = Array.isArray(value) ? value.slice() : value;
+        });
+        return filled;
+    };
+
+    if (migrated.scenarios !== undefined && !Array.isArray(migrated.scenarios)) {
+        throw new Error('Saved scenarios are not a list');
+    }
+
+    const scenarios = (migrated.scenarios || []).map(s => {
+        if (!Number.isInteger(s?.id)) {
+            throw new Error('Saved scenario has no valid id');
+        }
+        return {
+            id: s.id,
+            name: String(s.name),
+            inputs: fillInputs(s.inputs),
+            created: s.created
+        };
+    });
+    const highest_id = scenarios.reduce((max, s) => Math.max(max, s.id), 0);
+
+    return {
+        version,
+        saved_at: migrated.saved_at || null,
+        inputs: fillInputs(migrated.inputs),
+        scenarios,
+        next_scenario_id: Math.max(migrated.next_scenario_id || 1, highest_id + 1)
+    };
+};
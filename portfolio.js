@@ -0,0 +1,272 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - PORTFOLIO BATCH MODE
+ * ============================================
+ *
+ * Runs calculateLCOE() for every site in an uploaded CSV/TSV table (one row
+ * per site) and aggregates a capacity-weighted portfolio LCOE.
+ *
+ * Columns are matched to inputs by key (capex_per_mw), form label
+ * (Total CAPEX (₹)), report label (CAPEX per MW (₹)) or a short alias (capex).
+ * Inputs without a column take the base inputs from the form.
+ *
+ * No DOM dependencies
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const Portfolio = {
+    // Short column names accepted in uploaded tables
+    ALIASES: {
+        site: 'site',
+        name: 'site',
+        site_name: 'site',
+        generation: 'energy_generation',
+        energy: 'energy_generation',
+        annual_energy: 'energy_generation',
+        capex: 'capex_per_mw',
+        opex: 'opex_percent',
+        opex_pct: 'opex_percent',
+        interest: 'interest_rate',
+        tenure: 'loan_tenure',
+        lifetime: 'project_lifetime',
+        life: 'project_lifetime',
+        discount: 'discount_rate'
+    },
+
+    // Result columns computed for each site: key → {label, decimals}
+    RESULT_COLUMNS: {
+        lcoe_kwh: { label: 'LCOE (₹/kWh)', decimals: 4 },
+        lcoe_mwh: { label: 'LCOE (₹/MWh)', decimals: 2 },
+        after_tax_lcoe_kwh: { label: 'After-Tax LCOE (₹/kWh)', decimals: 4 },
+        project_irr: { label: 'Project IRR (%)', decimals: 2 },
+        cue: { label: 'CUE (%)', decimals: 2, scale: 100 }
+    },
+
+    // Input columns listed in the template and results file; a blank cell in
+    // one of these columns is a row error rather than a fallback to the form
+    TEMPLATE_COLUMNS: ['capacity', 'energy_generation', 'capex_per_mw', 'opex_percent', 'interest_rate',
+        'loan_tenure', 'project_lifetime', 'discount_rate']
+};
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Normalise a column heading for matching: lower case, non-alphanumerics to '_'
+ *
+ * @param {string} heading - Column heading
+ * @returns {string} Normalised heading
+ */
+Portfolio.normalizeHeading = function(heading) {
+    return String(heading).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+};
+
+/**
+ * Map column headings to input keys
+ *
+ * @param {array} headings - Header row
+ * @returns {object} { columns: [key | null per column], unknown: [headings not matched] }
+ */
+Portfolio.mapColumns = function(headings) {
+    const lookup = { ...Portfolio.ALIASES };
+    Object.keys(INPUT_FIELDS).forEach(key => {
+        lookup[key] = key;
+        lookup[Portfolio.normalizeHeading(INPUT_FIELDS[key].label)] = key;
+        if (ProjectIO.REPORT_INPUT_LABELS[key]) {
+            lookup[Portfolio.normalizeHeading(ProjectIO.REPORT_INPUT_LABELS[key])] = key;
+        }
+    });
+
+    const unknown = [];
+    const columns = headings.map(heading => {
+        const key = lookup[Portfolio.normalizeHeading(heading)];
+        if (!key && String(heading).trim()) unknown.push(String(heading).trim());
+        return key || null;
+    });
+
+    return { columns, unknown };
+};
+
+/**
+ * Parse an uploaded site table
+ * Tab-separated text is detected from the header row; otherwise commas are used.
+ *
+ * @param {string} text - CSV or TSV contents with a header row
+ * @returns {object} { columns, unknown, rows: [{line, cells}] }
+ * @throws {Error} If the table has no header or no site rows
+ */
+Portfolio.parseTable = function(text) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const first_line = clean.split(/\r?\n/, 1)[0];
+    const delimiter = first_line.includes('\t') ? '\t' : ',';
+    const table = ProjectIO.parseCSV(clean, delimiter)
+        .map((cells, index) => ({ line: index + 1, cells }))
+        .filter(row => row.cells.some(cell => cell.trim() !== ''));
+
+    if (table.length < 2) {
+        throw new Error('The table needs a header row and at least one site row');
+    }
+
+    const { columns, unknown } = Portfolio.mapColumns(table[0].cells);
+    if (!columns.some(key => key && key !== 'site')) {
+        throw new Error('No column matches a calculator input (e.g. capacity, energy_generation, capex_per_mw)');
+    }
+
+    return { columns, unknown, rows: table.slice(1) };
+};
+
+// ============================================
+// CALCULATION
+// ============================================
+
+/**
+ * Run every site through calculateLCOE()
+ * Rows with invalid or blank values are kept with their errors and no results.
+ *
+ * @param {string} text - CSV or TSV contents
+ * @param {object} base_inputs - Inputs used for columns the table does not have
+ * @returns {object} { sites: [{index, line, site, inputs, results, errors}], unknown_columns, summary }
+ * @throws {Error} If the table cannot be read at all
+ */
+Portfolio.run = function(text, base_inputs) {
+    const { columns, unknown, rows } = Portfolio.parseTable(text);
+
+    const sites = rows.map((row, index) => {
+        const inputs = { ...base_inputs };
+        const errors = [];
+        const raw_values = {};
+        let site = `Site ${index + 1}`;
+
+        columns.forEach((key, col) => {
+            const raw = (row.cells[col] ?? '').trim();
+            if (!key) return;
+            if (raw === '') {
+                if (Portfolio.TEMPLATE_COLUMNS.includes(key)) {
+                    errors.push(`${INPUT_FIELDS[key].label}: is blank`);
+                }
+                return;
+            }
+
+            if (key === 'site') {
+                site = raw;
+                return;
+            }
+
+            raw_values[key] = raw;
+            const type = INPUT_FIELDS[key].type;
+            if (type === 'list') {
+                inputs[key] = raw.split(/[\s;]+/).map(v => Number(v));
+            } else if (type === 'number' || type === 'integer') {
+                inputs[key] = Number(raw.replace(/[₹,\s]/g, ''));
+            } else {
+                inputs[key] = raw;
+            }
+        });
+
+        validateInputs(inputs).forEach(error => {
+            errors.push(`${error.label}: ${error.message} (got "${raw_values[error.field] ?? error.value}")`);
+        });
+        // Cross-field rules (e.g. tenure within the lifetime) once every value is valid;
+        // warnings do not stop a site from being calculated
+        if (!errors.length) {
+            validateInputRules(inputs)
+                .filter(issue => issue.level === 'error')
+                .forEach(issue => errors.push(`${issue.label}: ${issue.message}`));
+        }
+
+        let results = null;
+        if (!errors.length) {
+            const calc = calculateLCOE(inputs);
+            if (isFinite(calc.lcoe_kwh)) {
+                results = calc;
+            } else {
+                errors.push('LCOE could not be calculated for these inputs');
+            }
+        }
+
+        return { index, line: row.line, site, inputs, results, errors };
+    });
+
+    return { sites, unknown_columns: unknown, summary: Portfolio.summarize(sites) };
+};
+
+/**
+ * Aggregate valid sites into portfolio figures
+ * Portfolio LCOE is weighted by installed capacity: Σ(MW × LCOE) / Σ MW
+ *
+ * @param {array} sites - Sites from Portfolio.run()
+ * @returns {object} { site_count, valid_count, error_count, total_capacity, weighted_lcoe_kwh,
+ *   min_lcoe_kwh, max_lcoe_kwh }
+ */
+Portfolio.summarize = function(sites) {
+    const valid = sites.filter(s => s.results);
+    const total_capacity = valid.reduce((sum, s) => sum + s.inputs.capacity, 0);
+    const weighted = valid.reduce((sum, s) => sum + s.inputs.capacity * s.results.lcoe_kwh, 0);
+    const lcoes = valid.map(s => s.results.lcoe_kwh);
+
+    return {
+        site_count: sites.length,
+        valid_count: valid.length,
+        error_count: sites.length - valid.length,
+        total_capacity,
+        weighted_lcoe_kwh: total_capacity > 0 ? weighted / total_capacity : null,
+        min_lcoe_kwh: lcoes.length ? Math.min(...lcoes) : null,
+        max_lcoe_kwh: lcoes.length ? Math.max(...lcoes) : null
+    };
+};
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Template table with the expected columns and one example row
+ *
+ * @param {object} base_inputs - Inputs used for the example row
+ * @returns {string} CSV text
+ */
+Portfolio.template = function(base_inputs) {
+    const header = ['site', ...Portfolio.TEMPLATE_COLUMNS];
+    const example = ['Example Site', ...Portfolio.TEMPLATE_COLUMNS.map(key => base_inputs[key])];
+    return `${header.join(',')}\n${example.map(ProjectIO.csvCell).join(',')}\n`;
+};
+
+/**
+ * Results file: inputs used, results and validation errors for every row
+ *
+ * @param {object} run - Result of Portfolio.run()
+ * @returns {string} CSV text
+ */
+Portfolio.toCSV = function(run) {
+    const input_keys = Object.keys(INPUT_FIELDS);
+    const header = [
+        'Row', 'Site', 'Status',
+        ...input_keys,
+        ...Object.values(Portfolio.RESULT_COLUMNS).map(c => c.label),
+        'Errors'
+    ];
+
+    const lines = [header.map(ProjectIO.csvCell).join(',')];
+    run.sites.forEach(s => {
+        const inputs = input_keys.map(key => Array.isArray(s.inputs[key]) ? s.inputs[key].join(' ') : s.inputs[key]);
+        const results = Object.entries(Portfolio.RESULT_COLUMNS).map(([key, column]) => {
+            const value = s.results?.[key];
+            return value === null || value === undefined ? '' : (value * (column.scale || 1)).toFixed(column.decimals);
+        });
+        const row = [s.line, s.site, s.results ? 'OK' : 'ERROR', ...inputs, ...results, s.errors.join('; ')];
+        lines.push(row.map(ProjectIO.csvCell).join(','));
+    });
+
+    const summary = run.summary;
+    lines.push('');
+    lines.push(`Sites,${summary.site_count}`);
+    lines.push(`Valid Sites,${summary.valid_count}`);
+    lines.push(`Sites with Errors,${summary.error_count}`);
+    lines.push(`Total Capacity (MW),${summary.total_capacity}`);
+    lines.push(`Capacity-Weighted LCOE (₹/kWh),${summary.weighted_lcoe_kwh === null ? '' : summary.weighted_lcoe_kwh.toFixed(4)}`);
+
+    return lines.join('\n') + '\n';
+};
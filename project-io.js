@@ -0,0 +1,609 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - PROJECT FILES
+ * ============================================
+ *
+ * JSON project format holding everything needed to restore a session:
+ *
+ *   {
+ *     format: 'solar-lcoe-project', schema_version: 1, name,
+ *     metadata: { application, exported_at, results: { lcoe_kwh, ... } },
+ *     inputs: { capacity, energy_generation, ... },
+ *     assumptions: { hours_in_year, lcoe_method, lcoe_formula, ... },
+ *     scenarios: [{ name, inputs, created }],
+ *     settings: { tornado_variance, heatmap_param1, heatmap_param2 }
+ *   }
+ *
+ * Inputs are authoritative on import; assumptions and metadata document how
+ * the file was calculated and are only used for consistency warnings.
+ *
+ * Also writes the CSV report (ProjectIO.reportCSV) and reads it back.
+ *
+ * No DOM dependencies
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const ProjectIO = {
+    FORMAT: 'solar-lcoe-project',
+    SCHEMA_VERSION: 1,
+
+    // Result fields recorded in metadata.results
+    RESULT_FIELDS: ['lcoe_kwh', 'lcoe_mwh', 'after_tax_lcoe_kwh', 'project_irr', 'equity_irr', 'project_npv']
+};
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Build a project file object from the current session
+ *
+ * @param {object} state - { inputs, scenarios: [{name, inputs, created}], settings, name }
+ * @returns {object} Project object ready for JSON.stringify
+ */
+ProjectIO.build = function(state) {
+    const results = calculateLCOE(state.inputs);
+    const summary = {};
+    ProjectIO.RESULT_FIELDS.forEach(key => { summary[key] = results[key]; });
+
+    return {
+        format: ProjectIO.FORMAT,
+        schema_version: ProjectIO.SCHEMA_VERSION,
+        name: state.name || 'Solar LCOE Project',
+        metadata: {
+            application: 'Solar LCOE Calculator',
+            exported_at: new Date().toISOString(),
+            results: summary
+        },
+        inputs: state.inputs,
+        assumptions: {
+            hours_in_year: CONSTANTS.hours_in_year,
+            lcoe_method: LCOE_METHODS[results.lcoe_method].label,
+            lcoe_formula: LCOE_METHODS[results.lcoe_method].formula,
+            degradation_profile: DEGRADATION_PROFILES[results.degradation_profile],
+            loan_repayment: LOAN_REPAYMENT_TYPES[results.loan_repayment],
+            depreciation_method: DEPRECIATION_METHODS[state.inputs.depreciation_method] || null,
+            energy_basis: 'Inputs are per plant; CAPEX and energy are divided by capacity (per MW)'
+        },
+        scenarios: (state.scenarios || []).map(s => ({
+            name: s.name,
+            inputs: s.inputs,
+            created: s.created
+        })),
+        settings: state.settings || {}
+    };
+};
+
+/**
+ * Serialize the current session as a JSON project file
+ *
+ * @param {object} state - See ProjectIO.build()
+ * @returns {string} Pretty-printed JSON
+ */
+ProjectIO.stringify = function(state) {
+    return JSON.stringify(ProjectIO.build(state), null, 2);
+};
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Check an inputs section field by field
+ * Missing fields take their default (with a warning), unknown fields are
+ * ignored (with a warning) and invalid values are errors.
+ *
+ * @param {*} inputs - Inputs section from the file
+ * @param {string} path - Location used in messages, e.g. 'inputs' or 'scenarios[2]'
+ * @param {object} defaults - Default inputs
+ * @param {object} report - { errors, warnings } arrays to append to
+ * @returns {object|null} Complete inputs object, or null if the section is unusable
+ */
+ProjectIO.checkInputs = function(inputs, path, defaults, report) {
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+        report.errors.push(`${path}: must be an object of input values`);
+        return null;
+    }
+
+    const checked = {};
+    Object.keys(defaults).forEach(key => {
+        if (inputs[key] === undefined) {
+            report.warnings.push(`${path}.${key}: missing, using default ${JSON.stringify(defaults[key])}`);
+            checked[key] = Array.isArray(defaults[key]) ? defaults[key].slice() : defaults[key];
+        } else {
+            checked[key] = inputs[key];
+        }
+    });
+
+    Object.keys(inputs).forEach(key => {
+        if (!(key in defaults)) {
+            report.warnings.push(`${path}.${key}: unknown field, ignored`);
+        }
+    });
+
+    validateInputs(checked).forEach(error => {
+        report.errors.push(`${path}.${error.field} (${error.label}): ${error.message}, got ${JSON.stringify(error.value)}`);
+    });
+
+    return checked;
+};
+
+/**
+ * Parse and validate a JSON project file
+ *
+ * @param {string} text - File contents
+ * @param {object} defaults - Default inputs (the set of known fields)
+ * @returns {object} { project: {name, inputs, scenarios, settings} | null, errors: [], warnings: [] }
+ *   project is null whenever errors is not empty
+ */
+ProjectIO.parse = function(text, defaults) {
+    const report = { errors: [], warnings: [] };
+    let data;
+
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        report.errors.push(`File is not valid JSON: ${error.message}`);
+        return { project: null, ...report };
+    }
+
+    if (!data || typeof data !== 'object' || data.format !== ProjectIO.FORMAT) {
+        report.errors.push(`format: expected "${ProjectIO.FORMAT}" – this is not a project file`);
+        return { project: null, ...report };
+    }
+    if (!Number.isInteger(data.schema_version) || data.schema_version > ProjectIO.SCHEMA_VERSION) {
+        report.errors.push(`schema_version: ${JSON.stringify(data.schema_version)} is not supported by this version (max ${ProjectIO.SCHEMA_VERSION})`);
+        return { project: null, ...report };
+    }
+
+    const inputs = ProjectIO.checkInputs(data.inputs, 'inputs', defaults, report);
+
+    let scenarios = [];
+    if (data.scenarios !== undefined && !Array.isArray(data.scenarios)) {
+        report.errors.push('scenarios: must be a list');
+    } else {
+        scenarios = (data.scenarios || []).map((s, i) => {
+            const name = typeof s?.name === 'string' && s.name.trim() ? s.name.trim() : `Scenario ${i + 1}`;
+            return {
+                name,
+                inputs: ProjectIO.checkInputs(s?.inputs, `scenarios[${i}] "${name}"`, defaults, report),
+                created: s?.created || new Date().toISOString()
+            };
+        });
+    }
+
+    const settings = {};
+    if (data.settings && typeof data.settings === 'object') {
+        Object.entries(data.settings).forEach(([key, value]) => {
+            if (typeof value === 'string' || typeof value === 'number') settings[key] = String(value);
+        });
+    }
+
+    if (report.errors.length) {
+        return { project: null, ...report };
+    }
+
+    // Flag files whose stored results no longer match this calculator
+    const stored_lcoe = data.metadata?.results?.lcoe_kwh;
+    if (typeof stored_lcoe === 'number') {
+        const lcoe = calculateLCOE(inputs).lcoe_kwh;
+        if (Math.abs(lcoe - stored_lcoe) > 1e-6 * Math.max(1, Math.abs(stored_lcoe))) {
+            report.warnings.push(
+                `metadata.results.lcoe_kwh: file recorded ₹${stored_lcoe.toFixed(4)}/kWh, ` +
+                `this calculator gives ₹${lcoe.toFixed(4)}/kWh`
+            );
+        }
+    }
+
+    return {
+        project: { name: data.name || '', inputs, scenarios, settings },
+        ...report
+    };
+};
+
+// ============================================
+// CSV REPORTS
+// ============================================
+
+// Row labels of the "=== INPUT PARAMETERS ===" section of the CSV report, in
+// report order. Used both to write the report and to read it back.
+ProjectIO.REPORT_INPUT_LABELS = {
+    capacity: 'Capacity (MW)',
+    energy_generation: 'Annual Energy Generation (MWh)',
+    capex_per_mw: 'CAPEX per MW (₹)',
+    opex_percent: 'Annual OPEX (% of CAPEX)',
+    interest_rate: 'Loan Interest Rate (%)',
+    loan_tenure: 'Loan Tenure (Years)',
+    project_lifetime: 'Project Lifetime (Years)',
+    discount_rate: 'Discount Rate (%)',
+    opex_escalation_rate: 'OPEX Escalation Rate (%)',
+    degradation_rate: 'Panel Degradation Rate (%)',
+    degradation_profile: 'Degradation Profile',
+    first_year_degradation: 'First-Year Degradation (%)',
+    degradation_table: 'Degradation Table (% of nameplate)',
+    lcoe_method: 'LCOE Methodology',
+    debt_fraction: 'Debt Fraction (% of CAPEX)',
+    cost_of_equity: 'Cost of Equity (%)',
+    loan_repayment: 'Loan Repayment',
+    moratorium_years: 'Moratorium (Years)',
+    tax_rate: 'Corporate Tax Rate (%)',
+    tax_holiday_years: 'Tax Holiday (Years)',
+    mat_rate: 'MAT Rate (%)',
+    depreciation_method: 'Tax Depreciation Method',
+    depreciation_life: 'Depreciation Life (Years)',
+    wdv_rate: 'WDV Rate (%)',
+    accelerated_rate: 'Accelerated Depreciation (% Year 1)',
+    tariff: 'PPA Tariff Year 1 (₹/kWh)',
+    tariff_escalation_rate: 'Tariff Escalation (%)'
+};
+
+// Reports written before escalation and degradation became inputs only state
+// them in CALCULATION NOTES; these notes are read back as inputs.
+ProjectIO.NOTE_INPUTS = {
+    'OPEX Escalation Rate': 'opex_escalation_rate',
+    'Panel Degradation Rate': 'degradation_rate'
+};
+
+/**
+ * Quote a CSV cell when it contains a comma, quote or line break
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+ProjectIO.csvCell = function(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ *
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell separator (',' for CSV, '\t' for TSV)
+ * @returns {array} Array of rows, each an array of cell strings
+ */
+ProjectIO.parseCSV = function(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+/**
+ * Rows of the "=== MAIN RESULTS ===" report section
+ *
+ * @param {object} results - Results from calculateLCOE()
+ * @returns {array} Array of [label, formatted value]
+ */
+ProjectIO.reportMainResults = function(results) {
+    const rows = [
+        ['LCOE (₹/MWh)', results.lcoe_mwh.toFixed(2)],
+        ['LCOE (₹/kWh)', results.lcoe_kwh.toFixed(4)]
+    ];
+    Object.keys(results.lcoe_by_method).forEach(key => {
+        rows.push([`LCOE - ${LCOE_METHODS[key].label} (₹/kWh)`, (results.lcoe_by_method[key] / 1000).toFixed(4)]);
+    });
+    rows.push(['After-Tax LCOE (₹/MWh)', results.after_tax_lcoe_mwh.toFixed(2)]);
+    rows.push(['After-Tax LCOE (₹/kWh)', results.after_tax_lcoe_kwh.toFixed(4)]);
+    rows.push(['Capacity Utilization (%)', (results.cue * 100).toFixed(2)]);
+
+    return rows;
+};
+
+/**
+ * Rows of the "=== CALCULATION NOTES ===" report section
+ *
+ * @param {object} results - Results from calculateLCOE()
+ * @returns {array} Array of [label, text]
+ */
+ProjectIO.reportNotes = function(results) {
+    return [
+        ['OPEX Escalation Rate', `${results.opex_escalation_rate}% per year`],
+        ['Panel Degradation Rate', `${results.degradation_rate}% per year`],
+        ['Degradation Profile', DEGRADATION_PROFILES[results.degradation_profile] || results.degradation_profile],
+        ['LCOE Method', LCOE_METHODS[results.lcoe_method].label],
+        ['LCOE Formula', LCOE_METHODS[results.lcoe_method].formula],
+        ['Loan Repayment', LOAN_REPAYMENT_TYPES[results.loan_repayment]],
+        ['After-Tax LCOE Formula', '[Upfront + PV(Costs - Tax Shields)] / PV(Energy × (1 - Tax Rate))']
+    ];
+};
+
+/**
+ * Write the full CSV report (the "Export CSV" download)
+ *
+ * @param {object} report - Report content:
+ *   - inputs, results: Calculator inputs and calculateLCOE() results
+ *   - url: Permalink recorded in the header, optional
+ *   - monte_carlo: Last MonteCarlo.run() result, optional
+ *   - input_label: Function(input key) → display label (defaults to INPUT_FIELDS labels)
+ *   - generated: Report time (defaults to now)
+ * @returns {string} CSV text
+ */
+ProjectIO.reportCSV = function({ inputs, results, url = null, monte_carlo = null, input_label = null, generated = new Date() }) {
+    const label = input_label || (key => INPUT_FIELDS[key]?.label || key);
+
+    let csv = 'Solar LCOE Calculator - Export Report\n';
+    csv += `Generated: ${generated.toLocaleString('en-IN')}\n`;
+    if (url) csv += `URL: ${url}\n`;
+    csv += '\n';
+
+    // ===== INPUT SECTION =====
+    csv += '=== INPUT PARAMETERS ===\n';
+    Object.entries(ProjectIO.REPORT_INPUT_LABELS).forEach(([key, label]) => {
+        const value = Array.isArray(inputs[key]) ? inputs[key].join(' ') : inputs[key];
+        csv += `${ProjectIO.csvCell(label)},${ProjectIO.csvCell(value)}\n`;
+    });
+    csv += '\n';
+
+    // ===== RESULTS SECTION =====
+    csv += '=== MAIN RESULTS ===\n';
+    ProjectIO.reportMainResults(results).forEach(([label, value]) => {
+        csv += `${ProjectIO.csvCell(label)},${value}\n`;
+    });
+    csv += '\n';
+
+    // ===== PROJECT RETURNS =====
+    const csvOptional = (value, digits) => value === null || value === undefined || !isFinite(value) ? '–' : value.toFixed(digits);
+    csv += '=== PROJECT RETURNS ===\n';
+    csv += `Project IRR (%),${csvOptional(results.project_irr, 2)}\n`;
+    csv += `Equity IRR (%),${csvOptional(results.equity_irr, 2)}\n`;
+    csv += `Project NPV (₹),${csvOptional(results.project_npv, 2)}\n`;
+    csv += `Simple Payback (Years),${csvOptional(results.payback_year, 2)}\n`;
+    csv += `Discounted Payback (Years),${csvOptional(results.discounted_payback_year, 2)}\n`;
+    csv += `Minimum DSCR,${csvOptional(results.min_dscr, 2)}\n`;
+    csv += `Average DSCR,${csvOptional(results.avg_dscr, 2)}\n\n`;
+
+    // ===== DETAILED BREAKDOWN =====
+    csv += '=== DETAILED BREAKDOWN ===\n';
+    csv += `Total CAPEX (₹),${results.capex.toFixed(2)}\n`;
+    csv += `Annual OPEX Year 0 (₹),${results.annual_opex.toFixed(2)}\n`;
+    csv += `Debt Amount (₹),${results.debt_amount.toFixed(2)}\n`;
+    csv += `Equity Amount (₹),${results.equity_amount.toFixed(2)}\n`;
+    csv += `WACC (pre-tax %),${results.wacc.toFixed(2)}\n`;
+    csv += `WACC (post-tax %),${results.wacc_post_tax.toFixed(2)}\n`;
+    csv += `PV of Depreciation Tax Shield (₹),${results.pv_depreciation_shield.toFixed(2)}\n`;
+    csv += `PV of Interest Tax Shield (₹),${results.pv_interest_shield.toFixed(2)}\n`;
+    csv += `Annual EMI (₹),${results.annual_emi.toFixed(2)}\n`;
+    csv += `Total O&M Cost (₹),${results.total_om.toFixed(2)}\n`;
+    csv += `Total Loan Repayment (₹),${results.total_loan.toFixed(2)}\n`;
+    csv += `Total OPEX,${results.total_opex.toFixed(2)}\n`;
+    csv += `NPV of OPEX (₹),${results.npv_opex.toFixed(2)}\n`;
+    csv += `Total Energy Generated (MWh),${results.total_energy.toFixed(2)}\n\n`;
+
+    // ===== ANNUAL CASH FLOWS =====
+    csv += '=== ANNUAL CASH FLOWS ===\n';
+    csv += 'Year,Cash Flow (₹)\n';
+    results.cash_flows.forEach((cf, index) => {
+        csv += `${index + 1},${cf.toFixed(2)}\n`;
+    });
+
+    // ===== YEARLY SCHEDULE =====
+    csv += '\n=== YEARLY SCHEDULE ===\n';
+    csv += 'Year,Degradation Factor,Energy (MWh),O&M (₹),Interest (₹),Principal (₹),Debt Service (₹),' +
+        'Total Cost (₹),Discount Factor,PV of Cost (₹),PV of Energy (MWh),Revenue (₹)\n';
+    results.yearly_schedule.forEach(row => {
+        csv += `${row.year},${row.degradation_factor.toFixed(6)},${row.energy.toFixed(2)},${row.om.toFixed(2)},` +
+            `${row.interest.toFixed(2)},${row.principal.toFixed(2)},${row.debt_service.toFixed(2)},` +
+            `${row.total_cost.toFixed(2)},${row.discount_factor.toFixed(6)},${row.pv_cost.toFixed(2)},` +
+            `${row.pv_energy.toFixed(2)},${row.revenue.toFixed(2)}\n`;
+    });
+
+    // ===== LOAN SCHEDULE =====
+    csv += '\n=== LOAN AMORTIZATION SCHEDULE ===\n';
+    csv += 'Year,Opening Balance (₹),Interest (₹),Principal (₹),Debt Service (₹),Closing Balance (₹)\n';
+    results.loan_schedule.forEach(row => {
+        csv += `${row.year},${row.opening_balance.toFixed(2)},${row.interest.toFixed(2)},` +
+            `${row.principal.toFixed(2)},${row.debt_service.toFixed(2)},${row.closing_balance.toFixed(2)}\n`;
+    });
+
+    // ===== REVENUE & DSCR =====
+    csv += '\n=== REVENUE & DSCR ===\n';
+    csv += 'Year,Revenue (₹),Project Cash Flow (₹),Equity Cash Flow (₹),DSCR\n';
+    results.revenue_by_year.forEach((revenue, index) => {
+        csv += `${index + 1},${revenue.toFixed(2)},${results.project_cash_flows[index + 1].toFixed(2)},` +
+            `${results.equity_cash_flows[index + 1].toFixed(2)},${csvOptional(results.dscr_by_year[index], 2)}\n`;
+    });
+
+    // ===== TAX SCHEDULE =====
+    csv += '\n=== TAX SCHEDULE ===\n';
+    csv += 'Year,Tax Rate (%),Depreciation (₹),Interest (₹),Deductions (₹),Tax Shield (₹)\n';
+    results.tax_schedule.forEach(row => {
+        csv += `${row.year},${row.tax_rate},${row.depreciation.toFixed(2)},${row.interest.toFixed(2)},` +
+            `${row.deductions.toFixed(2)},${row.tax_shield.toFixed(2)}\n`;
+    });
+
+    // ===== MONTE CARLO UNCERTAINTY =====
+    if (monte_carlo) {
+        const mc = monte_carlo;
+        csv += '\n=== MONTE CARLO UNCERTAINTY ===\n';
+        csv += `Iterations,${mc.iterations}\n`;
+        csv += `Discarded Samples (invalid or no finite LCOE),${mc.discarded ?? 0}\n`;
+        csv += `Random Seed,${mc.seed}\n`;
+        Object.entries(mc.distributions).forEach(([key, dist]) => {
+            const params = MonteCarlo.DISTRIBUTIONS[dist.type].params.map(param => `${param}=${dist[param]}`).join(' ');
+            csv += `"${label(key)}",${MonteCarlo.DISTRIBUTIONS[dist.type].label} ${params}\n`;
+        });
+        if (mc.correlation) {
+            const { keys, matrix } = mc.correlation;
+            csv += 'Correlated Inputs,Target Rank Correlation,Achieved Rank Correlation\n';
+            keys.forEach((a, i) => keys.forEach((b, j) => {
+                if (j <= i) return;
+                csv += `"${label(a)} / ${label(b)}",${matrix[i][j]},` +
+                    `${mc.achieved_correlation[i][j].toFixed(3)}\n`;
+            }));
+        }
+        csv += `Mean LCOE (₹/kWh),${mc.stats.mean.toFixed(4)}\n`;
+        csv += `Std Dev (₹/kWh),${mc.stats.std.toFixed(4)}\n`;
+        csv += 'Percentile,LCOE (₹/kWh),LCOE (₹/MWh)\n';
+        mc.percentiles.forEach(row => {
+            csv += `P${row.p},${row.lcoe_kwh.toFixed(4)},${row.lcoe_mwh.toFixed(2)}\n`;
+        });
+    }
+
+    csv += '\n=== CALCULATION NOTES ===\n';
+    ProjectIO.reportNotes(results).forEach(([label, text]) => {
+        csv += `${ProjectIO.csvCell(label)},${ProjectIO.csvCell(text)}\n`;
+    });
+
+    return csv;
+};
+
+/**
+ * Convert a report cell to the type of an input field
+ *
+ * @param {string} key - Input key
+ * @param {string} text - Cell text
+ * @returns {*} Number, list of numbers or string
+ */
+ProjectIO.parseReportValue = function(key, text) {
+    const type = INPUT_FIELDS[key]?.type;
+    const trimmed = text.trim();
+
+    if (type === 'list') {
+        return trimmed ? trimmed.split(/[\s;,]+/).map(v => Number(v)) : [];
+    }
+    if (type === 'number' || type === 'integer') {
+        return trimmed === '' ? NaN : Number(trimmed);
+    }
+    return trimmed;
+};
+
+/**
+ * Read a CSV report written by ProjectIO.reportCSV() back into inputs
+ * Inputs come from "=== INPUT PARAMETERS ==="; fields the report does not
+ * contain take their defaults (or their value in CALCULATION NOTES for older
+ * reports). The notes and main results recorded in the file are compared
+ * with what the current engine produces for the same inputs.
+ *
+ * @param {string} text - CSV report contents
+ * @param {object} defaults - Default inputs
+ * @returns {object} { inputs | null, results, errors, warnings,
+ *   comparison: [{label, exported, recomputed, match}] }
+ */
+ProjectIO.parseReportCSV = function(text, defaults) {
+    const report = { errors: [], warnings: [] };
+    const sections = {};
+    let current = null;
+
+    ProjectIO.parseCSV(text.replace(/^\uFEFF/, '')).forEach(row => {
+        const first = (row[0] || '').trim();
+        const heading = first.match(/^=== (.+) ===$/);
+        if (heading) {
+            current = heading[1];
+            sections[current] = [];
+        } else if (current && first) {
+            sections[current].push([first, row.slice(1).join(',')]);
+        }
+    });
+
+    if (!sections['INPUT PARAMETERS']) {
+        report.errors.push('No "=== INPUT PARAMETERS ===" section – this is not an LCOE calculator CSV report');
+        return { inputs: null, results: null, comparison: [], ...report };
+    }
+
+    const label_to_key = {};
+    Object.entries(ProjectIO.REPORT_INPUT_LABELS).forEach(([key, label]) => { label_to_key[label] = key; });
+
+    const found = {};
+    sections['INPUT PARAMETERS'].forEach(([label, value]) => {
+        const key = label_to_key[label];
+        if (!key) {
+            report.warnings.push(`INPUT PARAMETERS: "${label}" is not a known input, ignored`);
+            return;
+        }
+        found[key] = ProjectIO.parseReportValue(key, value);
+    });
+
+    const notes = {};
+    (sections['CALCULATION NOTES'] || []).forEach(([label, value]) => { notes[label] = value.trim(); });
+
+    Object.entries(ProjectIO.NOTE_INPUTS).forEach(([label, key]) => {
+        if (found[key] === undefined && notes[label] !== undefined && !isNaN(parseFloat(notes[label]))) {
+            found[key] = parseFloat(notes[label]);
+        }
+    });
+
+    const inputs = {};
+    Object.keys(defaults).forEach(key => {
+        if (found[key] !== undefined) {
+            inputs[key] = found[key];
+        } else {
+            inputs[key] = Array.isArray(defaults[key]) ? defaults[key].slice() : defaults[key];
+            report.warnings.push(`INPUT PARAMETERS: "${ProjectIO.REPORT_INPUT_LABELS[key] || key}" not in report, using default ${JSON.stringify(defaults[key])}`);
+        }
+    });
+
+    validateInputs(inputs).forEach(error => {
+        const label = ProjectIO.REPORT_INPUT_LABELS[error.field] || error.label;
+        report.errors.push(`INPUT PARAMETERS: "${label}" ${error.message}, got ${JSON.stringify(error.value)}`);
+    });
+
+    if (report.errors.length) {
+        return { inputs: null, results: null, comparison: [], ...report };
+    }
+
+    const results = calculateLCOE(inputs);
+
+    // Assumptions recorded in the report vs. the current engine
+    ProjectIO.reportNotes(results).forEach(([label, expected]) => {
+        if (notes[label] !== undefined && notes[label] !== expected) {
+            report.warnings.push(`CALCULATION NOTES: "${label}" was "${notes[label]}" in the report, the current engine uses "${expected}"`);
+        }
+    });
+    Object.keys(notes).forEach(label => {
+        if (!ProjectIO.reportNotes(results).some(([known]) => known === label)) {
+            report.warnings.push(`CALCULATION NOTES: "${label}" is not used by the current engine`);
+        }
+    });
+
+    // Exported results vs. recomputed
+    const exported = {};
+    (sections['MAIN RESULTS'] || []).forEach(([label, value]) => { exported[label] = value.trim(); });
+    const comparison = ProjectIO.reportMainResults(results)
+        .filter(([label]) => exported[label] !== undefined)
+        .map(([label, recomputed]) => ({
+            label,
+            exported: exported[label],
+            recomputed,
+            match: parseFloat(exported[label]) === parseFloat(recomputed)
+        }));
+
+    return { inputs, results, comparison, ...report };
+};
@@ -521,6 +521,20 @@ RangeCharts.generateRangeSummaryTable = function(base_inputs) {
             min: 7,
             max: 12,
             current: base_inputs.interest_rate
+        },
+        {
+            name: 'OPEX Escalation (%)',
+            key: 'opex_escalation_rate',
+            min: 0,
+            max: 10,
+            current: base_inputs.opex_escalation_rate
+        },
+        {
+            name: 'Degradation Rate (%)',
+            key: 'degradation_rate',
+            min: 0.25,
+            max: 1.0,
+            current: base_inputs.degradation_rate
         }
     ];
 
@@ -559,7 +573,8 @@ RangeCharts.generateRangeSummaryTable = function(base_inputs) {
         const format_value = (val) => {
             if (param.key === 'capex_per_mw') {
                 return `₹${(val / 1e6).toFixed(1)}M`;
-            } else if (param.key === 'discount_rate' || param.key === 'interest_rate' || param.key === 'opex_percent') {
+            } else if (param.key === 'discount_rate' || param.key === 'interest_rate' || param.key === 'opex_percent' ||
+                       param.key === 'opex_escalation_rate' || param.key === 'degradation_rate') {
                 return `${val.toFixed(1)}%`;
             } else {
                 return val.toLocaleString();
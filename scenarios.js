@@ -0,0 +1,180 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - SCENARIO MANAGER
+ * ============================================
+ *
+ * Named scenarios: each stores a full set of form inputs so that it can be
+ * recalculated, compared side by side and reloaded into the form.
+ *
+ * No DOM dependencies - results are recomputed with calculateLCOE()
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const Scenarios = {
+    // Saved scenarios: [{id, name, inputs, created}]
+    list: [],
+
+    // Next id to assign
+    nextId: 1,
+
+    // Outputs shown in the comparison table: key → {label, decimals, scale}
+    // (scale multiplies the engine value for display, e.g. the CUE fraction to %)
+    OUTPUT_FIELDS: {
+        lcoe_kwh: { label: 'LCOE (₹/kWh)', decimals: 4 },
+        lcoe_mwh: { label: 'LCOE (₹/MWh)', decimals: 2 },
+        after_tax_lcoe_kwh: { label: 'After-Tax LCOE (₹/kWh)', decimals: 4 },
+        capex: { label: 'CAPEX (₹)', decimals: 2 },
+        annual_opex: { label: 'Annual OPEX (₹)', decimals: 2 },
+        annual_emi: { label: 'Annual EMI (₹)', decimals: 2 },
+        npv_opex: { label: 'NPV of OPEX (₹)', decimals: 2 },
+        total_energy: { label: 'Total Energy (MWh)', decimals: 2 },
+        wacc: { label: 'WACC (%)', decimals: 2 },
+        project_irr: { label: 'Project IRR (%)', decimals: 2 },
+        equity_irr: { label: 'Equity IRR (%)', decimals: 2 },
+        project_npv: { label: 'Project NPV (₹)', decimals: 2 },
+        payback_year: { label: 'Simple Payback (Years)', decimals: 2 },
+        min_dscr: { label: 'Minimum DSCR', decimals: 2 },
+        cue: { label: 'CUE (%)', decimals: 2, scale: 100 }
+    }
+};
+
+// ============================================
+// CRUD
+// ============================================
+
+/**
+ * Save a set of inputs as a new named scenario
+ *
+ * @param {string} name - Scenario name
+ * @param {object} inputs - Calculator inputs (copied)
+ * @returns {object} The new scenario
+ */
+Scenarios.add = function(name, inputs) {
+    const scenario = {
+        id: Scenarios.nextId++,
+        name: Scenarios.uniqueName(name || `Scenario ${Scenarios.list.length + 1}`),
+        inputs: JSON.parse(JSON.stringify(inputs)),
+        created: new Date().toISOString()
+    };
+
+    Scenarios.list.push(scenario);
+    return scenario;
+};
+
+/**
+ * Find a scenario by id
+ *
+ * @param {number} id - Scenario id
+ * @returns {object|undefined} Scenario
+ */
+Scenarios.get = function(id) {
+    return Scenarios.list.find(s => s.id === id);
+};
+
+/**
+ * Rename a scenario
+ *
+ * @param {number} id - Scenario id
+ * @param {string} name - New name
+ * @returns {object|undefined} Renamed scenario
+ */
+Scenarios.rename = function(id, name) {
+    const scenario = Scenarios.get(id);
+    if (scenario && name && name.trim() && name.trim() !== scenario.name) {
+        scenario.name = Scenarios.uniqueName(name.trim());
+    }
+    return scenario;
+};
+
+/**
+ * Copy a scenario under a "(copy)" name
+ *
+ * @param {number} id - Scenario id
+ * @returns {object|undefined} The copy
+ */
+Scenarios.duplicate = function(id) {
+    const scenario = Scenarios.get(id);
+    return scenario ? Scenarios.add(`${scenario.name} (copy)`, scenario.inputs) : undefined;
+};
+
+/**
+ * Delete a scenario
+ *
+ * @param {number} id - Scenario id
+ * @returns {boolean} True if a scenario was removed
+ */
+Scenarios.remove = function(id) {
+    const index = Scenarios.list.findIndex(s => s.id === id);
+    if (index === -1) return false;
+
+    Scenarios.list.splice(index, 1);
+    return true;
+};
+
+/**
+ * Make a name unique among saved scenarios by appending " 2", " 3", ...
+ *
+ * @param {string} name - Desired name
+ * @returns {string} Unused name
+ */
+Scenarios.uniqueName = function(name) {
+    const taken = new Set(Scenarios.list.map(s => s.name));
+    if (!taken.has(name)) return name;
+
+    let n = 2;
+    while (taken.has(`${name} ${n}`)) n++;
+    return `${name} ${n}`;
+};
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Compare scenarios side by side against a baseline
+ * Every input and every OUTPUT_FIELDS result becomes one row, in display units
+ * (scaled by the field's scale); numeric rows carry the difference from the
+ * baseline (absolute and %).
+ *
+ * @param {array} ids - Scenario ids to compare, in column order
+ * @param {number} baseline_id - Id of the baseline scenario (defaults to the first)
+ * @returns {object} { scenarios: [{id, name, inputs, results}], baseline_index,
+ *   rows: [{key, group: 'input'|'output', label, values, deltas, delta_percents}] }
+ */
+Scenarios.compare = function(ids, baseline_id) {
+    const scenarios = ids
+        .map(id => Scenarios.get(id))
+        .filter(Boolean)
+        .map(s => ({ id: s.id, name: s.name, inputs: s.inputs, results: calculateLCOE(s.inputs) }));
+
+    const baseline_index = Math.max(0, scenarios.findIndex(s => s.id === baseline_id));
+    const input_keys = [...new Set(scenarios.flatMap(s => Object.keys(s.inputs)))];
+
+    const buildRow = (key, group, label, values) => {
+        const base = values[baseline_index];
+        const numeric = typeof base === 'number' && isFinite(base);
+        const deltas = values.map(v => numeric && typeof v === 'number' && isFinite(v) ? v - base : null);
+
+        return {
+            key,
+            group,
+            label,
+            values,
+            deltas,
+            delta_percents: deltas.map(d => d !== null && base !== 0 ? (d / Math.abs(base)) * 100 : null)
+        };
+    };
+
+    const rows = [
+        ...input_keys.map(key => buildRow(key, 'input', key, scenarios.map(s => s.inputs[key]))),
+        ...Object.entries(Scenarios.OUTPUT_FIELDS).map(([key, field]) => {
+            const scale = field.scale ?? 1;
+            const values = scenarios.map(s => (typeof s.results[key] === 'number' ? s.results[key] * scale : null));
+            return buildRow(key, 'output', field.label, values);
+        })
+    ];
+
+    return { scenarios, baseline_index, rows };
+};
@@ -0,0 +1,632 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - HTTP JSON API
+ * ============================================
+ *
+ * Small self-hosted server around the calculator engine (Node built-ins only):
+ *
+ *   POST /lcoe          calculateLCOE()
+ *   POST /sensitivity   generateSensitivityAnalysis()
+ *   POST /tornado       generateTornadoAnalysis()
+ *   POST /heatmap       generateHeatmapMatrix() (the heatmap tab's grid, as numbers)
+ *   GET  /openapi.json  OpenAPI 3.0 document
+ *
+ * Request bodies are checked against the JSON schemas published in
+ * /openapi.json, then against the cross-field input rules. Omitted inputs
+ * take the form defaults. Errors are returned as
+ * { error: { code, message, details: [{ path, message }] } }.
+ *
+ *   node server.js [--port 8080] [--host 127.0.0.1]   (or PORT / HOST)
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+'use strict';
+
+const http = require('http');
+const engine = require('./calculator.js');
+const { version } = require('./package.json');
+
+const API = {
+    DEFAULT_PORT: 8080,
+    DEFAULT_HOST: '127.0.0.1',
+
+    MAX_BODY_BYTES: 1024 * 1024,
+    MAX_SENSITIVITY_POINTS: 1000,
+    MAX_AXIS_VALUES: 25
+};
+
+/**
+ * Build an error that becomes a structured error response
+ *
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Summary for people
+ * @param {array} details - [{ path, message }] per problem
+ * @param {object} headers - Extra response headers (e.g. Allow)
+ * @returns {Error} Error with status, code, details and headers
+ */
+API.error = function(status, code, message, details = [], headers = {}) {
+    const error = new Error(message);
+    Object.assign(error, { status, code, details, headers });
+    return error;
+};
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * JSON schema for one calculator input, from its INPUT_FIELDS entry
+ *
+ * @param {string} key - Input key
+ * @returns {object} Schema
+ */
+API.inputSchema = function(key) {
+    const field = engine.INPUT_FIELDS[key];
+    const limits = schema => {
+        if (field.min !== undefined) schema.minimum = field.min;
+        if (field.max !== undefined) schema.maximum = field.max;
+        return schema;
+    };
+
+    let schema;
+    if (field.type === 'select') {
+        schema = { type: 'string', enum: Object.keys(field.options) };
+    } else if (field.type === 'list') {
+        schema = { type: 'array', items: limits({ type: 'number' }) };
+    } else {
+        schema = limits({ type: field.type });
+    }
+
+    return { ...schema, description: field.label, default: engine.DEFAULT_INPUTS[key] };
+};
+
+/**
+ * Request and response schemas (components.schemas of the OpenAPI document)
+ *
+ * @returns {object} Schemas by name
+ */
+API.schemas = function() {
+    const input_properties = {};
+    Object.keys(engine.INPUT_FIELDS).forEach(key => { input_properties[key] = API.inputSchema(key); });
+
+    const number = (description, extra = {}) => ({ type: 'number', description, ...extra });
+    const nullable = description => number(description, { nullable: true });
+    const warnings = { type: 'array', items: ref('Issue'), description: 'Plausibility warnings for the inputs' };
+
+    return {
+        Inputs: {
+            type: 'object',
+            description: 'Calculator inputs; omitted fields take the web form defaults',
+            properties: input_properties,
+            additionalProperties: false
+        },
+        HeatmapAxis: {
+            type: 'object',
+            required: ['key'],
+            additionalProperties: false,
+            properties: {
+                key: { type: 'string', enum: Object.keys(engine.HEATMAP_PARAMETERS) },
+                values: {
+                    type: 'array',
+                    items: { type: 'number' },
+                    minItems: 1,
+                    maxItems: API.MAX_AXIS_VALUES,
+                    description: 'Parameter values; defaults to the heatmap tab range for the key'
+                }
+            }
+        },
+
+        LcoeRequest: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { inputs: ref('Inputs') }
+        },
+        SensitivityRequest: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                inputs: ref('Inputs'),
+                min_rate: number('Lowest discount rate (%)', { minimum: 0, maximum: 50, default: 5 }),
+                max_rate: number('Highest discount rate (%)', { minimum: 0, maximum: 50, default: 15 }),
+                step: number('Discount rate step (%)', { minimum: 0, exclusiveMinimum: true, default: 0.5 })
+            }
+        },
+        TornadoRequest: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                inputs: ref('Inputs'),
+                variance_percent: number('Each input is moved ± this percentage', {
+                    minimum: 0, exclusiveMinimum: true, maximum: 100, exclusiveMaximum: true, default: 20
+                })
+            }
+        },
+        HeatmapRequest: {
+            type: 'object',
+            required: ['rows', 'columns'],
+            additionalProperties: false,
+            properties: {
+                inputs: ref('Inputs'),
+                rows: ref('HeatmapAxis'),
+                columns: ref('HeatmapAxis')
+            }
+        },
+
+        Issue: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Location in the request body, e.g. inputs.capacity' },
+                message: { type: 'string' }
+            }
+        },
+        Error: {
+            type: 'object',
+            properties: {
+                error: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', description: 'e.g. invalid_json, invalid_request, invalid_inputs, not_found' },
+                        message: { type: 'string' },
+                        details: { type: 'array', items: ref('Issue') }
+                    }
+                }
+            }
+        },
+
+        LcoeResponse: {
+            type: 'object',
+            properties: {
+                inputs: ref('Inputs'),
+                results: {
+                    type: 'object',
+                    description: 'Everything calculateLCOE() returns, including yearly_schedule and loan_schedule',
+                    additionalProperties: true,
+                    properties: {
+                        lcoe_kwh: number('LCOE (₹/kWh)'),
+                        lcoe_mwh: number('LCOE (₹/MWh)'),
+                        after_tax_lcoe_kwh: number('After-tax LCOE (₹/kWh)'),
+                        project_irr: nullable('Project IRR (%)'),
+                        equity_irr: nullable('Equity IRR (%)'),
+                        project_npv: nullable('Project NPV at the discount rate (₹)'),
+                        payback_year: nullable('Simple payback (years)'),
+                        min_dscr: nullable('Minimum DSCR'),
+                        cue: number('Capacity utilisation (fraction)'),
+                        yearly_schedule: { type: 'array', items: { type: 'object' } }
+                    }
+                },
+                warnings
+            }
+        },
+        SensitivityResponse: {
+            type: 'object',
+            properties: {
+                inputs: ref('Inputs'),
+                points: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            rate: number('Discount rate (%)'),
+                            lcoe_kwh: number('LCOE (₹/kWh)'),
+                            lcoe_mwh: number('LCOE (₹/MWh)')
+                        }
+                    }
+                },
+                warnings
+            }
+        },
+        TornadoResponse: {
+            type: 'object',
+            properties: {
+                inputs: ref('Inputs'),
+                base_lcoe_kwh: number('LCOE at the given inputs (₹/kWh)'),
+                variance_percent: number('Variation applied (%)'),
+                impacts: {
+                    type: 'array',
+                    description: 'One row per input, widest LCOE range first',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            key: { type: 'string' },
+                            name: { type: 'string' },
+                            low_value: number('Input value at -variance'),
+                            high_value: number('Input value at +variance'),
+                            lcoe_low: number('LCOE at low_value (₹/kWh)'),
+                            lcoe_high: number('LCOE at high_value (₹/kWh)'),
+                            low: number('Smaller LCOE change from base (₹/kWh)'),
+                            high: number('Larger LCOE change from base (₹/kWh)'),
+                            range: number('|lcoe_high - lcoe_low| (₹/kWh)')
+                        }
+                    }
+                },
+                warnings
+            }
+        },
+        HeatmapResponse: {
+            type: 'object',
+            properties: {
+                inputs: ref('Inputs'),
+                rows: { type: 'object', properties: { key: { type: 'string' }, label: { type: 'string' }, values: { type: 'array', items: { type: 'number' } } } },
+                columns: { type: 'object', properties: { key: { type: 'string' }, label: { type: 'string' }, values: { type: 'array', items: { type: 'number' } } } },
+                matrix: {
+                    type: 'array',
+                    description: 'matrix[row][column] of LCOE (₹/kWh)',
+                    items: { type: 'array', items: { type: 'number' } }
+                },
+                min_lcoe_kwh: number('Lowest cell'),
+                max_lcoe_kwh: number('Highest cell'),
+                warnings
+            }
+        }
+    };
+};
+
+/**
+ * Check a value against a schema
+ * Supports the keywords used in API.schemas(): $ref, type, enum, minimum,
+ * maximum (with OpenAPI 3.0 boolean exclusive flags), items, minItems,
+ * maxItems, properties, required and additionalProperties: false.
+ *
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema
+ * @param {string} path - Location used in messages ('' for the body)
+ * @param {object} schemas - Named schemas for $ref
+ * @param {array} issues - [{ path, message }] to append to
+ */
+API.validate = function(value, schema, path, schemas, issues) {
+    if (schema.$ref) schema = schemas[schema.$ref.split('/').pop()];
+    const at = path || '(body)';
+
+    if (schema.type) {
+        const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        const ok = schema.type === 'integer' ? Number.isInteger(value)
+            : schema.type === 'number' ? actual === 'number' && isFinite(value)
+            : actual === schema.type;
+        if (!ok) {
+            const expected = { object: 'an object', array: 'an array', integer: 'an integer' }[schema.type] || `a ${schema.type}`;
+            issues.push({ path: at, message: `must be ${expected}, got ${JSON.stringify(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+    }
+
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+        issues.push({ path: at, message: `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) {
+        issues.push({ path: at, message: `must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            issues.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            issues.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => API.validate(item, schema.items, `${path}[${i}]`, schemas, issues));
+        }
+    }
+
+    if (schema.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+        const child = key => path ? `${path}.${key}` : key;
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) issues.push({ path: child(key), message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            if (schema.properties[key]) {
+                API.validate(item, schema.properties[key], child(key), schemas, issues);
+            } else if (schema.additionalProperties === false) {
+                issues.push({ path: child(key), message: 'is not a known field' });
+            }
+        });
+    }
+};
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+/**
+ * Complete inputs from a request: defaults, then the body's inputs,
+ * checked against the cross-field rules
+ *
+ * @param {object} body_inputs - body.inputs (already schema-checked), may be undefined
+ * @returns {object} { inputs, warnings }
+ * @throws {Error} 422 invalid_inputs if a rule fails
+ */
+API.prepareInputs = function(body_inputs = {}) {
+    const inputs = {};
+    Object.entries(engine.DEFAULT_INPUTS).forEach(([key, value]) => {
+        inputs[key] = Array.isArray(value) ? value.slice() : value;
+    });
+    Object.assign(inputs, body_inputs);
+
+    const errors = [];
+    const warnings = [];
+    engine.validateInputRules(inputs).forEach(issue => {
+        (issue.level === 'error' ? errors : warnings).push({ path: `inputs.${issue.field}`, message: `${issue.label}: ${issue.message}` });
+    });
+
+    if (errors.length) {
+        throw API.error(422, 'invalid_inputs', 'Inputs are inconsistent', errors);
+    }
+    return { inputs, warnings };
+};
+
+/**
+ * Heatmap axis from a request: key, label and values (checked like the input itself)
+ */
+API.heatmapAxis = function(axis, path) {
+    const param = engine.HEATMAP_PARAMETERS[axis.key];
+    const values = axis.values || param.range;
+    const issues = [];
+    values.forEach((value, i) => {
+        const message = engine.validateInputField(axis.key, value);
+        if (message) issues.push({ path: `${path}.values[${i}]`, message: `${engine.INPUT_FIELDS[axis.key].label}: ${message}` });
+    });
+    if (issues.length) {
+        throw API.error(422, 'invalid_inputs', `${path} values are not valid for ${axis.key}`, issues);
+    }
+    return { key: axis.key, label: param.label, values };
+};
+
+// Endpoint → request schema and handler(body) → response data
+API.ROUTES = {
+    '/lcoe': {
+        schema: 'LcoeRequest',
+        response: 'LcoeResponse',
+        summary: 'Calculate LCOE, returns and yearly schedules',
+        handle(body) {
+            const { inputs, warnings } = API.prepareInputs(body.inputs);
+            const results = engine.calculateLCOE(inputs);
+            if (!isFinite(results.lcoe_kwh)) {
+                throw API.error(422, 'not_calculable', 'LCOE could not be calculated for these inputs');
+            }
+            return { inputs, results, warnings };
+        }
+    },
+
+    '/sensitivity': {
+        schema: 'SensitivityRequest',
+        response: 'SensitivityResponse',
+        summary: 'LCOE across a range of discount rates',
+        handle(body) {
+            const { min_rate = 5, max_rate = 15, step = 0.5 } = body;
+            if (min_rate > max_rate) {
+                throw API.error(422, 'invalid_request', 'min_rate must not exceed max_rate',
+                    [{ path: 'min_rate', message: `${min_rate} is greater than max_rate ${max_rate}` }]);
+            }
+            if ((max_rate - min_rate) / step + 1 > API.MAX_SENSITIVITY_POINTS) {
+                throw API.error(422, 'invalid_request', `A sweep may have at most ${API.MAX_SENSITIVITY_POINTS} points`,
+                    [{ path: 'step', message: `too small for the range ${min_rate}–${max_rate}` }]);
+            }
+
+            const { inputs, warnings } = API.prepareInputs(body.inputs);
+            return { inputs, points: engine.generateSensitivityAnalysis(inputs, min_rate, max_rate, step), warnings };
+        }
+    },
+
+    '/tornado': {
+        schema: 'TornadoRequest',
+        response: 'TornadoResponse',
+        summary: 'LCOE impact of moving each key input up and down',
+        handle(body) {
+            const { variance_percent = 20 } = body;
+            const { inputs, warnings } = API.prepareInputs(body.inputs);
+            return {
+                inputs,
+                base_lcoe_kwh: engine.calculateLCOE(inputs).lcoe_kwh,
+                variance_percent,
+                impacts: engine.generateTornadoAnalysis(inputs, variance_percent),
+                warnings
+            };
+        }
+    },
+
+    '/heatmap': {
+        schema: 'HeatmapRequest',
+        response: 'HeatmapResponse',
+        summary: 'LCOE for every combination of two inputs',
+        handle(body) {
+            if (body.rows.key === body.columns.key) {
+                throw API.error(422, 'invalid_request', 'rows and columns must vary different inputs',
+                    [{ path: 'columns.key', message: `same as rows.key (${body.rows.key})` }]);
+            }
+            const rows = API.heatmapAxis(body.rows, 'rows');
+            const columns = API.heatmapAxis(body.columns, 'columns');
+            const { inputs, warnings } = API.prepareInputs(body.inputs);
+
+            const matrix = engine.generateHeatmapMatrix(inputs, rows.key, rows.values, columns.key, columns.values);
+            const cells = matrix.flat().filter(value => isFinite(value));
+            return {
+                inputs,
+                rows,
+                columns,
+                matrix,
+                min_lcoe_kwh: cells.length ? Math.min(...cells) : null,
+                max_lcoe_kwh: cells.length ? Math.max(...cells) : null,
+                warnings
+            };
+        }
+    }
+};
+
+/**
+ * OpenAPI 3.0 document describing the endpoints
+ *
+ * @returns {object} Document
+ */
+API.openapi = function() {
+    const json = schema => ({ 'application/json': { schema } });
+    const error = description => ({ description, content: json(ref('Error')) });
+
+    const paths = {};
+    Object.entries(API.ROUTES).forEach(([path, route]) => {
+        paths[path] = {
+            post: {
+                operationId: path.slice(1),
+                summary: route.summary,
+                requestBody: { required: false, content: json(ref(route.schema)) },
+                responses: {
+                    200: { description: 'Calculated', content: json(ref(route.response)) },
+                    400: error('Body is not valid JSON or does not match the schema'),
+                    413: error('Body is larger than 1 MB'),
+                    415: error('Body is not application/json'),
+                    422: error('Inputs are inconsistent or cannot be calculated'),
+                    500: error('Unexpected server error')
+                }
+            }
+        };
+    });
+    paths['/openapi.json'] = {
+        get: {
+            operationId: 'openapi',
+            summary: 'This document',
+            responses: { 200: { description: 'OpenAPI document', content: json({ type: 'object' }) } }
+        }
+    };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Solar LCOE Calculator API',
+            version,
+            description: 'JSON API for the LCOE calculation engine. Omitted inputs take the web form defaults.'
+        },
+        paths,
+        components: { schemas: API.schemas() }
+    };
+};
+
+// ============================================
+// REQUEST HANDLING
+// ============================================
+
+/**
+ * Handle one request
+ *
+ * @param {object} request - { method, path, content_type, body } (body is the raw text)
+ * @returns {object} { status, headers, data }
+ */
+API.handle = function({ method, path, content_type = '', body = '' }) {
+    try {
+        if (path === '/openapi.json') {
+            if (method !== 'GET' && method !== 'HEAD') {
+                throw API.error(405, 'method_not_allowed', `${method} is not supported on ${path}`, [], { Allow: 'GET, HEAD' });
+            }
+            return { status: 200, headers: {}, data: API.openapi() };
+        }
+
+        const route = API.ROUTES[path];
+        if (!route) {
+            throw API.error(404, 'not_found', `No endpoint at ${path}`);
+        }
+        if (method !== 'POST') {
+            throw API.error(405, 'method_not_allowed', `${method} is not supported on ${path}`, [], { Allow: 'POST' });
+        }
+        if (content_type && !/^application\/json\b/i.test(content_type)) {
+            throw API.error(415, 'unsupported_media_type', `Expected application/json, got ${content_type}`);
+        }
+
+        let data;
+        try {
+            data = body.trim() === '' ? {} : JSON.parse(body);
+        } catch (error) {
+            throw API.error(400, 'invalid_json', `Body is not valid JSON: ${error.message}`);
+        }
+
+        const issues = [];
+        API.validate(data, ref(route.schema), '', API.schemas(), issues);
+        if (issues.length) {
+            throw API.error(400, 'invalid_request', `Body does not match ${route.schema}`, issues);
+        }
+
+        return { status: 200, headers: {}, data: route.handle(data) };
+
+    } catch (error) {
+        if (!error.status) {
+            console.error('❌ Unexpected error:', error);
+            error = API.error(500, 'internal_error', 'Unexpected server error');
+        }
+        return {
+            status: error.status,
+            headers: error.headers,
+            data: { error: { code: error.code, message: error.message, details: error.details } }
+        };
+    }
+};
+
+/**
+ * Create the HTTP server (not yet listening)
+ *
+ * @returns {http.Server} Server
+ */
+API.createServer = function() {
+    return http.createServer((request, response) => {
+        const started = Date.now();
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size <= API.MAX_BODY_BYTES) chunks.push(chunk);
+        });
+
+        request.on('end', () => {
+            const reply = size > API.MAX_BODY_BYTES
+                ? {
+                    status: 413,
+                    headers: {},
+                    data: { error: { code: 'payload_too_large', message: `Body is larger than ${API.MAX_BODY_BYTES} bytes`, details: [] } }
+                }
+                : API.handle({
+                    method: request.method,
+                    path: new URL(request.url, 'http://localhost').pathname,
+                    content_type: request.headers['content-type'],
+                    body: Buffer.concat(chunks).toString('utf8')
+                });
+
+            const text = JSON.stringify(reply.data);
+            response.writeHead(reply.status, {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(text),
+                ...reply.headers
+            });
+            response.end(request.method === 'HEAD' ? undefined : text);
+
+            console.log(`${reply.status < 400 ? '✅' : '⚠️'} ${request.method} ${request.url} → ${reply.status} (${Date.now() - started} ms)`);
+        });
+    });
+};
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const i = args.indexOf(`--${name}`);
+        return i >= 0 ? args[i + 1] : undefined;
+    };
+    const port = Number(option('port') ?? process.env.PORT ?? API.DEFAULT_PORT);
+    const host = option('host') ?? process.env.HOST ?? API.DEFAULT_HOST;
+
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`❌ Invalid port: ${option('port') ?? process.env.PORT}`);
+        process.exit(2);
+    }
+
+    API.createServer().listen(port, host, () => {
+        console.log(`🚀 LCOE API listening on http://${host}:${port} (OpenAPI: /openapi.json)`);
+    });
+}
+
+module.exports = API;
@@ -0,0 +1,151 @@
+/**
+ * Goal seek, sensitivity, tornado and heatmap helpers, Monte Carlo, and the debug logger
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../calculator.js');
+const { assertClose, defaultInputs } = require('./helpers.js');
+
+test('findRootBracketed solves a sign change and reports none otherwise', () => {
+    const root = engine.findRootBracketed(x => x * x - 2, 0, 10);
+    assertClose(root.x, Math.SQRT2, 1e-8);
+    assert.equal(engine.findRootBracketed(x => x * x + 1, -5, 5), null);
+    // Non-finite points are skipped while scanning
+    assertClose(engine.findRootBracketed(x => (x < 1 ? NaN : x - 3), 0, 10).x, 3, 1e-8);
+});
+
+test('goalSeek finds the CAPEX that hits a target LCOE', () => {
+    const solved = engine.goalSeek(defaultInputs(), 'capex_per_mw', 'lcoe_kwh', 1.5);
+
+    assertClose(solved.achieved, 1.5, 1e-6);
+    assert.ok(solved.value < engine.DEFAULT_INPUTS.capex_per_mw);
+    assertClose(engine.calculateLCOE(solved.inputs).lcoe_kwh, solved.achieved);
+});
+
+test('goalSeek picks the closest whole loan tenure', () => {
+    const target = engine.calculateLCOE(defaultInputs({ loan_tenure: 12 })).lcoe_kwh;
+    assert.equal(engine.goalSeek(defaultInputs(), 'loan_tenure', 'lcoe_kwh', target).value, 12);
+});
+
+test('goalSeek explains unknown names and unreachable targets', () => {
+    assert.throws(() => engine.goalSeek(defaultInputs(), 'tariff', 'lcoe_kwh', 1), /Unknown goal-seek variable/);
+    assert.throws(() => engine.goalSeek(defaultInputs(), 'capex_per_mw', 'npv', 1), /Unknown goal-seek target/);
+    assert.throws(() => engine.goalSeek(defaultInputs(), 'capex_per_mw', 'lcoe_kwh', -5), /cannot be reached/);
+    assert.throws(() => engine.goalSeek(defaultInputs(), 'loan_tenure', 'lcoe_kwh', 0.5), /cannot be reached/);
+    assert.throws(() => engine.goalSeek(defaultInputs(), 'loan_tenure', 'lcoe_kwh', 50), /cannot be reached/);
+});
+
+test('generateSensitivityAnalysis sweeps the discount rate', () => {
+    const points = engine.generateSensitivityAnalysis(defaultInputs(), 8, 10, 1);
+
+    assert.deepEqual(points.map(p => p.rate), [8, 9, 10]);
+    assertClose(points[1].lcoe_kwh, 2.0071685612947756);
+    points.forEach(p => assertClose(p.lcoe_mwh, p.lcoe_kwh * 1000));
+});
+
+test('generateTornadoAnalysis varies every parameter, widest range first', () => {
+    const rows = engine.generateTornadoAnalysis(defaultInputs(), 10);
+
+    assert.deepEqual(rows.map(r => r.key).sort(), Object.keys(engine.TORNADO_PARAMETERS).sort());
+    for (let i = 1; i < rows.length; i++) assert.ok(rows[i - 1].range >= rows[i].range);
+
+    const capex = rows.find(r => r.key === 'capex_per_mw');
+    assertClose(capex.low_value, 34400000 * 0.9);
+    assertClose(capex.lcoe_high, engine.calculateLCOE(defaultInputs({ capex_per_mw: 34400000 * 1.1 })).lcoe_kwh);
+    assert.ok(capex.low <= 0 && capex.high >= 0);
+});
+
+test('generateHeatmapMatrix returns one LCOE per combination', () => {
+    const matrix = engine.generateHeatmapMatrix(defaultInputs(), 'capex_per_mw', [30e6, 40e6], 'discount_rate', [5, 9, 13]);
+
+    assert.equal(matrix.length, 2);
+    matrix.forEach(row => assert.equal(row.length, 3));
+    assertClose(matrix[1][2], engine.calculateLCOE(defaultInputs({ capex_per_mw: 40e6, discount_rate: 13 })).lcoe_kwh);
+    Object.values(engine.HEATMAP_PARAMETERS).forEach(param => assert.ok(param.range.length > 1 && param.label));
+});
+
+test('the engine is silent until a logger is set', () => {
+    const lines = [];
+    engine.calculateLCOE(defaultInputs());
+    assert.equal(lines.length, 0);
+
+    engine.setLogger((...args) => lines.push(args.join(' ')));
+    try {
+        engine.calculateLCOE(defaultInputs());
+    } finally {
+        engine.setLogger(null);
+    }
+    assert.ok(lines.some(line => line.startsWith('Capacity :')));
+});
+
+test('MonteCarlo runs under Node.js with calculator.js', () => {
+    const MonteCarlo = require('../monte-carlo.js');
+    const capex = { type: 'triangular', min: 30e6, mode: 34.4e6, max: 40e6 };
+    const run = MonteCarlo.run(defaultInputs(), { capex_per_mw: capex }, { iterations: 200, seed: 7 });
+
+    assert.equal(run.lcoe_values.length, 200);
+    assertClose(run.base_lcoe, engine.calculateLCOE(defaultInputs()).lcoe_kwh);
+    assert.ok(run.lcoe_values[0] >= engine.calculateLCOE(defaultInputs({ capex_per_mw: 30e6 })).lcoe_kwh - 1e-12);
+    assert.deepEqual(MonteCarlo.run(defaultInputs(), { capex_per_mw: capex }, { iterations: 200, seed: 7 }).lcoe_values,
+        run.lcoe_values);
+});
+
+test('MonteCarlo keeps samples inside the calculator limits and reports discards', () => {
+    const MonteCarlo = require('../monte-carlo.js');
+    const run = MonteCarlo.run(defaultInputs({ loan_repayment: 'amortizing' }), {
+        capacity: { type: 'normal', mean: 1, std: 1 },
+        energy_generation: { type: 'normal', mean: 1627.53, std: 1000 },
+        loan_tenure: { type: 'uniform', min: 10, max: 40 }
+    }, { iterations: 1000, seed: 3 });
+
+    assert.ok(run.samples.capacity.every(v => v >= engine.INPUT_FIELDS.capacity.min));
+    assert.ok(run.samples.loan_tenure.every(v => Number.isInteger(v) && v <= 20));
+    assert.ok(run.discarded > 0);
+    assert.equal(run.lcoe_values.length + run.discarded, run.iterations);
+
+    assert.equal(MonteCarlo.clampInput('opex_percent', 250), 100);
+    assert.equal(MonteCarlo.clampInput('loan_tenure', 0.2), 1);
+    // More values than Math.min(...values) can take as arguments
+    const histogram = MonteCarlo.histogram(Array.from({ length: 300000 }, (_, i) => i % 7), 6);
+    assert.equal(histogram.edges[0], 0);
+    assert.equal(histogram.edges[6], 6);
+});
+
+test('MonteCarlo refuses to correlate inputs with too few iterations', () => {
+    const MonteCarlo = require('../monte-carlo.js');
+    const keys = ['capex_per_mw', 'energy_generation', 'discount_rate'];
+    const distributions = {
+        capex_per_mw: { type: 'uniform', min: 30e6, max: 40e6 },
+        energy_generation: { type: 'uniform', min: 1400, max: 1800 },
+        discount_rate: { type: 'uniform', min: 7, max: 11 }
+    };
+    const matrix = keys.map((_, i) => keys.map((__, j) => (i === j ? 1 : 0.9)));
+
+    assert.throws(() => MonteCarlo.run(defaultInputs(), distributions, { iterations: 4, correlation: { keys, matrix } }),
+        /4 iteration\(s\) are too few to correlate 3 inputs; use at least 5/);
+    const run = MonteCarlo.run(defaultInputs(), distributions, { iterations: 500, correlation: { keys, matrix } });
+    assert.ok(run.achieved_correlation[0][1] > 0.8);
+});
+
+test('goalSeek keeps the loan tenure within the project lifetime', () => {
+    const inputs = defaultInputs({ loan_repayment: 'amortizing', debt_fraction: 70, tariff: 4 });
+    const shortest = engine.calculateLCOE({ ...inputs, loan_tenure: 20 }).lcoe_kwh;
+
+    assert.throws(() => engine.goalSeek(inputs, 'loan_tenure', 'lcoe_kwh', shortest - 0.01), /between 1 and 20/);
+    const solved = engine.goalSeek(inputs, 'loan_tenure', 'equity_irr', 20);
+    assert.ok(solved.value <= inputs.project_lifetime);
+    assert.deepEqual(engine.validateInputRules(solved.inputs).filter(i => i.level === 'error'), []);
+});
+
+test('goalSeek only returns values that pass the input rules', () => {
+    // Above 8,760 MWh a 1 MW plant would need a CUF over 100%
+    assert.throws(() => engine.goalSeek(defaultInputs(), 'energy_generation', 'lcoe_kwh', 0.3), /cannot be reached/);
+});
+
+test('generateSensitivityAnalysis gives clean rates up to the maximum', () => {
+    const rates = engine.generateSensitivityAnalysis(defaultInputs(), 5, 6, 0.1).map(p => p.rate);
+
+    assert.deepEqual(rates, [5, 5.1, 5.2, 5.3, 5.4, 5.5, 5.6, 5.7, 5.8, 5.9, 6]);
+    assert.deepEqual(engine.generateSensitivityAnalysis(defaultInputs(), 5, 6, 0.3).map(p => p.rate), [5, 5.3, 5.6, 5.9]);
+});
@@ -0,0 +1,54 @@
+/**
+ * O&M escalation, degradation profiles and energy totals
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../calculator.js');
+const { assertClose } = require('./helpers.js');
+
+test('calculateTotalOM escalates from Year 1', () => {
+    assertClose(engine.calculateTotalOM(100, 3, 10), 100 + 110 + 121);
+    assert.equal(engine.calculateTotalOM(100, 3, 0), 300);
+    // Default escalation comes from CONSTANTS (5%)
+    assertClose(engine.calculateTotalOM(100, 2), 205);
+});
+
+test('calculateDegradationFactors follows each profile', () => {
+    const factors = (profile, years = 3) => engine.calculateDegradationFactors(years, profile);
+
+    factors({ degradation_profile: 'geometric', degradation_rate: 10 })
+        .forEach((f, i) => assertClose(f, [1, 0.9, 0.81][i]));
+    factors({ degradation_profile: 'linear', degradation_rate: 10 })
+        .forEach((f, i) => assertClose(f, [1, 0.9, 0.8][i]));
+    factors({ degradation_profile: 'lid_linear', degradation_rate: 1, first_year_degradation: 2 })
+        .forEach((f, i) => assertClose(f, [0.98, 0.97, 0.96][i]));
+    factors({ degradation_profile: 'custom', degradation_rate: 1, degradation_table: [100, 97] }, 4)
+        .forEach((f, i) => assertClose(f, [1, 0.97, 0.96, 0.95][i]));
+});
+
+test('calculateDegradationFactors never goes below zero', () => {
+    const factors = engine.calculateDegradationFactors(5, { degradation_profile: 'linear', degradation_rate: 40 });
+    assert.deepEqual(factors.map(f => Number(f.toFixed(10))), [1, 0.6, 0.2, 0, 0]);
+});
+
+test('calculateDegradationFactors treats an empty custom table as geometric', () => {
+    const factors = engine.calculateDegradationFactors(2, { degradation_profile: 'custom', degradation_rate: 10 });
+    assert.deepEqual(factors, [1, 0.9]);
+});
+
+test('calculateTotalEnergy sums the degraded output', () => {
+    assertClose(engine.calculateTotalEnergy(100, 3, 10), 100 + 90 + 81);
+    assertClose(engine.calculateTotalEnergy(100, 3, { degradation_profile: 'linear', degradation_rate: 10 }), 270);
+    assert.equal(engine.calculateTotalEnergy(100, 0, 10), 0);
+});
+
+test('calculateDiscountedEnergy discounts from the end of Year 1', () => {
+    assertClose(engine.calculateDiscountedEnergy(10, [110, 121]), 200);
+    assertClose(engine.calculateDiscountedEnergy(0, [1, 2]), 3);
+});
+
+test('calculateCUE is energy over capacity × 8760 hours', () => {
+    assertClose(engine.calculateCUE(1752, 1), 0.2);
+    assert.equal(engine.calculateCUE(1000, 0), 0);
+});
@@ -0,0 +1,121 @@
+/**
+ * Loan, discounting and return functions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../calculator.js');
+const { assertClose, defaultInputs } = require('./helpers.js');
+
+test('calculateCAPEX divides by capacity like the reference sheet', () => {
+    assert.equal(engine.calculateCAPEX(1, 34400000), 34400000);
+    assert.equal(engine.calculateCAPEX(2, 34400000), 17200000);
+});
+
+test('calculateEMI gives the annual total of a monthly amortizing loan', () => {
+    // 12% a year for 1 year: monthly EMI 88,848.79
+    assertClose(engine.calculateEMI(1000000, 12, 1), 88848.78867834167 * 12);
+    assert.equal(engine.calculateEMI(1000000, 12, 0), 0);
+    assert.equal(engine.calculateEMI(0, 12, 10), 0);
+});
+
+test('calculateEMI_likeExcel is interest only', () => {
+    assert.equal(engine.calculateEMI_likeExcel(34400000, 8.25, 20), 2838000);
+    assert.equal(engine.calculateEMI_likeExcel(1000000, 0, 20), 0);
+});
+
+test('calculateAnnuityPayment matches PMT', () => {
+    // PMT(10%, 3, -1000) = 402.1148036
+    assertClose(engine.calculateAnnuityPayment(1000, 10, 3), 402.11480362537764);
+    assert.equal(engine.calculateAnnuityPayment(1200, 0, 4), 300);
+    assert.equal(engine.calculateAnnuityPayment(1000, 10, 0), 0);
+});
+
+test('calculateLoanSchedule amortizes after the moratorium', () => {
+    const schedule = engine.calculateLoanSchedule(1000, 10, 4, 1, 'amortizing');
+
+    assert.equal(schedule.length, 4);
+    assert.equal(schedule[0].principal, 0);
+    assertClose(schedule[0].interest, 100);
+    schedule.slice(1).forEach(row => assertClose(row.debt_service, engine.calculateAnnuityPayment(1000, 10, 3)));
+    assertClose(schedule.reduce((sum, row) => sum + row.principal, 0), 1000);
+    assertClose(schedule[3].closing_balance, 0);
+});
+
+test('calculateLoanSchedule keeps the balance for interest-only loans', () => {
+    const schedule = engine.calculateLoanSchedule(1000, 10, 3, 0, 'interest_only');
+
+    schedule.forEach(row => {
+        assert.equal(row.principal, 0);
+        assertClose(row.debt_service, 100);
+        assert.equal(row.closing_balance, 1000);
+    });
+});
+
+test('calculateWACC weights debt and equity', () => {
+    assertClose(engine.calculateWACC(70, 10, 15), 11.5);
+    assert.equal(engine.calculateWACC(100, 8.25, 14), 8.25);
+});
+
+test('calculateNPV discounts from the end of Year 1', () => {
+    assertClose(engine.calculateNPV(10, [110, 121]), 200);
+    assert.equal(engine.calculateNPV(10, []), 0);
+});
+
+test('calculateNPVlikeExcel adds an empty first period', () => {
+    assertClose(engine.calculateNPVlikeExcel(10, [121, 133.1]), 200);
+    assertClose(engine.calculateNPVlikeExcel(0, [1, 2, 3]), 6);
+});
+
+test('calculateNPVFromYear0 leaves the first flow undiscounted', () => {
+    assertClose(engine.calculateNPVFromYear0(10, [-100, 110]), 0);
+    assertClose(engine.calculateNPVFromYear0(0, [-100, 40, 40]), -20);
+});
+
+test('calculateCRF matches the annuity factor', () => {
+    assertClose(engine.calculateCRF(10, 3), 402.11480362537764 / 1000);
+    assertClose(engine.calculateCRF(0, 4), 0.25);
+    assert.equal(engine.calculateCRF(10, 0), 0);
+});
+
+test('calculateIRR finds the rate where NPV is zero', () => {
+    assertClose(engine.calculateIRR([-100, 110]), 10, 1e-8);
+    assertClose(engine.calculateIRR([-1000, 402.11480362537764, 402.11480362537764, 402.11480362537764]), 10, 1e-8);
+    assertClose(engine.calculateIRR([-100, 50]), -50, 1e-8);
+    assert.equal(engine.calculateIRR([100, 100]), null);
+    // Roots at -50% and 100%: the non-negative one is reported
+    assertClose(engine.calculateIRR([-100, 250, -100]), 100, 1e-8);
+});
+
+test('calculatePaybackYear interpolates within the year', () => {
+    assertClose(engine.calculatePaybackYear([-100, 40, 40, 40]), 2.5);
+    assert.equal(engine.calculatePaybackYear([-100, 10, 10]), null);
+    assert.equal(engine.calculatePaybackYear([0, 10]), 0);
+    // Discounted at 10%: Year 1 is worth 121 / 1.1 = 110
+    assertClose(engine.calculatePaybackYear([-100, 121], 10), 100 / 110);
+});
+
+test('equity cash flows start at the equity invested', () => {
+    const inputs = defaultInputs({ debt_fraction: 70, interest_rate: 6, tariff: 4 });
+
+    ['interest_only', 'amortizing'].forEach(loan_repayment => {
+        const results = engine.calculateLCOE({ ...inputs, loan_repayment });
+
+        assertClose(results.equity_cash_flows[0], -results.equity_amount, 1e-6, loan_repayment);
+        // Debt at 6% is cheaper than the project return, so leverage lifts the equity IRR
+        assert.ok(results.project_irr > 6, loan_repayment);
+        assert.ok(results.equity_irr > results.project_irr, loan_repayment);
+    });
+});
+
+test('the interest-only principal is repaid as a balloon in the last loan year', () => {
+    const results = engine.calculateLCOE(defaultInputs({ debt_fraction: 70, tariff: 4, loan_tenure: 15, tax_rate: 0, mat_rate: 0 }));
+    const schedule = results.yearly_schedule;
+
+    // Untaxed, equity receives the project cash flow less debt service
+    assertClose(results.equity_cash_flows[14], results.project_cash_flows[14] - schedule[13].debt_service, 1e-6);
+    assertClose(results.equity_cash_flows[15],
+        results.project_cash_flows[15] - schedule[14].debt_service - results.debt_amount, 1e-6);
+    assertClose(results.equity_cash_flows[16], results.project_cash_flows[16], 1e-6);
+    assert.equal(engine.calculateLCOE(defaultInputs({ tariff: 4 })).equity_irr, null);
+});
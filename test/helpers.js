@@ -0,0 +1,91 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - TEST HELPERS
+ * ============================================
+ *
+ * Shared assertions and a seeded input generator for the node:test suite.
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const assert = require('node:assert/strict');
+const { DEFAULT_INPUTS } = require('../calculator.js');
+
+/**
+ * Assert two numbers agree to a relative tolerance (absolute near zero)
+ *
+ * @param {number} actual - Calculated value
+ * @param {number} expected - Reference value
+ * @param {number} tolerance - Relative tolerance (default 1e-9)
+ * @param {string} message - Optional label
+ */
+function assertClose(actual, expected, tolerance = 1e-9, message = '') {
+    const scale = Math.max(1, Math.abs(expected));
+    assert.ok(
+        Number.isFinite(actual) && Math.abs(actual - expected) <= tolerance * scale,
+        `${message ? message + ': ' : ''}expected ${expected}, got ${actual}`
+    );
+}
+
+/**
+ * Copy of the web form defaults (UI.defaults), lists copied too
+ *
+ * @param {object} overrides - Inputs to change
+ * @returns {object} Inputs
+ */
+function defaultInputs(overrides = {}) {
+    return { ...DEFAULT_INPUTS, degradation_table: DEFAULT_INPUTS.degradation_table.slice(), ...overrides };
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so property tests are repeatable
+ *
+ * @param {number} seed - Integer seed
+ * @returns {function} () → number in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random but plausible project inputs (CUF 12–30%, loan within lifetime)
+ *
+ * @param {function} random - Generator from createRandom()
+ * @returns {object} Inputs
+ */
+function randomInputs(random) {
+    const between = (low, high) => low + (high - low) * random();
+    const pick = list => list[Math.floor(random() * list.length)];
+    const capacity = Number(between(0.5, 50).toFixed(2));
+    const project_lifetime = Math.round(between(10, 30));
+
+    return defaultInputs({
+        capacity,
+        energy_generation: capacity * 8760 * between(0.12, 0.30),
+        capex_per_mw: between(20e6, 60e6),
+        opex_percent: between(0.5, 3),
+        interest_rate: between(0, 14),
+        loan_tenure: Math.round(between(1, project_lifetime)),
+        project_lifetime,
+        discount_rate: between(0, 15),
+        opex_escalation_rate: between(0, 8),
+        degradation_rate: between(0, 1.5),
+        degradation_profile: pick(['geometric', 'linear', 'lid_linear']),
+        lcoe_method: pick(['cost_npv', 'discounted', 'crf']),
+        debt_fraction: between(0, 100),
+        cost_of_equity: between(8, 18),
+        loan_repayment: pick(['interest_only', 'amortizing']),
+        tax_rate: between(0, 35),
+        tariff: between(2, 5)
+    });
+}
+
+module.exports = { assertClose, defaultInputs, createRandom, randomInputs };
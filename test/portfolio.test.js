@@ -0,0 +1,34 @@
+/**
+ * Portfolio batch mode: per-site validation and the weighted LCOE
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Portfolio } = require('../cli.js').loadPageModules();
+const { assertClose, defaultInputs } = require('./helpers.js');
+
+const HEADER = 'site,capacity,energy_generation,capex_per_mw,loan_tenure,project_lifetime';
+
+test('valid sites are calculated and weighted by capacity', () => {
+    const { sites, summary } = Portfolio.run(`${HEADER}\nA,1,1627.53,34400000,20,20\nB,3,4800,90000000,15,25`, defaultInputs());
+
+    sites.forEach(s => assert.equal(s.errors.length, 0, s.site));
+    assertClose(summary.weighted_lcoe_kwh, (sites[0].results.lcoe_kwh + 3 * sites[1].results.lcoe_kwh) / 4);
+});
+
+test('a blank required cell is a row error, not the form value', () => {
+    const { sites, summary } = Portfolio.run(`${HEADER}\nA,1,,34400000,20,20\nB,1,1627.53,34400000,20,20`, defaultInputs());
+
+    assert.equal(sites[0].results, null);
+    assert.ok(sites[0].errors.some(error => /^Total Energy Generated \(MWh\): is blank/.test(error)), sites[0].errors.join());
+    assert.equal(sites[1].errors.length, 0);
+    assert.equal(summary.valid_count, 1);
+});
+
+test('sites are checked against the cross-field rules', () => {
+    const { sites } = Portfolio.run(`${HEADER}\nA,1,1627.53,34400000,25,20\nB,1,0,34400000,20,20`, defaultInputs());
+
+    assert.equal(sites[0].results, null);
+    assert.deepEqual([...sites[0].errors], ['Loan Tenure (Years): must not exceed the project lifetime (20 years)']);
+    assert.ok(sites[1].errors.some(error => /^Total Energy Generated \(MWh\): must be greater than 0/.test(error)));
+});
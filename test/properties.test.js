@@ -0,0 +1,76 @@
+/**
+ * Property-based checks over seeded random projects: LCOE rises with CAPEX,
+ * falls with energy, and the results stay internally consistent.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateLCOE, validateInputs, validateInputRules } = require('../calculator.js');
+const { assertClose, createRandom, randomInputs } = require('./helpers.js');
+
+const CASES = 200;
+
+/**
+ * Run a check on CASES random projects, naming the failing seed and inputs
+ */
+function forAllProjects(check) {
+    const random = createRandom(20240601);
+    for (let i = 0; i < CASES; i++) {
+        const inputs = randomInputs(random);
+        try {
+            check(inputs, random);
+        } catch (error) {
+            error.message += `\n  case ${i}: ${JSON.stringify(inputs)}`;
+            throw error;
+        }
+    }
+}
+
+test('random projects are valid inputs', () => {
+    forAllProjects(inputs => {
+        assert.deepEqual(validateInputs(inputs), []);
+        assert.deepEqual(validateInputRules(inputs).filter(i => i.level === 'error'), []);
+    });
+});
+
+test('LCOE increases with CAPEX', () => {
+    forAllProjects((inputs, random) => {
+        const higher = { ...inputs, capex_per_mw: inputs.capex_per_mw * (1.01 + random()) };
+        assert.ok(calculateLCOE(higher).lcoe_kwh > calculateLCOE(inputs).lcoe_kwh);
+    });
+});
+
+test('LCOE decreases with energy generation', () => {
+    forAllProjects((inputs, random) => {
+        const more = { ...inputs, energy_generation: inputs.energy_generation * (1.01 + random()) };
+        assert.ok(calculateLCOE(more).lcoe_kwh < calculateLCOE(inputs).lcoe_kwh);
+    });
+});
+
+test('LCOE scales inversely with energy for the same costs', () => {
+    forAllProjects(inputs => {
+        const doubled = { ...inputs, energy_generation: inputs.energy_generation * 2 };
+        assertClose(calculateLCOE(doubled).lcoe_kwh, calculateLCOE(inputs).lcoe_kwh / 2);
+    });
+});
+
+test('results are finite, positive and consistent', () => {
+    forAllProjects(inputs => {
+        const results = calculateLCOE(inputs);
+
+        assert.ok(Number.isFinite(results.lcoe_kwh) && results.lcoe_kwh > 0);
+        assertClose(results.lcoe_mwh, results.lcoe_kwh * 1000);
+        assertClose(results.lcoe_mwh, results.lcoe_by_method[inputs.lcoe_method]);
+        assert.equal(results.yearly_schedule.length, inputs.project_lifetime);
+        assert.equal(results.cash_flows.length, inputs.project_lifetime);
+        assertClose(results.capex, results.debt_amount + results.equity_amount);
+    });
+});
+
+test('calculateLCOE does not modify its inputs', () => {
+    forAllProjects(inputs => {
+        const copy = JSON.parse(JSON.stringify(inputs));
+        calculateLCOE(inputs);
+        assert.deepEqual(inputs, copy);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Regression tests for fixed bugs and edge cases
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../calculator.js');
+const { assertClose, defaultInputs } = require('./helpers.js');
+
+test('calculateNPVlikeExcel leaves the cash flows untouched', () => {
+    const cash_flows = [100, 200, 300];
+    const first = engine.calculateNPVlikeExcel(9, cash_flows);
+
+    assert.deepEqual(cash_flows, [100, 200, 300]);
+    assert.equal(engine.calculateNPVlikeExcel(9, cash_flows), first);
+});
+
+test('results.cash_flows has one entry per year, without a leading 0', () => {
+    const results = engine.calculateLCOE(defaultInputs());
+
+    assert.equal(results.cash_flows.length, 20);
+    assert.equal(results.cash_flows[0], 344000 + 2838000);
+});
+
+test('the CSV report lists Year 1 costs first', () => {
+    const { ProjectIO } = require('../cli.js').loadPageModules();
+    const inputs = defaultInputs();
+    const csv = ProjectIO.reportCSV({ inputs, results: engine.calculateLCOE(inputs) });
+    const section = csv.split('=== ANNUAL CASH FLOWS ===\n')[1].split('\n\n')[0].split('\n');
+
+    assert.equal(section[1], '1,3182000.00');
+    assert.equal(section.length, 1 + 20);
+});
+
+test('calculateEMI repays the principal evenly at zero interest', () => {
+    assert.equal(engine.calculateEMI(1200000, 0, 10), 120000);
+    assert.equal(engine.calculateEMI(1000, 0, 4), 250);
+});
+
+test('calculateEMI takes the interest rate in percent', () => {
+    const annual = engine.calculateEMI(1000000, 12, 10);
+    // 120 monthly payments of 14,347.09 at 1% a month
+    assertClose(annual, 14347.094840258 * 12, 1e-9);
+    assert.ok(annual < 1000000);
+});
+
+test('zero interest gives finite results for both loan types', () => {
+    ['interest_only', 'amortizing'].forEach(loan_repayment => {
+        const results = engine.calculateLCOE(defaultInputs({ interest_rate: 0, loan_repayment, debt_fraction: 70 }));
+
+        assert.ok(Number.isFinite(results.lcoe_kwh) && results.lcoe_kwh > 0, loan_repayment);
+        results.loan_schedule.forEach(row => assert.equal(row.interest, 0));
+    });
+
+    const amortizing = engine.calculateLCOE(defaultInputs({ interest_rate: 0, loan_repayment: 'amortizing' }));
+    assertClose(amortizing.annual_emi, 34400000 / 20);
+    assertClose(amortizing.total_loan, 34400000);
+});
+
+test('zero discount rate makes the discounted and raw totals agree', () => {
+    const results = engine.calculateLCOE(defaultInputs({ discount_rate: 0 }));
+
+    assertClose(results.discounted_energy, results.total_energy);
+    assertClose(results.npv_opex, results.total_opex);
+    assertClose(results.crf, 1 / 20);
+});
+
+test('a loan tenure beyond the lifetime is rejected but still computable', () => {
+    const inputs = defaultInputs({ loan_tenure: 25, project_lifetime: 20 });
+    const results = engine.calculateLCOE(inputs);
+
+    assert.ok(engine.validateInputRules(inputs).some(i => i.field === 'loan_tenure' && i.level === 'error'));
+    assert.equal(results.yearly_schedule.length, 20);
+    assert.equal(results.loan_schedule.length, 25);
+    // Only debt service inside the project lifetime reaches the LCOE
+    assertClose(results.lcoe_kwh, engine.calculateLCOE(defaultInputs()).lcoe_kwh);
+});
+
+test('a moratorium as long as the tenure still repays the loan', () => {
+    const results = engine.calculateLCOE(defaultInputs({ loan_repayment: 'amortizing', moratorium_years: 20 }));
+
+    assertClose(results.loan_schedule.reduce((sum, row) => sum + row.principal, 0), results.debt_amount);
+    assert.equal(results.loan_schedule[19].closing_balance, 0);
+});
+
+test('no tariff means no return metrics', () => {
+    const results = engine.calculateLCOE(defaultInputs({ tariff: 0 }));
+
+    ['project_irr', 'equity_irr', 'project_npv', 'payback_year', 'min_dscr'].forEach(key => {
+        assert.equal(results[key], null, key);
+    });
+    assert.ok(results.revenue_by_year.every(value => value === 0));
+});
+
+test('a fractional loan tenure does not break the engine', () => {
+    ['interest_only', 'amortizing'].forEach(loan_repayment => {
+        const results = engine.calculateLCOE(defaultInputs({ loan_tenure: 22.4, loan_repayment }));
+
+        assert.ok(Number.isFinite(results.lcoe_kwh), loan_repayment);
+        assert.equal(results.yearly_schedule.length, 20);
+    });
+});
+
+test('the tornado keeps the loan tenure in whole years', () => {
+    const rows = engine.generateTornadoAnalysis(defaultInputs(), 12);
+    const tenure = rows.find(r => r.key === 'loan_tenure');
+
+    assert.equal(tenure.low_value, 18);
+    assert.equal(tenure.high_value, 22);
+    rows.forEach(row => assert.ok(Number.isFinite(row.lcoe_low) && Number.isFinite(row.lcoe_high), row.key));
+});
+
+test('the CLI reports an engine failure as exit code 3', () => {
+    const CLI = require('../cli.js');
+    const original = engine.generateTornadoAnalysis;
+    const written = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: text => { written.stdout += text; } },
+        stderr: { write: text => { written.stderr += text; } }
+    };
+
+    engine.generateTornadoAnalysis = () => { throw new TypeError('boom'); };
+    try {
+        assert.equal(CLI.main(['tornado'], io), CLI.EXIT.INTERNAL);
+    } finally {
+        engine.generateTornadoAnalysis = original;
+    }
+    assert.equal(written.stderr, '❌ Calculation failed: boom\n');
+    assert.equal(written.stdout, '');
+});
+
+test('the CRF method annualises the full CAPEX for both loan types', () => {
+    ['interest_only', 'amortizing'].forEach(loan_repayment => {
+        const results = engine.calculateLCOE(defaultInputs({ loan_repayment, debt_fraction: 70 }));
+
+        assertClose(results.lcoe_by_method.crf,
+            (results.capex * results.crf + results.annual_opex) / results.energy_by_year[0], 1e-9, loan_repayment);
+    });
+});
+
+test('calculateLoanSchedule repays a fractional tenure in full', () => {
+    const schedule = engine.calculateLoanSchedule(100, 10, 2.5);
+
+    assert.equal(schedule.length, 3);
+    assert.equal(schedule[2].closing_balance, 0);
+    assertClose(schedule.reduce((sum, row) => sum + row.principal, 0), 100);
+});
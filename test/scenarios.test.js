@@ -0,0 +1,28 @@
+/**
+ * Scenario comparison rows
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const engine = require('../calculator.js');
+const { assertClose, defaultInputs } = require('./helpers.js');
+
+const context = vm.createContext({ ...engine });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'scenarios.js'), 'utf8'), context);
+const Scenarios = vm.runInContext('Scenarios', context);
+
+test('comparison rows are in display units', () => {
+    const base = Scenarios.add('Base', defaultInputs());
+    const more = Scenarios.add('More energy', defaultInputs({ energy_generation: 2000 }));
+    const { rows } = Scenarios.compare([base.id, more.id], base.id);
+    const cue = rows.find(row => row.key === 'cue');
+    const lcoe = rows.find(row => row.key === 'lcoe_kwh');
+
+    assert.equal(cue.label, 'CUE (%)');
+    assertClose(cue.values[0], 1627.53 / 8760 * 100);
+    assertClose(cue.deltas[1], (2000 - 1627.53) / 8760 * 100);
+    assertClose(lcoe.values[1], engine.calculateLCOE(defaultInputs({ energy_generation: 2000 })).lcoe_kwh);
+});
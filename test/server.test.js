@@ -0,0 +1,152 @@
+/**
+ * HTTP API: each endpoint over a real socket, checked against the engine.
+ * The server listens on an ephemeral port and is closed after the tests.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../calculator.js');
+const API = require('../server.js');
+const { assertClose, defaultInputs } = require('./helpers');
+
+let server;
+let base_url;
+let log;
+
+test.before(async () => {
+    // Keep the per-request access log out of the test output
+    log = console.log;
+    console.log = () => {};
+    server = API.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base_url = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    console.log = log;
+});
+
+/**
+ * Send a request to the test server
+ *
+ * @param {string} path - Endpoint
+ * @param {object|string} body - JSON body (objects are serialised)
+ * @param {string} method - HTTP method
+ * @returns {Promise<object>} { status, data }
+ */
+async function request(path, body, method = 'POST') {
+    const response = await fetch(base_url + path, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, data: await response.json() };
+}
+
+test('POST /lcoe returns the engine results', async () => {
+    const inputs = defaultInputs({ capacity: 2, energy_generation: 3300 });
+    const { status, data } = await request('/lcoe', { inputs: { capacity: 2, energy_generation: 3300 } });
+
+    assert.equal(status, 200);
+    assertClose(data.results.lcoe_kwh, engine.calculateLCOE(inputs).lcoe_kwh);
+    assert.equal(data.inputs.capacity, 2);
+    assert.ok(Array.isArray(data.warnings));
+});
+
+test('POST /lcoe with an empty body uses the form defaults', async () => {
+    const { status, data } = await request('/lcoe', {});
+
+    assert.equal(status, 200);
+    assertClose(data.results.lcoe_kwh, 2.0071685612947756);
+});
+
+test('POST /sensitivity returns one point per rate', async () => {
+    const { status, data } = await request('/sensitivity', { min_rate: 6, max_rate: 8, step: 0.5 });
+    const expected = engine.generateSensitivityAnalysis(defaultInputs(), 6, 8, 0.5);
+
+    assert.equal(status, 200);
+    assert.equal(data.points.length, expected.length);
+    data.points.forEach((point, i) => {
+        assert.equal(point.rate, expected[i].rate);
+        assertClose(point.lcoe_kwh, expected[i].lcoe_kwh);
+    });
+});
+
+test('POST /tornado returns the engine impacts', async () => {
+    const { status, data } = await request('/tornado', { variance_percent: 10 });
+    const expected = engine.generateTornadoAnalysis(defaultInputs(), 10);
+
+    assert.equal(status, 200);
+    assertClose(data.base_lcoe_kwh, engine.calculateLCOE(defaultInputs()).lcoe_kwh);
+    assert.equal(data.impacts.length, expected.length);
+    data.impacts.forEach((impact, i) => {
+        assert.equal(impact.label, expected[i].label);
+        assertClose(impact.lcoe_low, expected[i].lcoe_low);
+        assertClose(impact.lcoe_high, expected[i].lcoe_high);
+    });
+});
+
+test('POST /heatmap returns the engine matrix', async () => {
+    const rows = { key: 'capex_per_mw', values: [30000000, 34400000] };
+    const columns = { key: 'energy_generation', values: [1500, 1627.53, 1800] };
+    const { status, data } = await request('/heatmap', { rows, columns });
+    const expected = engine.generateHeatmapMatrix(defaultInputs(), rows.key, rows.values, columns.key, columns.values);
+
+    assert.equal(status, 200);
+    assert.equal(data.matrix.length, 2);
+    data.matrix.forEach((row, i) => {
+        assert.equal(row.length, 3);
+        row.forEach((value, j) => assertClose(value, expected[i][j]));
+    });
+    assertClose(data.min_lcoe_kwh, Math.min(...expected.flat()));
+    assertClose(data.max_lcoe_kwh, Math.max(...expected.flat()));
+});
+
+test('a schema violation returns 400 with the failing fields', async () => {
+    const { status, data } = await request('/lcoe', { inputs: { capacity: 'two', project_lifetime: 20.5 } });
+
+    assert.equal(status, 400);
+    assert.equal(data.error.code, 'invalid_request');
+    const paths = data.error.details.map(detail => detail.path);
+    assert.ok(paths.includes('inputs.capacity'), `details: ${paths.join(', ')}`);
+    assert.ok(paths.includes('inputs.project_lifetime'), `details: ${paths.join(', ')}`);
+    data.error.details.forEach(detail => assert.equal(typeof detail.message, 'string'));
+});
+
+test('invalid JSON returns 400', async () => {
+    const { status, data } = await request('/lcoe', '{"inputs":');
+
+    assert.equal(status, 400);
+    assert.equal(data.error.code, 'invalid_json');
+});
+
+test('inconsistent inputs return 422 with the failing rule', async () => {
+    const { status, data } = await request('/lcoe', { inputs: { project_lifetime: 10, loan_tenure: 15 } });
+
+    assert.equal(status, 422);
+    assert.equal(data.error.code, 'invalid_inputs');
+    assert.ok(data.error.details.length > 0);
+});
+
+test('a body over the size limit returns 413', async () => {
+    const body = JSON.stringify({ inputs: {}, padding: 'x'.repeat(API.MAX_BODY_BYTES) });
+    const { status, data } = await request('/lcoe', body);
+
+    assert.equal(status, 413);
+    assert.equal(data.error.code, 'payload_too_large');
+});
+
+test('GET /openapi.json serves the OpenAPI document', async () => {
+    const { status, data } = await request('/openapi.json', undefined, 'GET');
+
+    assert.equal(status, 200);
+    assert.match(data.openapi, /^3\./);
+    Object.keys(API.ROUTES).forEach(path => assert.ok(data.paths[path].post, `${path} is documented`));
+    assert.ok(data.components.schemas.LcoeRequest);
+});
+
+test('unknown paths and wrong methods are rejected', async () => {
+    assert.equal((await request('/nothing', {})).status, 404);
+    assert.equal((await request('/lcoe', undefined, 'GET')).status, 405);
+});
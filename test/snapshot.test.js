@@ -0,0 +1,100 @@
+/**
+ * Snapshot values: calculateLCOE() at the web form defaults (UI.defaults),
+ * recorded from the engine. They are not checked against an external
+ * reference; a failure means published numbers would change, so confirm
+ * the change is intended before updating a value.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateLCOE } = require('../calculator.js');
+const { assertClose, defaultInputs } = require('./helpers.js');
+
+const results = calculateLCOE(defaultInputs());
+
+test('default inputs keep the LCOE', () => {
+    assert.equal(results.lcoe_kwh, 2.0071685612947756);
+    assertClose(results.lcoe_mwh, 2007.1685612947758);
+    assert.equal(results.lcoe_method, 'cost_npv');
+});
+
+test('default inputs keep the cost build-up', () => {
+    // CAPEX cell = capex_per_mw / capacity; OPEX = 1% of CAPEX; interest-only loan at 8.25%
+    assert.equal(results.capex, 34400000);
+    assert.equal(results.annual_opex, 344000);
+    assert.equal(results.annual_emi, 2838000);
+    assert.equal(results.upfront_cost, 34400000);
+
+    // Σ 344000 × 1.05^i for i = 0..19
+    assertClose(results.total_om, 344000 * (Math.pow(1.05, 20) - 1) / 0.05);
+    assertClose(results.total_om, 11374688.211393615);
+    assert.equal(results.total_loan, 56760000);
+    assertClose(results.total_opex, 68134688.21139361);
+
+    // NPV(9%, 0, costs) and the end-of-year PV of the same costs
+    assertClose(results.npv_opex, 27922304.847288795);
+    assertClose(results.pv_costs, 30435312.283544794);
+    assertClose(results.npv_opex * 1.09, results.pv_costs);
+});
+
+test('default inputs keep the energy figures', () => {
+    // 1627.53 MWh × Σ 0.995^i for i = 0..19
+    assertClose(results.total_energy, 1627.53 * (1 - Math.pow(0.995, 20)) / 0.005);
+    assertClose(results.total_energy, 31049.861007730306);
+    assertClose(results.discounted_energy, 14366.627848303062);
+    assertClose(results.cue, 1627.53 / 8760);
+    assertClose(results.lcoe_mwh, (results.capex + results.npv_opex) / results.total_energy);
+});
+
+test('default inputs reproduce the other methodologies', () => {
+    assertClose(results.lcoe_by_method.discounted, 4512.91096060534);
+    assertClose(results.lcoe_by_method.crf, 2526.7729260186197);
+    assertClose(results.crf, 0.10954647500822919);
+    assertClose(calculateLCOE(defaultInputs({ lcoe_method: 'discounted' })).lcoe_kwh, 4.51291096060534);
+    assertClose(calculateLCOE(defaultInputs({ lcoe_method: 'crf' })).lcoe_kwh, 2.52677292601862);
+});
+
+test('default inputs keep the tax and return figures', () => {
+    assertClose(results.after_tax_lcoe_kwh, 5.0242250806552855);
+    assertClose(results.pv_depreciation_shield, 3161573.2041946813);
+    assertClose(results.pv_interest_shield, 6520744.733651528);
+    assertClose(results.wacc, 8.25);
+    assertClose(results.wacc_post_tax, 6.173475);
+
+    assertClose(results.project_irr, 7.978050304773205, 1e-6);
+    // Fully debt-funded by default, so there is no equity to earn a return
+    assert.equal(results.equity_irr, null);
+    assertClose(results.project_npv, -2375460.245712047);
+    assertClose(results.payback_year, 9.549098293461025);
+    // The project NPV at the discount rate is negative, so it never pays back
+    assert.ok(results.project_npv < 0);
+    assert.equal(results.discounted_payback_year, null);
+    assertClose(results.min_dscr, 1.314982382007194);
+    assertClose(results.avg_dscr, 1.4518222302267079);
+});
+
+test('amortizing loan variant keeps its figures', () => {
+    const amortizing = calculateLCOE(defaultInputs({ loan_repayment: 'amortizing', debt_fraction: 70 }));
+
+    assertClose(amortizing.lcoe_kwh, 1.1400457814866065);
+    assertClose(amortizing.after_tax_lcoe_kwh, 2.774632690327623);
+    assertClose(amortizing.annual_emi, 2498405.319409215);
+    assertClose(amortizing.equity_irr, 12.77190518387215, 1e-6);
+    assertClose(amortizing.upfront_cost, 34400000 * 0.3);
+});
+
+test('yearly schedule adds up to the headline figures', () => {
+    const schedule = results.yearly_schedule;
+    const sum = key => schedule.reduce((total, row) => total + row[key], 0);
+
+    assert.equal(schedule.length, 20);
+    assert.deepEqual(schedule.map(row => row.year), Array.from({ length: 20 }, (_, i) => i + 1));
+    assertClose(sum('energy'), results.total_energy);
+    assertClose(sum('om'), results.total_om);
+    assertClose(sum('pv_cost'), results.pv_costs);
+    assertClose(sum('pv_energy'), results.discounted_energy);
+    assertClose(schedule[0].total_cost, 3182000);
+    assertClose(schedule[0].revenue, 4882590);
+    assertClose(schedule[19].discount_factor, 1 / Math.pow(1.09, 20));
+    assert.deepEqual(results.cash_flows, schedule.map(row => row.total_cost));
+});
@@ -0,0 +1,128 @@
+/**
+ * Page start-up order: a permalink must win over autosaved inputs.
+ * The page scripts run in a sandbox with a minimal window; the form and
+ * charts are stubbed so only the restore/permalink logic is exercised.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PAGE_SCRIPTS = ['calculator.js', 'scenarios.js', 'persistence.js', 'permalink.js', 'ui.js'];
+
+/**
+ * Load the page with a URL hash and optional autosaved state
+ *
+ * @param {string} hash - location.hash at page load
+ * @param {object|null} saved - { inputs, scenarios } already in localStorage
+ * @returns {object} { context, applied: [inputs passed to UI.setInputs], run }
+ */
+function loadPage(hash, saved = null) {
+    const store = new Map();
+    const window = {
+        location: { hash, search: '', href: `http://localhost/index.html${hash}` },
+        localStorage: {
+            getItem: key => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, String(value)),
+            removeItem: key => store.delete(key)
+        },
+        addEventListener() {}
+    };
+    const silent = { log() {}, warn() {}, error() {} };
+    const context = vm.createContext({
+        window,
+        document: { getElementById: () => null, addEventListener() {}, querySelectorAll: () => [] },
+        // Every recalculation rewrites the hash, as UI.updatePermalink does
+        history: { replaceState: (state, title, url) => { window.location.hash = url; } },
+        console: silent,
+        URLSearchParams,
+        AdvancedCharts: {},
+        RangeCharts: {}
+    });
+    PAGE_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    });
+
+    const UI = vm.runInContext('UI', context);
+    const Permalink = vm.runInContext('Permalink', context);
+    const applied = [];
+    Object.assign(UI, {
+        initializeEventListeners() {},
+        addChartExportButtons() {},
+        toggleDegradationFields() {},
+        toggleDepreciationFields() {},
+        renderScenarioList() {},
+        setAutosaveStatus() {},
+        setInputs(inputs) {
+            applied.push(inputs);
+            context.history.replaceState(null, '', '#' + Permalink.encode(inputs));
+        },
+        updateResults() {
+            applied.push(UI.defaults);
+        },
+        // The form shows whatever was applied last
+        getInputs: () => ({ ...applied[applied.length - 1] })
+    });
+
+    if (saved) {
+        vm.runInContext('Persistence', context).save({ ...saved, next_scenario_id: saved.scenarios.length + 1 });
+    }
+
+    return { context, applied, run: () => vm.runInContext('initializeApp()', context) };
+}
+
+const SAVED = {
+    inputs: { ...require('../calculator.js').DEFAULT_INPUTS, capacity: 3, energy_generation: 5000 },
+    scenarios: [{ id: 1, name: 'Saved', inputs: {}, created: '2024-01-01T00:00:00.000Z' }]
+};
+
+test('a permalink overrides autosaved inputs', () => {
+    const page = loadPage('#capacity=5&energy_generation=8000', SAVED);
+    page.run();
+
+    const shown = page.applied[page.applied.length - 1];
+    assert.equal(shown.capacity, 5);
+    assert.equal(shown.energy_generation, 8000);
+    assert.ok(page.applied.every(inputs => inputs.capacity !== 3), 'saved inputs were never loaded');
+    assert.match(page.context.window.location.hash, /capacity=5/);
+});
+
+test('autosaved scenarios are kept when a permalink supplies the inputs', () => {
+    const page = loadPage('#capacity=5', SAVED);
+    page.run();
+
+    assert.equal(vm.runInContext('Scenarios.list.length', page.context), 1);
+});
+
+test('autosaved inputs are restored when there is no permalink', () => {
+    const page = loadPage('', SAVED);
+    page.run();
+
+    assert.equal(page.applied.length, 1);
+    assert.equal(page.applied[0].capacity, 3);
+});
+
+test('the defaults are calculated on a first visit', () => {
+    const page = loadPage('');
+    page.run();
+
+    assert.equal(page.applied.length, 1);
+    assert.equal(page.applied[0].capacity, 1);
+});
+
+test('autosave keeps the saved inputs until the linked inputs are edited', () => {
+    const page = loadPage('#capacity=5&energy_generation=8000', SAVED);
+    const UI = vm.runInContext('UI', page.context);
+    const savedInputs = () => vm.runInContext('Persistence.load(UI.defaults).data.inputs', page.context);
+    page.run();
+
+    UI.saveState();
+    assert.equal(savedInputs().capacity, 3);
+
+    // Editing the form makes the linked inputs the user's own work
+    page.applied.push({ ...page.applied[page.applied.length - 1], capacity: 7 });
+    UI.saveState();
+    assert.equal(savedInputs().capacity, 7);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tax depreciation and the yearly tax schedule
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../calculator.js');
+const { assertClose } = require('./helpers.js');
+
+test('straight-line depreciation stops after the depreciation life', () => {
+    const schedule = engine.calculateDepreciationSchedule(1000, 5, 'straight_line', { depreciation_life: 4 });
+    assert.deepEqual(schedule, [250, 250, 250, 250, 0]);
+});
+
+test('WDV depreciation takes a fixed share of the written down value', () => {
+    const schedule = engine.calculateDepreciationSchedule(1000, 3, 'wdv', { wdv_rate: 10 });
+    schedule.forEach((charge, i) => assertClose(charge, [100, 90, 81][i]));
+});
+
+test('accelerated depreciation front-loads Year 1, then straight line', () => {
+    const schedule = engine.calculateDepreciationSchedule(1000, 5, 'accelerated', {
+        depreciation_life: 4,
+        accelerated_rate: 40
+    });
+    schedule.forEach((charge, i) => assertClose(charge, [400, 200, 200, 200, 0][i]));
+});
+
+test('depreciation never exceeds the asset base', () => {
+    [['straight_line', {}], ['wdv', { wdv_rate: 60 }], ['accelerated', { accelerated_rate: 150 }]].forEach(([method, options]) => {
+        const total = engine.calculateDepreciationSchedule(1000, 30, method, options).reduce((sum, c) => sum + c, 0);
+        assert.ok(total <= 1000 + 1e-9, `${method} depreciated ${total}`);
+    });
+});
+
+test('calculateTaxSchedule applies MAT and book depreciation during the holiday', () => {
+    const schedule = engine.calculateTaxSchedule({
+        om_by_year: [100, 100],
+        interest_by_year: [50],
+        tax_depreciation: [400, 0],
+        book_depreciation: [200, 200],
+        tax_rate: 25,
+        mat_rate: 15,
+        tax_holiday_years: 1
+    });
+
+    assert.equal(schedule.length, 2);
+    assert.equal(schedule[0].in_holiday, true);
+    assert.equal(schedule[0].tax_rate, 15);
+    assert.equal(schedule[0].deductions, 100 + 50 + 200);
+    assertClose(schedule[0].tax_shield, 350 * 0.15);
+
+    assert.equal(schedule[1].in_holiday, false);
+    assert.equal(schedule[1].interest, 0);
+    assert.equal(schedule[1].deductions, 100);
+    assertClose(schedule[1].tax_shield, 25);
+});
+
+test('with no tax the after-tax LCOE equals the discounted LCOE', () => {
+    const inputs = { ...engine.DEFAULT_INPUTS, tax_rate: 0, mat_rate: 0 };
+    const results = engine.calculateLCOE(inputs);
+
+    assertClose(results.after_tax_lcoe_mwh, results.lcoe_by_method.discounted);
+    assert.equal(results.pv_depreciation_shield, 0);
+});
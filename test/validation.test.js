@@ -0,0 +1,63 @@
+/**
+ * Field validation and cross-field input rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../calculator.js');
+const { defaultInputs } = require('./helpers.js');
+
+test('validateInputField checks type and limits from INPUT_FIELDS', () => {
+    assert.equal(engine.validateInputField('capacity', 1), null);
+    assert.equal(engine.validateInputField('capacity', 0), 'must be at least 0.01');
+    assert.equal(engine.validateInputField('capacity', 'abc'), 'must be a number');
+    assert.equal(engine.validateInputField('discount_rate', 51), 'must be at most 50');
+    assert.match(engine.validateInputField('loan_tenure', 2.5), /whole number/);
+    assert.match(engine.validateInputField('lcoe_method', 'other'), /^must be one of: cost_npv/);
+    assert.equal(engine.validateInputField('degradation_table', [100, 99.5]), null);
+    assert.equal(engine.validateInputField('degradation_table', [100, 'x']), 'entry 2 is not a number');
+    assert.equal(engine.validateInputField('unknown', 1), 'is not a known input');
+});
+
+test('validateInputs accepts the defaults and lists every bad field', () => {
+    assert.deepEqual(engine.validateInputs(defaultInputs()), []);
+
+    const errors = engine.validateInputs(defaultInputs({ capacity: -1, tax_rate: 120 }));
+    assert.deepEqual(errors.map(e => e.field), ['capacity', 'tax_rate']);
+    assert.equal(errors[0].label, 'Installed Capacity (MW)');
+    assert.equal(errors[1].value, 120);
+});
+
+test('every default input is valid and every field has a default', () => {
+    assert.deepEqual(Object.keys(engine.DEFAULT_INPUTS).sort(), Object.keys(engine.INPUT_FIELDS).sort());
+});
+
+test('validateInputRules passes the defaults', () => {
+    assert.deepEqual(engine.validateInputRules(defaultInputs()), []);
+});
+
+test('validateInputRules rejects a loan tenure longer than the lifetime', () => {
+    const issues = engine.validateInputRules(defaultInputs({ loan_tenure: 25, project_lifetime: 20 }));
+
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].field, 'loan_tenure');
+    assert.equal(issues[0].level, 'error');
+    assert.match(issues[0].message, /project lifetime \(20 years\)/);
+});
+
+test('validateInputRules rejects zero energy and CUF above 100%', () => {
+    const zero = engine.validateInputRules(defaultInputs({ energy_generation: 0 }));
+    assert.ok(zero.some(i => i.field === 'energy_generation' && i.level === 'error'));
+
+    const over = engine.validateInputRules(defaultInputs({ energy_generation: 9000 }));
+    assert.ok(over.some(i => i.level === 'error' && /CUF above 100%/.test(i.message)));
+});
+
+test('validateInputRules warns about unusual but computable inputs', () => {
+    const levels = inputs => engine.validateInputRules(defaultInputs(inputs)).map(i => `${i.field}:${i.level}`);
+
+    assert.deepEqual(levels({ energy_generation: 500 }), ['energy_generation:warning']);
+    assert.deepEqual(levels({ moratorium_years: 20 }), ['moratorium_years:warning']);
+    assert.deepEqual(levels({ degradation_profile: 'custom' }), ['degradation_table:warning']);
+    assert.deepEqual(levels({ debt_fraction: 70, cost_of_equity: 0 }), ['cost_of_equity:warning']);
+});
@@ -0,0 +1,101 @@
+/**
+ * Excel audit workbook: the generated formulas, evaluated here, must give
+ * the same numbers as calculateLCOE() once Excel recalculates on open
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const engine = require('../calculator.js');
+const { assertClose, defaultInputs } = require('./helpers.js');
+
+const context = vm.createContext({ ...engine });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'xlsx-export.js'), 'utf8'), context);
+const XlsxExport = vm.runInContext('XlsxExport', context);
+
+const FUNCTIONS = {
+    IF: (condition, yes, no) => (condition ? yes : no),
+    AND: (...values) => values.every(Boolean),
+    MIN: (...values) => Math.min(...values.flat()),
+    MAX: (...values) => Math.max(...values.flat()),
+    SUM: range => range.reduce((sum, v) => sum + v, 0),
+    ROUND: (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits,
+    NPV: (rate, ...flows) => flows.flat().reduce((sum, v, i) => sum + v / Math.pow(1 + rate, i + 1), 0),
+    PMT: (rate, periods, pv) => (rate === 0 ? -pv / periods : -pv * rate / (1 - Math.pow(1 + rate, -periods)))
+};
+
+/**
+ * Evaluate workbook formulas for the subset of Excel the LCOE cells use
+ *
+ * @param {array} sheets - XlsxExport.buildSheets() output
+ * @returns {function} (sheet, ref) → cell value
+ */
+function createEvaluator(sheets) {
+    const rows = Object.fromEntries(sheets.map(sheet => [sheet.name, sheet.rows]));
+    const cache = new Map();
+    const column = letters => [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+
+    const cell = (sheet, letters, row) => {
+        const key = `${sheet}!${letters}${row}`;
+        if (!cache.has(key)) {
+            const spec = (rows[sheet][row - 1] || [])[column(letters)];
+            const value = spec && typeof spec === 'object' ? spec : { v: spec };
+            cache.set(key, value.f ? evaluate(sheet, value.f) : value.v);
+        }
+        return cache.get(key);
+    };
+    const range = (sheet, letters, from, to) =>
+        Array.from({ length: to - from + 1 }, (_, i) => cell(sheet, letters, from + i));
+
+    const evaluate = (sheet, formula) => {
+        const sheet_ref = "(?:'([^']+)'|(Inputs|Results))!";
+        const js = formula
+            .replace(new RegExp(`${sheet_ref}\\$?([A-Z]+)\\$?(\\d+):\\$?([A-Z]+)\\$?(\\d+)`, 'g'),
+                (m, quoted, plain, col, from, col2, to) => `range(${JSON.stringify(quoted || plain)},"${col}",${from},${to})`)
+            .replace(new RegExp(`${sheet_ref}\\$?([A-Z]+)\\$?(\\d+)`, 'g'),
+                (m, quoted, plain, col, row) => `cell(${JSON.stringify(quoted || plain)},"${col}",${row})`)
+            .replace(/(^|[^A-Za-z"])\$?([A-Z]{1,2})\$?(\d+)(?![\d(])/g,
+                (m, before, col, row) => `${before}cell(${JSON.stringify(sheet)},"${col}",${row})`)
+            .replace(/\^/g, '**')
+            .replace(/<>/g, '!=')
+            .replace(/([^<>!=])=(?!=)/g, '$1==');
+        return new Function('cell', 'range', 'F', `with (F) { return ${js}; }`)(cell, range, FUNCTIONS);
+    };
+
+    return (sheet, ref) => cell(sheet, ref.match(/[A-Z]+/)[0], Number(ref.match(/\d+/)[0]));
+}
+
+/**
+ * Recalculate the workbook for a set of inputs
+ *
+ * @returns {function} Results row label → value from its formula
+ */
+function recalculate(inputs) {
+    const sheets = XlsxExport.buildSheets(inputs, engine.calculateLCOE(inputs));
+    const value = createEvaluator(sheets);
+    const results_rows = sheets.find(sheet => sheet.name === 'Results').rows;
+
+    return label => {
+        const row = results_rows.findIndex(cells => cells[0] === label);
+        assert.ok(row > 0, `no Results row "${label}"`);
+        return value('Results', `B${row + 1}`);
+    };
+}
+
+[
+    ['interest-only', { capacity: 2 }],
+    ['amortizing', { capacity: 2.5, loan_repayment: 'amortizing', debt_fraction: 70, lcoe_method: 'discounted' }]
+].forEach(([name, overrides]) => {
+    test(`recalculated formulas match the engine at capacity ≠ 1 (${name})`, () => {
+        const inputs = defaultInputs(overrides);
+        const results = engine.calculateLCOE(inputs);
+        const workbook = recalculate(inputs);
+
+        assertClose(workbook('Total CAPEX (₹)'), results.capex, 1e-9, 'capex');
+        assertClose(workbook('Total Energy (MWh)'), results.total_energy, 1e-9, 'energy');
+        assertClose(workbook('NPV of OPEX (₹) – spreadsheet convention'), results.npv_opex, 1e-9, 'npv_opex');
+        assertClose(workbook('LCOE, Selected Method (₹/kWh)'), results.lcoe_kwh, 1e-9, 'lcoe');
+    });
+});
@@ -27,7 +27,26 @@ const UI = {
         'interest_rate',
         'loan_tenure',
         'project_lifetime',
-        'discount_rate'
+        'discount_rate',
+        'opex_escalation_rate',
+        'degradation_rate',
+        'degradation_profile',
+        'first_year_degradation',
+        'degradation_table',
+        'lcoe_method',
+        'debt_fraction',
+        'cost_of_equity',
+        'loan_repayment',
+        'moratorium_years',
+        'tax_rate',
+        'tax_holiday_years',
+        'mat_rate',
+        'depreciation_method',
+        'depreciation_life',
+        'wdv_rate',
+        'accelerated_rate',
+        'tariff',
+        'tariff_escalation_rate'
     ],
 
     // Output element IDs
@@ -40,30 +59,26 @@ const UI = {
         opex: 'breakdown-opex',
         npv: 'breakdown-npv',
         energy: 'breakdown-energy',
-        cue_percent: 'breakdown-cue-percent'
+        cue_percent: 'breakdown-cue-percent',
+        debt: 'breakdown-debt',
+        equity: 'breakdown-equity',
+        wacc: 'breakdown-wacc',
+        wacc_post_tax: 'breakdown-wacc-post-tax',
+        after_tax_lcoe_kwh: 'after_tax_lcoe_kwh',
+        depreciation_shield: 'breakdown-depreciation-shield',
+        interest_shield: 'breakdown-interest-shield',
+        project_irr: 'project_irr',
+        equity_irr: 'equity_irr',
+        project_npv: 'project_npv',
+        payback_year: 'payback_year',
+        min_dscr: 'min_dscr',
+        avg_dscr: 'avg_dscr',
+        loan_schedule: 'loan-schedule-container',
+        yearly_schedule: 'yearly-schedule-container'
     },
 
-    // Default values for inputs
-    defaults: {
-        
-        capacity: 1.0,
-        energy_generation: 1627.53,
-        capex_per_mw: 34400000,
-        opex_percent: 1.0,
-        interest_rate: 8.25,
-        loan_tenure: 20,
-        project_lifetime: 20,
-        discount_rate: 9.0
-
-        // capacity: 1.0,
-        // energy_generation: 1700,
-        // capex_per_mw: 50000000,
-        // opex_percent: 2.0,
-        // interest_rate: 10.0,
-        // loan_tenure: 10,
-        // project_lifetime: 25,
-        // discount_rate: 8.0
-    },
+    // Default values for inputs (shared with the engine and CLI)
+    defaults: DEFAULT_INPUTS,
 
     // Charts auto-update flag
     autoUpdateCharts: true
@@ -97,6 +112,16 @@ UI.formatNumber = function(num) {
     });
 };
 
+/**
+ * Format an optional metric, showing a dash when it is not available
+ * @param {number|null} value - Metric value
+ * @param {function} formatter - Formatter applied to available values
+ * @returns {string} Formatted string or '–'
+ */
+UI.formatOptional = function(value, formatter) {
+    return value === null || value === undefined || !isFinite(value) ? '–' : formatter(value);
+};
+
 /**
  * Format percentage value
  * @param {number} value - Decimal value (0-1)
@@ -124,10 +149,83 @@ UI.getInputs = function() {
         interest_rate: parseFloat(document.getElementById('interest_rate').value) || 0,
         loan_tenure: parseInt(document.getElementById('loan_tenure').value) || 1,
         project_lifetime: parseInt(document.getElementById('project_lifetime').value) || 1,
-        discount_rate: parseFloat(document.getElementById('discount_rate').value) || 0
+        discount_rate: parseFloat(document.getElementById('discount_rate').value) || 0,
+        opex_escalation_rate: parseFloat(document.getElementById('opex_escalation_rate').value) || 0,
+        degradation_rate: parseFloat(document.getElementById('degradation_rate').value) || 0,
+        degradation_profile: document.getElementById('degradation_profile').value || 'geometric',
+        first_year_degradation: parseFloat(document.getElementById('first_year_degradation').value) || 0,
+        degradation_table: UI.parseNumberList(document.getElementById('degradation_table').value),
+        lcoe_method: document.getElementById('lcoe_method').value || 'cost_npv',
+        debt_fraction: parseFloat(document.getElementById('debt_fraction').value) || 0,
+        cost_of_equity: parseFloat(document.getElementById('cost_of_equity').value) || 0,
+        loan_repayment: document.getElementById('loan_repayment').value || 'interest_only',
+        moratorium_years: parseInt(document.getElementById('moratorium_years').value) || 0,
+        tax_rate: parseFloat(document.getElementById('tax_rate').value) || 0,
+        tax_holiday_years: parseInt(document.getElementById('tax_holiday_years').value) || 0,
+        mat_rate: parseFloat(document.getElementById('mat_rate').value) || 0,
+        depreciation_method: document.getElementById('depreciation_method').value || 'straight_line',
+        depreciation_life: parseInt(document.getElementById('depreciation_life').value) || 1,
+        wdv_rate: parseFloat(document.getElementById('wdv_rate').value) || 0,
+        accelerated_rate: parseFloat(document.getElementById('accelerated_rate').value) || 0,
+        tariff: parseFloat(document.getElementById('tariff').value) || 0,
+        tariff_escalation_rate: parseFloat(document.getElementById('tariff_escalation_rate').value) || 0
     };
 };
 
+/**
+ * Parse a comma/space/newline separated list of numbers (e.g. a degradation table)
+ * @param {string} text - Raw text from a textarea
+ * @returns {array} Array of numbers, non-numeric entries dropped
+ */
+UI.parseNumberList = function(text) {
+    return (text || '')
+        .split(/[\s,;]+/)
+        .map(v => parseFloat(v))
+        .filter(v => !isNaN(v));
+};
+
+/**
+ * Fill the form from an inputs object and recalculate
+ * Keys that are missing from the object keep their current form value.
+ * @param {object} inputs - Calculator inputs (same shape as UI.getInputs())
+ */
+UI.setInputs = function(inputs) {
+    UI.inputIds.forEach(id => {
+        const element = document.getElementById(id);
+        if (!element || inputs[id] === undefined || inputs[id] === null) return;
+
+        element.value = Array.isArray(inputs[id]) ? inputs[id].join(', ') : inputs[id];
+    });
+
+    UI.toggleDegradationFields();
+    UI.toggleDepreciationFields();
+    UI.updateResults();
+};
+
+/**
+ * Show only the degradation fields relevant to the selected profile
+ */
+UI.toggleDegradationFields = function() {
+    const profile = document.getElementById('degradation_profile').value;
+    const lid_group = document.getElementById('group-first_year_degradation');
+    const table_group = document.getElementById('group-degradation_table');
+
+    if (lid_group) lid_group.style.display = profile === 'lid_linear' ? '' : 'none';
+    if (table_group) table_group.style.display = profile === 'custom' ? '' : 'none';
+};
+
+/**
+ * Show only the depreciation rate field relevant to the selected method
+ */
+UI.toggleDepreciationFields = function() {
+    const method = document.getElementById('depreciation_method').value;
+    const wdv_group = document.getElementById('group-wdv_rate');
+    const accelerated_group = document.getElementById('group-accelerated_rate');
+
+    if (wdv_group) wdv_group.style.display = method === 'wdv' ? '' : 'none';
+    if (accelerated_group) accelerated_group.style.display = method === 'accelerated' ? '' : 'none';
+};
+
 /**
  * Reset all form inputs to default values
  */
@@ -140,10 +238,128 @@ UI.resetForm = function() {
     document.getElementById('loan_tenure').value = UI.defaults.loan_tenure;
     document.getElementById('project_lifetime').value = UI.defaults.project_lifetime;
     document.getElementById('discount_rate').value = UI.defaults.discount_rate;
+    document.getElementById('opex_escalation_rate').value = UI.defaults.opex_escalation_rate;
+    document.getElementById('degradation_rate').value = UI.defaults.degradation_rate;
+    document.getElementById('degradation_profile').value = UI.defaults.degradation_profile;
+    document.getElementById('first_year_degradation').value = UI.defaults.first_year_degradation;
+    document.getElementById('degradation_table').value = UI.defaults.degradation_table.join(', ');
+    UI.toggleDegradationFields();
+    document.getElementById('lcoe_method').value = UI.defaults.lcoe_method;
+    document.getElementById('debt_fraction').value = UI.defaults.debt_fraction;
+    document.getElementById('cost_of_equity').value = UI.defaults.cost_of_equity;
+    document.getElementById('loan_repayment').value = UI.defaults.loan_repayment;
+    document.getElementById('moratorium_years').value = UI.defaults.moratorium_years;
+    document.getElementById('tax_rate').value = UI.defaults.tax_rate;
+    document.getElementById('tax_holiday_years').value = UI.defaults.tax_holiday_years;
+    document.getElementById('mat_rate').value = UI.defaults.mat_rate;
+    document.getElementById('depreciation_method').value = UI.defaults.depreciation_method;
+    document.getElementById('depreciation_life').value = UI.defaults.depreciation_life;
+    document.getElementById('wdv_rate').value = UI.defaults.wdv_rate;
+    document.getElementById('accelerated_rate').value = UI.defaults.accelerated_rate;
+    UI.toggleDepreciationFields();
+    document.getElementById('tariff').value = UI.defaults.tariff;
+    document.getElementById('tariff_escalation_rate').value = UI.defaults.tariff_escalation_rate;
     
     UI.updateResults();
 };
 
+// ============================================
+// INPUT VALIDATION
+// ============================================
+
+// Inputs that only apply to one degradation profile / depreciation method
+UI.conditionalInputs = {
+    first_year_degradation: inputs => inputs.degradation_profile === 'lid_linear',
+    degradation_table: inputs => inputs.degradation_profile === 'custom',
+    wdv_rate: inputs => inputs.depreciation_method === 'wdv',
+    accelerated_rate: inputs => inputs.depreciation_method === 'accelerated'
+};
+
+/**
+ * Check the raw form values against INPUT_FIELDS, then the cross-field rules
+ * UI.getInputs() falls back to 0 / 1 for blank or non-numeric fields, so those
+ * are caught here from the text the user typed.
+ * @returns {object} { inputs, errors, warnings } with issues as {field, label, level, message}
+ */
+UI.validateForm = function() {
+    const inputs = UI.getInputs();
+    const errors = [];
+
+    UI.inputIds.forEach(id => {
+        const element = document.getElementById(id);
+        const field = INPUT_FIELDS[id];
+        if (!element || !field) return;
+        if (UI.conditionalInputs[id] && !UI.conditionalInputs[id](inputs)) return;
+
+        const text = element.value.trim();
+        let message;
+        if (field.type === 'number' || field.type === 'integer') {
+            message = text === '' ? 'is required' : validateInputField(id, Number(text));
+        } else if (field.type === 'list') {
+            const invalid = text.split(/[\s,;]+/).find(v => v !== '' && isNaN(parseFloat(v)));
+            message = invalid !== undefined
+                ? `contains "${invalid}", which is not a number`
+                : validateInputField(id, inputs[id]);
+        } else {
+            message = validateInputField(id, element.value);
+        }
+
+        if (message) errors.push({ field: id, label: field.label, level: 'error', message });
+    });
+
+    // Rules compare fields with each other, so only run them on valid fields
+    const issues = errors.length ? errors : validateInputRules(inputs);
+
+    return {
+        inputs,
+        errors: issues.filter(issue => issue.level === 'error'),
+        warnings: issues.filter(issue => issue.level === 'warning')
+    };
+};
+
+/**
+ * Show the first error (or else warning) under each field
+ * @param {array} issues - Errors and warnings from UI.validateForm()
+ */
+UI.renderFieldMessages = function(issues) {
+    UI.inputIds.forEach(id => {
+        const element = document.getElementById(id);
+        if (!element) return;
+
+        let message = document.getElementById(`message-${id}`);
+        if (!message) {
+            message = document.createElement('div');
+            message.id = `message-${id}`;
+            element.insertAdjacentElement('afterend', message);
+        }
+
+        const issue = issues.find(i => i.field === id && i.level === 'error') ||
+            issues.find(i => i.field === id);
+        element.classList.toggle('input-error', issue?.level === 'error');
+        element.classList.toggle('input-warning', issue?.level === 'warning');
+        message.className = issue ? `field-message ${issue.level}` : 'field-message';
+        message.textContent = issue
+            ? `${issue.level === 'error' ? '❌' : '⚠️'} ${issue.message.charAt(0).toUpperCase()}${issue.message.slice(1)}`
+            : '';
+    });
+};
+
+/**
+ * Replace the results panel with a list of input errors, or restore it
+ * @param {array} errors - Errors from UI.validateForm(); empty to show the results
+ */
+UI.setResultsBlocked = function(errors) {
+    const panel = document.getElementById('results-panel');
+    const notice = document.getElementById('results-blocked');
+    if (!panel || !notice) return;
+
+    panel.classList.toggle('blocked', errors.length > 0);
+    notice.innerHTML = errors.length
+        ? `<strong>⚠️ Results are not shown until these inputs are fixed:</strong><ul>` +
+            errors.map(e => `<li><strong>${e.label}</strong> ${UI.escapeHtml(e.message)}</li>`).join('') + `</ul>`
+        : '';
+};
+
 // ============================================
 // CALCULATION & UPDATE FUNCTIONS
 // ============================================
@@ -153,8 +369,16 @@ UI.resetForm = function() {
  * Called whenever an input changes
  */
 UI.updateResults = function() {
-    // Get current inputs
-    const inputs = UI.getInputs();
+    // Validate the form; invalid inputs block the results instead of showing NaN
+    const validation = UI.validateForm();
+    UI.renderFieldMessages([...validation.errors, ...validation.warnings]);
+    UI.setResultsBlocked(validation.errors);
+    if (validation.errors.length) {
+        UI.lastResults = null;
+        return;
+    }
+
+    const inputs = validation.inputs;
     
     // Calculate LCOE and all intermediate values
     const results = calculateLCOE(inputs);
@@ -162,6 +386,15 @@ UI.updateResults = function() {
     // Cache results for export
     UI.lastResults = { inputs, results };
 
+    // A simulation run on earlier inputs no longer matches the form
+    if (UI.lastMonteCarlo) {
+        UI.lastMonteCarlo = null;
+        document.getElementById('mc-status').textContent = '⚠️ Inputs changed – run the simulation again to refresh';
+    }
+
+    UI.scheduleAutosave();
+    UI.updatePermalink();
+
     // ===== UPDATE CALCULATED INPUT FIELDS =====
     document.getElementById('opex_calculated').value = 
         UI.formatIndianCurrency(results.annual_opex);
@@ -179,6 +412,11 @@ UI.updateResults = function() {
     document.getElementById(UI.outputIds.lcoe_kwh).textContent = 
         UI.formatIndianCurrency(results.lcoe_kwh);
 
+    const method = LCOE_METHODS[results.lcoe_method];
+    document.getElementById('lcoe_method_mwh').textContent = `Method: ${method.label}`;
+    document.getElementById('lcoe_method_kwh').textContent = `Method: ${method.label}`;
+    document.getElementById('lcoe-formula').textContent = method.formula;
+
     // ===== UPDATE BREAKDOWN TABLE =====
     document.getElementById(UI.outputIds.capex).textContent = 
         UI.formatIndianCurrency(results.capex);
@@ -201,12 +439,141 @@ UI.updateResults = function() {
     document.getElementById(UI.outputIds.cue_percent).textContent = 
         UI.formatPercent(results.cue);
 
+    Object.keys(results.lcoe_by_method).forEach(key => {
+        const element = document.getElementById(`breakdown-lcoe-${key}`);
+        if (element) {
+            element.textContent = UI.formatIndianCurrency(results.lcoe_by_method[key] / 1000);
+        }
+    });
+
+    document.getElementById(UI.outputIds.debt).textContent = 
+        UI.formatIndianCurrency(results.debt_amount);
+    
+    document.getElementById(UI.outputIds.equity).textContent = 
+        UI.formatIndianCurrency(results.equity_amount);
+    
+    document.getElementById(UI.outputIds.wacc).textContent = 
+        results.wacc.toFixed(2) + '%';
+    
+    document.getElementById(UI.outputIds.wacc_post_tax).textContent = 
+        results.wacc_post_tax.toFixed(2) + '%';
+
+    // ===== UPDATE TAX RESULTS =====
+    document.getElementById(UI.outputIds.after_tax_lcoe_kwh).textContent = 
+        UI.formatIndianCurrency(results.after_tax_lcoe_kwh);
+    
+    document.getElementById(UI.outputIds.depreciation_shield).textContent = 
+        UI.formatIndianCurrency(results.pv_depreciation_shield);
+    
+    document.getElementById(UI.outputIds.interest_shield).textContent = 
+        UI.formatIndianCurrency(results.pv_interest_shield);
+
+    // ===== UPDATE PROJECT RETURNS =====
+    document.getElementById(UI.outputIds.project_irr).textContent = 
+        UI.formatOptional(results.project_irr, v => v.toFixed(2) + '%');
+    
+    document.getElementById(UI.outputIds.equity_irr).textContent = 
+        UI.formatOptional(results.equity_irr, v => v.toFixed(2) + '%');
+    
+    document.getElementById(UI.outputIds.project_npv).textContent = 
+        UI.formatOptional(results.project_npv, UI.formatIndianCurrency);
+    
+    document.getElementById(UI.outputIds.payback_year).textContent = 
+        UI.formatOptional(results.payback_year, v => v.toFixed(1) + ' yrs') + ' / ' +
+        UI.formatOptional(results.discounted_payback_year, v => v.toFixed(1) + ' yrs');
+    
+    document.getElementById(UI.outputIds.min_dscr).textContent = 
+        UI.formatOptional(results.min_dscr, v => v.toFixed(2) + 'x');
+    
+    document.getElementById(UI.outputIds.avg_dscr).textContent = 
+        UI.formatOptional(results.avg_dscr, v => v.toFixed(2) + 'x');
+
+    // ===== UPDATE LOAN SCHEDULE =====
+    UI.renderLoanSchedule(results.loan_schedule);
+    UI.renderYearlySchedule(results.yearly_schedule);
+
     // ===== AUTO-UPDATE CHARTS IF ENABLED =====
     if (UI.autoUpdateCharts) {
         UI.updateAllCharts();
     }
 };
 
+/**
+ * Render the loan amortization schedule table
+ * @param {array} schedule - Rows from calculateLoanSchedule
+ */
+UI.renderLoanSchedule = function(schedule) {
+    const container = document.getElementById(UI.outputIds.loan_schedule);
+    if (!container) return;
+
+    let html = `<table class="schedule-table">`;
+    html += `<thead><tr>`;
+    html += `<th>Year</th><th>Opening Balance (₹)</th><th>Interest (₹)</th>`;
+    html += `<th>Principal (₹)</th><th>Debt Service (₹)</th><th>Closing Balance (₹)</th>`;
+    html += `</tr></thead><tbody>`;
+
+    schedule.forEach(row => {
+        html += `<tr>`;
+        html += `<td>${row.year}</td>`;
+        html += `<td>${UI.formatNumber(row.opening_balance)}</td>`;
+        html += `<td>${UI.formatNumber(row.interest)}</td>`;
+        html += `<td>${UI.formatNumber(row.principal)}</td>`;
+        html += `<td>${UI.formatNumber(row.debt_service)}</td>`;
+        html += `<td>${UI.formatNumber(row.closing_balance)}</td>`;
+        html += `</tr>`;
+    });
+
+    html += `</tbody></table>`;
+    container.innerHTML = html;
+};
+
+/**
+ * Render the yearly cash flow and energy schedule with a totals row
+ * @param {array} schedule - results.yearly_schedule
+ */
+UI.renderYearlySchedule = function(schedule) {
+    const container = document.getElementById(UI.outputIds.yearly_schedule);
+    if (!container) return;
+
+    const total = key => schedule.reduce((sum, row) => sum + row[key], 0);
+
+    let html = `<table class="schedule-table">`;
+    html += `<thead><tr>`;
+    html += `<th>Year</th><th>Energy (MWh)</th><th>O&amp;M (₹)</th><th>Debt Service (₹)</th>`;
+    html += `<th>Total Cost (₹)</th><th>Discount Factor</th><th>PV of Cost (₹)</th><th>PV of Energy (MWh)</th>`;
+    html += `<th>Revenue (₹)</th>`;
+    html += `</tr></thead><tbody>`;
+
+    schedule.forEach(row => {
+        html += `<tr>`;
+        html += `<td>${row.year}</td>`;
+        html += `<td>${UI.formatNumber(row.energy)}</td>`;
+        html += `<td>${UI.formatNumber(row.om)}</td>`;
+        html += `<td>${UI.formatNumber(row.debt_service)}</td>`;
+        html += `<td>${UI.formatNumber(row.total_cost)}</td>`;
+        html += `<td>${row.discount_factor.toFixed(4)}</td>`;
+        html += `<td>${UI.formatNumber(row.pv_cost)}</td>`;
+        html += `<td>${UI.formatNumber(row.pv_energy)}</td>`;
+        html += `<td>${UI.formatNumber(row.revenue)}</td>`;
+        html += `</tr>`;
+    });
+
+    html += `<tr class="group-row">`;
+    html += `<td>Total</td>`;
+    html += `<td>${UI.formatNumber(total('energy'))}</td>`;
+    html += `<td>${UI.formatNumber(total('om'))}</td>`;
+    html += `<td>${UI.formatNumber(total('debt_service'))}</td>`;
+    html += `<td>${UI.formatNumber(total('total_cost'))}</td>`;
+    html += `<td></td>`;
+    html += `<td>${UI.formatNumber(total('pv_cost'))}</td>`;
+    html += `<td>${UI.formatNumber(total('pv_energy'))}</td>`;
+    html += `<td>${UI.formatNumber(total('revenue'))}</td>`;
+    html += `</tr>`;
+
+    html += `</tbody></table>`;
+    container.innerHTML = html;
+};
+
 // ============================================
 // CHART UPDATE FUNCTIONS
 // ============================================
@@ -215,7 +582,9 @@ UI.updateResults = function() {
  * Update sensitivity chart based on user inputs
  */
 UI.updateSensitivityChart = function() {
-    const inputs = UI.getInputs();
+    if (!UI.lastResults) return;
+
+    const inputs = UI.lastResults.inputs;
     const min_rate = parseFloat(document.getElementById('sensitivity-min-rate').value) || 5;
     const max_rate = parseFloat(document.getElementById('sensitivity-max-rate').value) || 15;
     const step = parseFloat(document.getElementById('sensitivity-step').value) || 0.5;
@@ -275,6 +644,11 @@ UI.updateRangeAnalysis = function() {
     }
 };
 
+/**
+ * Parameter ranges and labels offered in the heatmap selectors
+ */
+UI.heatmapParams = HEATMAP_PARAMETERS;
+
 /**
  * Update Dual Parameter Heatmap with Grid Style
  */
@@ -286,33 +660,8 @@ UI.updateHeatmap = function() {
     // Get selected parameters
     const param1_key = document.getElementById('heatmap-param1')?.value || 'capex_per_mw';
     const param2_key = document.getElementById('heatmap-param2')?.value || 'discount_rate';
-
-    // Define parameter ranges and labels
-    const param_config = {
-        capex_per_mw: {
-            label: 'CAPEX per MW (₹)',
-            range: [30e6, 40e6, 50e6, 60e6, 70e6]
-        },
-        energy_generation: {
-            label: 'Annual Energy (MWh)',
-            range: [1000, 1300, 1700, 2100, 2500]
-        },
-        discount_rate: {
-            label: 'Discount Rate (%)',
-            range: [5, 7, 9, 11, 13]
-        },
-        opex_percent: {
-            label: 'OPEX (% of CAPEX)',
-            range: [1, 1.5, 2.0, 2.5, 3.0]
-        },
-        interest_rate: {
-            label: 'Interest Rate (%)',
-            range: [7, 8, 9, 10, 11]
-        }
-    };
-
-    const param1_config = param_config[param1_key];
-    const param2_config = param_config[param2_key];
+    const param1_config = UI.heatmapParams[param1_key];
+    const param2_config = UI.heatmapParams[param2_key];
 
     if (!param1_config || !param2_config) {
         console.error('Invalid parameter selection');
@@ -366,179 +715,1560 @@ UI.updateAllCharts = function() {
     } catch (error) {
         console.warn('⚠️ Could not update range analysis:', error.message);
     }
+
+    // Update Cost & Energy charts
+    try {
+        UI.updateCostCharts();
+    } catch (error) {
+        console.warn('⚠️ Could not update cost & energy charts:', error.message);
+    }
+};
+
+/**
+ * Update the Cost & Energy tab: discount rate sensitivity, cost breakdown,
+ * yearly cost cash flows and energy degradation
+ */
+UI.updateCostCharts = function() {
+    if (!UI.lastResults) return;
+
+    const { inputs, results } = UI.lastResults;
+
+    UI.updateSensitivityChart();
+    Charts.plotCostBreakdown(results);
+    Charts.plotCashFlows(results.yearly_schedule.map(row => row.total_cost), inputs.discount_rate);
+    Charts.plotEnergyDegradation(inputs, results);
 };
 
 // ============================================
-// EXPORT & DOWNLOAD FUNCTIONS
+// MONTE CARLO UNCERTAINTY
 // ============================================
 
 /**
- * Generate CSV content from current results
- * @returns {string} CSV formatted string
+ * Distributions preselected when the Uncertainty tab is first opened
  */
-UI.generateCSVContent = function() {
-    if (!UI.lastResults) return null;
-
-    const { inputs, results } = UI.lastResults;
-    const timestamp = new Date().toLocaleString('en-IN');
-
-    let csv = 'Solar LCOE Calculator - Export Report\n';
-    csv += `Generated: ${timestamp}\n`;
-    csv += `URL: ${window.location.href}\n\n`;
-
-    // ===== INPUT SECTION =====
-    csv += '=== INPUT PARAMETERS ===\n';
-    csv += `Capacity (MW),${inputs.capacity}\n`;
-    csv += `Annual Energy Generation (MWh),${inputs.energy_generation}\n`;
-    csv += `CAPEX per MW (₹),${inputs.capex_per_mw}\n`;
-    csv += `Annual OPEX (% of CAPEX),${inputs.opex_percent}\n`;
-    csv += `Loan Interest Rate (%),${inputs.interest_rate}\n`;
-    csv += `Loan Tenure (Years),${inputs.loan_tenure}\n`;
-    csv += `Project Lifetime (Years),${inputs.project_lifetime}\n`;
-    csv += `Discount Rate (%),${inputs.discount_rate}\n\n`;
-
-    // ===== RESULTS SECTION =====
-    csv += '=== MAIN RESULTS ===\n';
-    csv += `LCOE (₹/MWh),${results.lcoe_mwh.toFixed(2)}\n`;
-    csv += `LCOE (₹/kWh),${results.lcoe_kwh.toFixed(4)}\n`;
-    csv += `Capacity Utilization (%),${(results.cue * 100).toFixed(2)}\n\n`;
-
-    // ===== DETAILED BREAKDOWN =====
-    csv += '=== DETAILED BREAKDOWN ===\n';
-    csv += `Total CAPEX (₹),${results.capex.toFixed(2)}\n`;
-    csv += `Annual OPEX Year 0 (₹),${results.annual_opex.toFixed(2)}\n`;
-    csv += `Annual EMI (₹),${results.annual_emi.toFixed(2)}\n`;
-    csv += `Total O&M Cost (₹),${results.total_om.toFixed(2)}\n`;
-    csv += `Total Loan Repayment (₹),${results.total_loan.toFixed(2)}\n`;
-    csv += `Total OPEX,${results.total_opex.toFixed(2)}\n`;
-    csv += `NPV of OPEX (₹),${results.npv_opex.toFixed(2)}\n`;
-    csv += `Total Energy Generated (MWh),${results.total_energy.toFixed(2)}\n\n`;
-
-    // ===== ANNUAL CASH FLOWS =====
-    csv += '=== ANNUAL CASH FLOWS ===\n';
-    csv += 'Year,Cash Flow (₹)\n';
-    results.cash_flows.forEach((cf, index) => {
-        csv += `${index + 1},${cf.toFixed(2)}\n`;
-    });
+UI.monteCarloPresets = {
+    capex_per_mw: 'triangular',
+    energy_generation: 'normal'
+};
 
-    csv += '\n=== CALCULATION NOTES ===\n';
-    csv += 'OPEX Escalation Rate,5% per year\n';
-    csv += 'Panel Degradation Rate,0.5% per year\n';
-    csv += 'LCOE Formula,(CAPEX + NPV of OPEX) / Total Energy Generated\n';
+/**
+ * Rank correlations entered in the Uncertainty tab, keyed 'key_a|key_b'
+ */
+UI.correlationValues = {};
 
-    return csv;
+/**
+ * Get the form label text for an input
+ * @param {string} id - Input element id
+ * @returns {string} Label text without tooltip marker
+ */
+UI.getInputLabel = function(id) {
+    const label = document.getElementById(id)?.closest('.input-group')?.querySelector('label');
+    return label ? label.firstChild.textContent.trim() : id;
 };
 
 /**
- * Download results as CSV file
+ * Build a starting distribution around a base value (±10%)
+ * @param {string} type - Distribution type
+ * @param {number} value - Base input value
+ * @returns {object} Distribution definition
  */
-UI.downloadCSV = function() {
-    if (!UI.lastResults) {
-        alert('❌ Please ensure calculations are complete before exporting');
-        return;
+UI.defaultDistribution = function(type, value) {
+    const round = v => parseFloat(v.toPrecision(6));
+    const spread = Math.abs(value) * 0.1;
+
+    switch (type) {
+        case 'normal':
+        case 'lognormal':
+            return { type, mean: round(value), std: round(spread) };
+        case 'triangular':
+            return { type, min: round(value - spread), mode: round(value), max: round(value + spread) };
+        case 'uniform':
+            return { type, min: round(value - spread), max: round(value + spread) };
+        default:
+            return { type: 'none' };
     }
+};
 
-    const csvContent = UI.generateCSVContent();
-    if (!csvContent) {
-        alert('❌ Error generating CSV content');
+/**
+ * Render the distribution editor: one row per numeric input
+ */
+UI.renderDistributionTable = function() {
+    const container = document.getElementById('mc-distributions');
+    if (!container) return;
+
+    const numeric_ids = UI.inputIds.filter(id => document.getElementById(id)?.type === 'number');
+    const type_options = ['none', ...Object.keys(MonteCarlo.DISTRIBUTIONS)]
+        .map(type => `<option value="${type}">${type === 'none' ? 'Fixed' : MonteCarlo.DISTRIBUTIONS[type].label}</option>`)
+        .join('');
+
+    let html = '<table class="schedule-table"><thead><tr>';
+    html += '<th>Input</th><th>Distribution</th><th>Parameters</th>';
+    html += '</tr></thead><tbody>';
+    numeric_ids.forEach(id => {
+        html += `<tr data-input="${id}">`;
+        html += `<td style="text-align: left;">${UI.getInputLabel(id)}</td>`;
+        html += `<td><select id="mc-type-${id}" onchange="UI.renderDistributionParams('${id}')">${type_options}</select></td>`;
+        html += `<td><div class="mc-params" id="mc-params-${id}"></div></td>`;
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+
+    Object.entries(UI.monteCarloPresets).forEach(([id, type]) => {
+        const select = document.getElementById(`mc-type-${id}`);
+        if (select) {
+            select.value = type;
+            UI.renderDistributionParams(id);
+        }
+    });
+    UI.renderCorrelationTable();
+};
+
+/**
+ * Render the correlation editor for inputs that currently have a distribution
+ * Only the upper triangle is editable; the lower triangle mirrors it.
+ */
+UI.renderCorrelationTable = function() {
+    const container = document.getElementById('mc-correlations');
+    if (!container) return;
+
+    const keys = Object.keys(UI.getDistributions());
+    if (keys.length < 2) {
+        container.innerHTML = '<p style="color: #999;">Assign distributions to two or more inputs to correlate them.</p>';
         return;
     }
 
-    // Create blob and trigger download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    
-    link.setAttribute('href', url);
-    link.setAttribute('download', `LCOE_Report_${new Date().toISOString().slice(0, 10)}.csv`);
-    link.style.visibility = 'hidden';
-    
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    let html = '<table class="schedule-table"><thead><tr><th></th>';
+    keys.forEach(key => { html += `<th>${UI.getInputLabel(key)}</th>`; });
+    html += '</tr></thead><tbody>';
+    keys.forEach((row_key, i) => {
+        html += `<tr><th style="text-align: left;">${UI.getInputLabel(row_key)}</th>`;
+        keys.forEach((col_key, j) => {
+            const value = UI.correlationValues[[row_key, col_key].sort().join('|')] || 0;
+            if (i === j) {
+                html += '<td>1</td>';
+            } else if (j > i) {
+                html += `<td><input type="number" min="-1" max="1" step="0.05" value="${value}" ` +
+                    `data-pair="${row_key}|${col_key}" onchange="UI.setCorrelation(this)"></td>`;
+            } else {
+                html += `<td style="color: #999;">${value}</td>`;
+            }
+        });
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+
+    container.innerHTML = html;
 };
 
 /**
- * Download charts as images (placeholder - requires html2canvas)
+ * Store an edited correlation and refresh the mirrored cell
+ * @param {HTMLInputElement} input - Correlation cell input
  */
-UI.downloadCharts = function() {
-    alert('💡 To download charts, right-click on any chart and select "Save image as..."');
+UI.setCorrelation = function(input) {
+    const key = input.dataset.pair.split('|').sort().join('|');
+    UI.correlationValues[key] = parseFloat(input.value) || 0;
+    UI.renderCorrelationTable();
 };
 
-// ============================================
-// EVENT LISTENER SETUP
-// ============================================
+/**
+ * Build the correlation matrix for inputs that have a distribution
+ * @param {object} distributions - Map of input key → distribution
+ * @returns {object|null} { keys, matrix }, or null when no correlation is set
+ */
+UI.getCorrelation = function(distributions) {
+    const keys = Object.keys(distributions);
+    const matrix = keys.map(a => keys.map(b =>
+        a === b ? 1 : (UI.correlationValues[[a, b].sort().join('|')] || 0)
+    ));
+    const has_correlation = matrix.some((row, i) => row.some((value, j) => i !== j && value !== 0));
+
+    return has_correlation ? { keys, matrix } : null;
+};
 
 /**
- * Initialize all event listeners
- * Called once on page load
+ * Render parameter fields for the distribution selected on one input row
+ * @param {string} id - Input element id
  */
-UI.initializeEventListeners = function() {
-    // Attach input change listeners
-    UI.inputIds.forEach(id => {
-        const element = document.getElementById(id);
-        if (element) {
-            element.addEventListener('input', () => UI.updateResults());
-        }
+UI.renderDistributionParams = function(id) {
+    const type = document.getElementById(`mc-type-${id}`).value;
+    const container = document.getElementById(`mc-params-${id}`);
+    const spec = MonteCarlo.DISTRIBUTIONS[type];
+
+    if (!spec) {
+        container.innerHTML = '<span style="color: #999;">Uses form value</span>';
+    } else {
+        const dist = UI.defaultDistribution(type, parseFloat(document.getElementById(id).value) || 0);
+        container.innerHTML = spec.params.map(param =>
+            `<label>${param}<input type="number" data-param="${param}" value="${dist[param]}" step="any"></label>`
+        ).join('');
+    }
+
+    UI.renderCorrelationTable();
+};
+
+/**
+ * Read the distribution editor into a map of input key → distribution
+ * @returns {object} Distributions for inputs that are not fixed
+ */
+UI.getDistributions = function() {
+    const distributions = {};
+
+    document.querySelectorAll('#mc-distributions tr[data-input]').forEach(row => {
+        const id = row.dataset.input;
+        const type = document.getElementById(`mc-type-${id}`).value;
+        if (type === 'none') return;
+
+        const dist = { type };
+        row.querySelectorAll('input[data-param]').forEach(input => {
+            dist[input.dataset.param] = parseFloat(input.value);
+        });
+        distributions[id] = dist;
     });
 
-    // Attach sensitivity control listeners
-    const sensitivityInputs = ['sensitivity-min-rate', 'sensitivity-max-rate', 'sensitivity-step'];
-    sensitivityInputs.forEach(id => {
-        const element = document.getElementById(id);
-        if (element) {
-            element.addEventListener('change', () => UI.updateSensitivityChart());
+    return distributions;
+};
+
+/**
+ * Run the Monte Carlo simulation and update the Uncertainty tab
+ */
+UI.runMonteCarlo = function() {
+    if (!UI.lastResults) return;
+
+    const status = document.getElementById('mc-status');
+    const iterations_input = document.getElementById('mc-iterations');
+    // The field's max is only a hint to the browser; cap the run here as well
+    const iterations = Math.min(
+        parseInt(iterations_input.value) || MonteCarlo.defaults.iterations,
+        MonteCarlo.defaults.max_iterations
+    );
+    iterations_input.value = iterations;
+    const seed = parseInt(document.getElementById('mc-seed').value) || 0;
+
+    status.classList.remove('error');
+    status.textContent = `⏳ Running ${iterations.toLocaleString('en-IN')} samples...`;
+
+    // Let the status message paint before the simulation blocks the page
+    setTimeout(() => {
+        try {
+            const started = Date.now();
+            const distributions = UI.getDistributions();
+            const correlation = UI.getCorrelation(distributions);
+            const mc = MonteCarlo.run(UI.lastResults.inputs, distributions, { iterations, seed, correlation });
+            UI.lastMonteCarlo = mc;
+
+            document.getElementById('mc-p10').textContent = '₹' + mc.stats.p10.toFixed(4);
+            document.getElementById('mc-p50').textContent = '₹' + mc.stats.p50.toFixed(4);
+            document.getElementById('mc-p90').textContent = '₹' + mc.stats.p90.toFixed(4);
+            document.getElementById('mc-mean').textContent =
+                `₹${mc.stats.mean.toFixed(4)} ± ${mc.stats.std.toFixed(4)}`;
+
+            UncertaintyCharts.plotHistogram(mc);
+            UncertaintyCharts.plotCDF(mc);
+            UI.renderPercentileTable(mc);
+
+            status.textContent = `✅ ${mc.lcoe_values.length.toLocaleString('en-IN')} samples in ` +
+                `${Date.now() - started} ms (seed ${mc.seed}). Deterministic LCOE: ₹${mc.base_lcoe.toFixed(4)}/kWh`;
+            if (mc.discarded > 0) {
+                status.textContent += ` ⚠️ ${mc.discarded.toLocaleString('en-IN')} of ` +
+                    `${mc.iterations.toLocaleString('en-IN')} samples were invalid or gave no finite LCOE and are left out, ` +
+                    'so the statistics understate the high-cost tail; narrow the distributions.';
+            }
+            console.log('✅ Monte Carlo simulation complete', mc.stats);
+        } catch (error) {
+            UI.lastMonteCarlo = null;
+            status.classList.add('error');
+            status.textContent = `❌ ${error.message}`;
+            console.error('❌ Error running Monte Carlo simulation:', error);
         }
+    }, 10);
+};
+
+/**
+ * Render the Monte Carlo percentile table
+ * @param {object} mc - Result of MonteCarlo.run()
+ */
+UI.renderPercentileTable = function(mc) {
+    const container = document.getElementById('mc-percentile-container');
+    if (!container) return;
+
+    let html = '<table class="schedule-table"><thead><tr>';
+    html += '<th>Percentile</th><th>LCOE (₹/kWh)</th><th>LCOE (₹/MWh)</th><th>vs Deterministic</th>';
+    html += '</tr></thead><tbody>';
+    mc.percentiles.forEach(row => {
+        const delta = ((row.lcoe_kwh - mc.base_lcoe) / mc.base_lcoe) * 100;
+        html += '<tr>';
+        html += `<td>P${row.p}</td>`;
+        html += `<td>${row.lcoe_kwh.toFixed(4)}</td>`;
+        html += `<td>${UI.formatNumber(row.lcoe_mwh)}</td>`;
+        html += `<td>${delta >= 0 ? '+' : ''}${delta.toFixed(2)}%</td>`;
+        html += '</tr>';
     });
+    html += '</tbody></table>';
+
+    container.innerHTML = html;
 };
 
 // ============================================
-// PAGE INITIALIZATION
+// SCENARIO MANAGER
 // ============================================
 
 /**
- * Initialize the entire application
- * Called when DOM is loaded
+ * Save the current form as a named scenario
  */
-function initializeApp() {
-    // Set up all event listeners
-    UI.initializeEventListeners();
-    
-    // Perform initial calculation
-    UI.updateResults();
-    
-    console.log('✅ Solar LCOE Calculator initialized successfully');
-    console.log('📊 Charts module loaded and ready');
-}
+UI.saveScenario = function() {
+    if (!UI.lastResults) {
+        alert('❌ Please fix the highlighted inputs before saving a scenario');
+        return;
+    }
+
+    const name_input = document.getElementById('scenario-name');
+    const scenario = Scenarios.add(name_input.value.trim(), UI.getInputs());
+
+    name_input.value = '';
+    UI.renderScenarioList();
+    UI.scheduleAutosave();
+    console.log(`💾 Saved scenario "${scenario.name}"`);
+};
 
 /**
- * Switch between analysis tabs
+ * Render the saved scenario list with compare/baseline selectors and actions
  */
-UI.switchTab = function(tab_name) {
-    // Hide all tabs
-    const tabs = document.querySelectorAll('.tab-content');
-    tabs.forEach(tab => tab.classList.remove('active'));
-
-    // Remove active class from all buttons
-    const buttons = document.querySelectorAll('.tab-btn');
-    buttons.forEach(btn => btn.classList.remove('active'));
+UI.renderScenarioList = function() {
+    const container = document.getElementById('scenario-list-container');
+    if (!container) return;
 
-    // Show selected tab
-    const selected_tab = document.getElementById(`tab-${tab_name}`);
-    if (selected_tab) {
-        selected_tab.classList.add('active');
+    if (Scenarios.list.length === 0) {
+        container.innerHTML = '<p style="color: #999; padding: 10px;">No scenarios saved yet.</p>';
+        return;
     }
 
-    // Mark button as active
-    event.target.classList.add('active');
+    let html = '<table class="schedule-table"><thead><tr>';
+    html += '<th>Compare</th><th>Baseline</th><th>Name</th><th>LCOE (₹/kWh)</th><th>Actions</th>';
+    html += '</tr></thead><tbody>';
+    Scenarios.list.forEach((scenario, index) => {
+        const lcoe = calculateLCOE(scenario.inputs).lcoe_kwh;
+        html += '<tr>';
+        html += `<td><input type="checkbox" class="scenario-compare" value="${scenario.id}" checked></td>`;
+        html += `<td><input type="radio" name="scenario-baseline" value="${scenario.id}"${index === 0 ? ' checked' : ''}></td>`;
+        html += `<td style="text-align: left;">${UI.escapeHtml(scenario.name)}</td>`;
+        html += `<td>${lcoe.toFixed(4)}</td>`;
+        html += '<td class="scenario-actions">';
+        html += `<button class="btn-secondary" onclick="UI.loadScenario(${scenario.id})" title="Load into form">📂</button>`;
+        html += `<button class="btn-secondary" onclick="UI.renameScenario(${scenario.id})" title="Rename">✏️</button>`;
+        html += `<button class="btn-secondary" onclick="UI.duplicateScenario(${scenario.id})" title="Duplicate">📄</button>`;
+        html += `<button class="btn-secondary" onclick="UI.deleteScenario(${scenario.id})" title="Delete">🗑️</button>`;
+        html += '</td></tr>';
+    });
+    html += '</tbody></table>';
 
-    // Generate charts when tab is activated
-    if (tab_name === 'sensitivity') {
-        UI.updateTornadoChart();
-    } else if (tab_name === 'heatmap') {
-        UI.updateHeatmap();
-    } else if (tab_name === 'ranges') {
-        UI.generateRangeAnalysis();
+    container.innerHTML = html;
+};
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+UI.escapeHtml = function(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/**
+ * Load a saved scenario into the form
+ * @param {number} id - Scenario id
+ */
+UI.loadScenario = function(id) {
+    const scenario = Scenarios.get(id);
+    if (!scenario) return;
+
+    UI.setInputs(scenario.inputs);
+    console.log(`📂 Loaded scenario "${scenario.name}"`);
+};
+
+/**
+ * Rename a saved scenario
+ * @param {number} id - Scenario id
+ */
+UI.renameScenario = function(id) {
+    const scenario = Scenarios.get(id);
+    if (!scenario) return;
+
+    const name = prompt('Rename scenario:', scenario.name);
+    if (name === null) return;
+
+    Scenarios.rename(id, name);
+    UI.renderScenarioList();
+    UI.scheduleAutosave();
+};
+
+/**
+ * Duplicate a saved scenario
+ * @param {number} id - Scenario id
+ */
+UI.duplicateScenario = function(id) {
+    Scenarios.duplicate(id);
+    UI.renderScenarioList();
+    UI.scheduleAutosave();
+};
+
+/**
+ * Delete a saved scenario after confirmation
+ * @param {number} id - Scenario id
+ */
+UI.deleteScenario = function(id) {
+    const scenario = Scenarios.get(id);
+    if (!scenario || !confirm(`Delete scenario "${scenario.name}"?`)) return;
+
+    Scenarios.remove(id);
+    UI.renderScenarioList();
+    UI.scheduleAutosave();
+};
+
+/**
+ * Compare the ticked scenarios: side-by-side table and bar chart
+ */
+UI.compareScenarios = function() {
+    const ids = [...document.querySelectorAll('.scenario-compare:checked')].map(el => parseInt(el.value));
+    const baseline = document.querySelector('input[name="scenario-baseline"]:checked');
+    const container = document.getElementById('scenario-comparison-container');
+
+    if (ids.length < 2) {
+        alert('❌ Please select at least two scenarios to compare');
+        return;
+    }
+
+    try {
+        const comparison = Scenarios.compare(ids, baseline ? parseInt(baseline.value) : ids[0]);
+        UI.lastComparison = comparison;
+
+        Charts.plotScenarioComparison(comparison.scenarios);
+        container.innerHTML = UI.renderComparisonTable(comparison);
+
+        console.log(`✅ Compared ${comparison.scenarios.length} scenarios`);
+    } catch (error) {
+        console.error('❌ Error comparing scenarios:', error);
+    }
+};
+
+/**
+ * Build the side-by-side comparison table
+ * @param {object} comparison - Result of Scenarios.compare()
+ * @returns {string} HTML table
+ */
+UI.renderComparisonTable = function(comparison) {
+    const { scenarios, baseline_index, rows } = comparison;
+    const formatValue = (row, value) => {
+        if (value === null || value === undefined) return '–';
+        if (Array.isArray(value)) return value.join(', ') || '–';
+        if (typeof value !== 'number') return UI.escapeHtml(value);
+
+        const decimals = row.group === 'output' ? Scenarios.OUTPUT_FIELDS[row.key].decimals : 4;
+        return parseFloat(value.toFixed(decimals)).toLocaleString('en-IN', { maximumFractionDigits: decimals });
+    };
+
+    let html = '<table class="schedule-table"><thead><tr><th>Parameter</th>';
+    scenarios.forEach((s, i) => {
+        html += `<th>${UI.escapeHtml(s.name)}${i === baseline_index ? ' (baseline)' : ''}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    ['input', 'output'].forEach(group => {
+        html += `<tr class="group-row"><td colspan="${scenarios.length + 1}">${group === 'input' ? 'Inputs' : 'Results'}</td></tr>`;
+        rows.filter(row => row.group === group).forEach(row => {
+            const label = group === 'input' ? UI.getInputLabel(row.key) : row.label;
+            html += `<tr><td style="text-align: left;">${UI.escapeHtml(label)}</td>`;
+            row.values.forEach((value, i) => {
+                const delta = row.deltas[i];
+                let delta_html = '';
+                if (i !== baseline_index && delta !== null && delta !== 0) {
+                    const pct = row.delta_percents[i];
+                    const css = delta > 0 ? 'delta-up' : 'delta-down';
+                    delta_html = ` <span class="${css}">(${delta > 0 ? '+' : ''}${formatValue(row, delta)}` +
+                        `${pct !== null ? `, ${delta > 0 ? '+' : ''}${pct.toFixed(1)}%` : ''})</span>`;
+                }
+                html += `<td>${formatValue(row, value)}${delta_html}</td>`;
+            });
+            html += '</tr>';
+        });
+    });
+    html += '</tbody></table>';
+
+    return html;
+};
+
+// ============================================
+// PERSISTENCE & AUTOSAVE
+// ============================================
+
+// Autosave is turned off when stored data could not be read and the user kept it
+UI.autosaveEnabled = true;
+UI.autosaveTimer = null;
+
+// Set while the form shows inputs opened from a link: { encoded, kept_inputs }.
+// Autosave keeps the previously saved inputs until the user changes the form,
+// so opening a colleague's link never overwrites the analyst's own work.
+UI.linkState = null;
+
+/**
+ * Show the autosave state next to the form buttons
+ * @param {string} text - Status text
+ * @param {string} state - 'saved' | 'pending' | 'error'
+ */
+UI.setAutosaveStatus = function(text, state = 'saved') {
+    const element = document.getElementById('autosave-status');
+    if (!element) return;
+
+    element.textContent = text;
+    element.className = `autosave-status ${state}`;
+};
+
+/**
+ * Restore inputs and scenarios saved by an earlier visit
+ * If the stored data cannot be read the user chooses between starting fresh
+ * (the unreadable data is kept under a backup key) and leaving it untouched
+ * with autosave switched off.
+ * @param {object} options - { restore_inputs: false to restore only the scenarios
+ *   (e.g. when a permalink supplies the inputs) }
+ * @returns {boolean} True if saved inputs were loaded into the form
+ */
+UI.restoreState = function({ restore_inputs = true } = {}) {
+    const stored = Persistence.load(UI.defaults);
+
+    if (stored.status === 'unavailable') {
+        UI.autosaveEnabled = false;
+        UI.setAutosaveStatus('⚠️ Autosave unavailable in this browser', 'error');
+        return false;
+    }
+
+    if (stored.status === 'corrupt') {
+        console.error('❌ Saved data could not be read:', stored.error);
+        const start_fresh = confirm(
+            `⚠️ Saved calculator data could not be read (${stored.error.message}).\n\n` +
+            `OK: start fresh. The unreadable data is kept in localStorage under "${Persistence.BACKUP_KEY}".\n` +
+            'Cancel: leave it untouched and turn autosave off for this session.'
+        );
+
+        if (start_fresh) {
+            Persistence.backupAndClear(stored.raw);
+        } else {
+            UI.autosaveEnabled = false;
+            UI.setAutosaveStatus('⚠️ Autosave off – saved data could not be read', 'error');
+        }
+        return false;
+    }
+
+    if (stored.status !== 'ok') return false;
+
+    Scenarios.list = stored.data.scenarios;
+    Scenarios.nextId = stored.data.next_scenario_id;
+    if (!restore_inputs) {
+        UI.renderScenarioList();
+        console.log(`💾 Restored ${Scenarios.list.length} scenario(s) from localStorage; inputs come from the link`);
+        return false;
+    }
+    UI.setInputs(stored.data.inputs);
+
+    const saved_at = stored.data.saved_at ? new Date(stored.data.saved_at).toLocaleString('en-IN') : 'earlier';
+    UI.setAutosaveStatus(`💾 Restored work saved ${saved_at}`);
+    console.log(`💾 Restored inputs and ${Scenarios.list.length} scenario(s) from localStorage`);
+    return true;
+};
+
+/**
+ * Save inputs and scenarios shortly after the last change
+ */
+UI.scheduleAutosave = function() {
+    if (!UI.autosaveEnabled) return;
+
+    clearTimeout(UI.autosaveTimer);
+    UI.setAutosaveStatus('✏️ Saving...', 'pending');
+    UI.autosaveTimer = setTimeout(UI.saveState, 500);
+};
+
+/**
+ * Write inputs and scenarios to localStorage now
+ */
+UI.saveState = function() {
+    let inputs = UI.getInputs();
+    let keeping = false;
+    if (UI.linkState) {
+        if (Permalink.encode(inputs) !== UI.linkState.encoded) {
+            // Edited since the link was opened: these inputs are now the user's work
+            UI.linkState = null;
+        } else if (UI.linkState.kept_inputs) {
+            inputs = UI.linkState.kept_inputs;
+            keeping = true;
+        }
+    }
+
+    const saved = Persistence.save({
+        inputs,
+        scenarios: Scenarios.list,
+        next_scenario_id: Scenarios.nextId
+    });
+
+    if (saved && keeping) {
+        UI.setAutosaveStatus('🔗 Showing linked inputs – your saved inputs are kept until you edit the form');
+    } else if (saved) {
+        UI.setAutosaveStatus(`💾 Saved ${new Date().toLocaleTimeString('en-IN')}`);
+    } else {
+        UI.setAutosaveStatus('⚠️ Could not save – storage full or blocked', 'error');
+    }
+};
+
+/**
+ * Delete saved data and scenarios, then reset the form to defaults
+ */
+UI.clearSavedData = function() {
+    if (!confirm('Delete all saved inputs and scenarios from this browser?')) return;
+
+    Persistence.clear();
+    Scenarios.list = [];
+    Scenarios.nextId = 1;
+    UI.renderScenarioList();
+    UI.resetForm();
+    console.log('🗑️ Cleared saved data');
+};
+
+// ============================================
+// PERMALINK
+// ============================================
+
+/**
+ * Read the chart settings carried in permalinks
+ * @returns {object} Settings keyed as in Permalink.SETTINGS
+ */
+UI.getChartSettings = function() {
+    const settings = {};
+    Object.entries(Permalink.SETTINGS).forEach(([key, id]) => {
+        const element = document.getElementById(id);
+        if (element) settings[key] = element.value;
+    });
+    return settings;
+};
+
+/**
+ * Load inputs and chart settings from the URL hash
+ * Inputs missing from the link take their defaults, so older links still
+ * reproduce the numbers they were made with. The inputs saved before the
+ * link was opened stay in storage until the form is edited (see UI.linkState).
+ * @param {string} hash - Hash to load, defaults to the current location.hash
+ * @returns {boolean} True if the hash carried calculator state
+ */
+UI.applyPermalink = function(hash = window.location.hash) {
+    if (!Permalink.hasState(hash, UI.defaults)) return false;
+
+    const { inputs, settings, ignored } = Permalink.decode(hash, UI.defaults);
+    if (ignored.length) {
+        console.warn('⚠️ Ignored unknown or invalid link parameters:', ignored.join(', '));
+    }
+
+    Object.entries(settings).forEach(([key, value]) => {
+        const element = document.getElementById(Permalink.SETTINGS[key]);
+        if (element) element.value = value;
+    });
+
+    // Read the saved inputs before setInputs() schedules an autosave
+    const stored = Persistence.load(UI.defaults);
+    const kept_inputs = stored.status === 'ok' ? stored.data.inputs : null;
+    UI.setInputs({ ...UI.defaults, ...inputs });
+    UI.linkState = { encoded: Permalink.encode(UI.getInputs()), kept_inputs };
+
+    console.log('🔗 Loaded inputs from link');
+    return true;
+};
+
+/**
+ * Rewrite the URL hash to match the current inputs and chart settings
+ * Uses replaceState so typing in the form does not flood the browser history.
+ */
+UI.updatePermalink = function() {
+    if (!UI.lastResults) return;
+
+    const hash = '#' + Permalink.encode(UI.lastResults.inputs, UI.getChartSettings());
+    if (hash !== window.location.hash) {
+        history.replaceState(null, '', hash);
+    }
+};
+
+/**
+ * Copy the permalink for the current inputs to the clipboard
+ */
+UI.copyPermalink = function() {
+    UI.updatePermalink();
+    const url = window.location.href;
+
+    if (navigator.clipboard?.writeText) {
+        navigator.clipboard.writeText(url)
+            .then(() => alert('🔗 Link copied – anyone opening it sees these exact inputs'))
+            .catch(() => prompt('Copy this link:', url));
+    } else {
+        prompt('Copy this link:', url);
+    }
+};
+
+// ============================================
+// PROJECT IMPORT / EXPORT
+// ============================================
+
+/**
+ * Download text content as a file
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mime_type - MIME type
+ */
+UI.downloadFile = function(content, filename, mime_type) {
+    const blob = new Blob([content], { type: mime_type });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Export inputs, scenarios and chart settings as a JSON project file
+ */
+UI.exportProject = function() {
+    if (!UI.lastResults) {
+        alert('❌ Please ensure calculations are complete before exporting');
+        return;
+    }
+
+    const json = ProjectIO.stringify({
+        inputs: UI.lastResults.inputs,
+        scenarios: Scenarios.list,
+        settings: UI.getChartSettings()
+    });
+
+    UI.downloadFile(json, `LCOE_Project_${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+    console.log('📤 Project exported');
+};
+
+/**
+ * Open the file picker for a project file
+ */
+UI.chooseProjectFile = function() {
+    const picker = document.getElementById('project-file');
+    picker.value = '';
+    picker.click();
+};
+
+/**
+ * Read the chosen file and restore it
+ * JSON project files and CSV reports from UI.generateCSVContent() are both accepted.
+ * @param {File} file - File selected in the picker
+ */
+UI.importProject = function(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const text = String(reader.result);
+        if (/\.csv$/i.test(file.name) || text.includes('=== INPUT PARAMETERS ===')) {
+            UI.applyReportCSV(text, file.name);
+        } else {
+            UI.applyProjectText(text);
+        }
+    };
+    reader.onerror = () => alert(`❌ Could not read ${file.name}`);
+    reader.readAsText(file);
+};
+
+/**
+ * Validate project file text and restore inputs, scenarios and chart settings
+ * Nothing is changed if the file has any field-level error.
+ * @param {string} text - Project file contents
+ * @returns {boolean} True if the project was loaded
+ */
+UI.applyProjectText = function(text) {
+    const { project, errors, warnings } = ProjectIO.parse(text, UI.defaults);
+
+    if (errors.length) {
+        const shown = errors.slice(0, 15).map(e => `• ${e}`).join('\n');
+        const more = errors.length > 15 ? `\n…and ${errors.length - 15} more` : '';
+        alert(`❌ Project not imported – ${errors.length} problem(s) found:\n\n${shown}${more}`);
+        console.error('❌ Project import errors:', errors);
+        return false;
+    }
+
+    if (Scenarios.list.length && project.scenarios.length &&
+        !confirm(`Replace your ${Scenarios.list.length} saved scenario(s) with the ${project.scenarios.length} in this file?`)) {
+        return false;
+    }
+
+    if (project.scenarios.length) {
+        Scenarios.list = [];
+        Scenarios.nextId = 1;
+        project.scenarios.forEach(s => { Scenarios.add(s.name, s.inputs).created = s.created; });
+    }
+
+    Object.entries(project.settings).forEach(([key, value]) => {
+        const element = document.getElementById(Permalink.SETTINGS[key]);
+        if (element) element.value = value;
+    });
+    UI.setInputs(project.inputs);
+    UI.renderScenarioList();
+
+    if (warnings.length) {
+        console.warn('⚠️ Project import warnings:', warnings);
+        alert(`✅ Project imported with ${warnings.length} warning(s):\n\n${warnings.slice(0, 15).map(w => `• ${w}`).join('\n')}`);
+    }
+    console.log(`📥 Imported project "${project.name}"`);
+    return true;
+};
+
+/**
+ * Load inputs from a CSV report and show how the recomputed results compare
+ * with the ones recorded in the report
+ * @param {string} text - CSV report contents
+ * @param {string} filename - File name, for the report heading
+ * @returns {boolean} True if the inputs were loaded
+ */
+UI.applyReportCSV = function(text, filename = 'report') {
+    const { inputs, comparison, errors, warnings } = ProjectIO.parseReportCSV(text, UI.defaults);
+
+    if (errors.length) {
+        alert(`❌ Report not imported – ${errors.length} problem(s) found:\n\n${errors.slice(0, 15).map(e => `• ${e}`).join('\n')}`);
+        console.error('❌ CSV report import errors:', errors);
+        return false;
+    }
+
+    UI.setInputs(inputs);
+    UI.renderImportReport(filename, comparison, warnings);
+    console.log(`📥 Imported inputs from CSV report ${filename}`);
+    return true;
+};
+
+/**
+ * Show the CSV import check: exported vs. recomputed results and assumption warnings
+ * @param {string} filename - Imported file name
+ * @param {array} comparison - Rows of {label, exported, recomputed, match}
+ * @param {array} warnings - Import warnings
+ */
+UI.renderImportReport = function(filename, comparison, warnings) {
+    const container = document.getElementById('import-report');
+    if (!container) return;
+
+    const mismatches = comparison.filter(row => !row.match).length;
+    let html = `<button class="link-button" style="float: right;" onclick="this.parentElement.style.display = 'none'">✖</button>`;
+    html += `<strong>📥 Imported ${UI.escapeHtml(filename)}</strong> – `;
+    html += mismatches
+        ? `<span class="delta-up">${mismatches} result(s) differ from the report</span>`
+        : 'all recorded results reproduced';
+
+    if (comparison.length) {
+        html += '<table class="schedule-table" style="margin-top: 10px;"><thead><tr>';
+        html += '<th>Result</th><th>In Report</th><th>Recomputed</th><th></th>';
+        html += '</tr></thead><tbody>';
+        comparison.forEach(row => {
+            html += `<tr><td style="text-align: left;">${UI.escapeHtml(row.label)}</td>`;
+            html += `<td>${UI.escapeHtml(row.exported)}</td><td>${row.recomputed}</td>`;
+            html += `<td>${row.match ? '✅' : '⚠️'}</td></tr>`;
+        });
+        html += '</tbody></table>';
+    }
+
+    if (warnings.length) {
+        html += '<ul style="margin: 10px 0 0 20px;">';
+        warnings.forEach(w => { html += `<li>${UI.escapeHtml(w)}</li>`; });
+        html += '</ul>';
+    }
+
+    container.innerHTML = html;
+    container.style.display = 'block';
+};
+
+// ============================================
+// GOAL SEEK
+// ============================================
+
+/**
+ * Solve for the selected input that hits the target metric
+ */
+UI.runGoalSeek = function() {
+    if (!UI.lastResults) return;
+
+    const variable = document.getElementById('goalseek-variable').value;
+    const target = document.getElementById('goalseek-target').value;
+    const target_value = parseFloat(document.getElementById('goalseek-value').value);
+    const container = document.getElementById('goalseek-result');
+    const apply_button = document.getElementById('goalseek-apply');
+
+    UI.lastGoalSeek = null;
+    apply_button.style.display = 'none';
+    container.classList.remove('error');
+
+    if (isNaN(target_value)) {
+        container.classList.add('error');
+        container.textContent = '❌ Please enter a target value';
+        return;
+    }
+
+    try {
+        const solution = goalSeek(UI.lastResults.inputs, variable, target, target_value);
+        const variable_config = GOAL_SEEK_VARIABLES[variable];
+        const target_config = GOAL_SEEK_TARGETS[target];
+        const current = UI.lastResults.inputs[variable];
+
+        UI.lastGoalSeek = solution;
+        container.innerHTML = `
+            <strong>${variable_config.label}:</strong> ${UI.formatNumber(solution.value)}
+            (currently ${UI.formatNumber(current)})<br>
+            <strong>${target_config.label} achieved:</strong> ${solution.achieved.toFixed(4)}
+            (target ${target_value})<br>
+            <strong>LCOE at solved value:</strong> ₹${solution.results.lcoe_kwh.toFixed(4)}/kWh
+        `;
+        apply_button.style.display = 'block';
+
+        console.log(`✅ Goal seek solved ${variable} = ${solution.value}`);
+    } catch (error) {
+        container.classList.add('error');
+        container.textContent = `❌ ${error.message}`;
+        console.warn('⚠️ Goal seek failed:', error.message);
+    }
+};
+
+/**
+ * Copy the last goal-seek solution into the form and recalculate
+ */
+UI.applyGoalSeek = function() {
+    if (!UI.lastGoalSeek) return;
+
+    const { variable, value } = UI.lastGoalSeek;
+    const rounded = GOAL_SEEK_VARIABLES[variable].integer ? value : parseFloat(value.toFixed(4));
+
+    document.getElementById(variable).value = rounded;
+    UI.updateResults();
+    UI.runGoalSeek();
+};
+
+// ============================================
+// PORTFOLIO BATCH MODE
+// ============================================
+
+// Last portfolio run and table view state
+UI.lastPortfolio = null;
+UI.portfolioView = { sort_key: 'line', sort_dir: 1 };
+
+/**
+ * Open the file picker for a site table
+ */
+UI.choosePortfolioFile = function() {
+    const picker = document.getElementById('portfolio-file');
+    picker.value = '';
+    picker.click();
+};
+
+/**
+ * Read the chosen site table and run every row
+ * Columns the table does not have take the current form values.
+ * @param {File} file - File selected in the picker
+ */
+UI.loadPortfolio = function(file) {
+    if (!file) return;
+
+    const status = document.getElementById('portfolio-status');
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const run = Portfolio.run(String(reader.result), UI.getInputs());
+            run.filename = file.name;
+            UI.lastPortfolio = run;
+
+            const { site_count, error_count } = run.summary;
+            let message = `✅ ${UI.escapeHtml(file.name)}: ${site_count} site(s) calculated`;
+            if (error_count) message += `, <strong>${error_count} with errors</strong> (see table)`;
+            if (run.unknown_columns.length) {
+                message += `<br>⚠️ Ignored column(s): ${run.unknown_columns.map(UI.escapeHtml).join(', ')}`;
+            }
+            status.className = 'goalseek-result';
+            status.innerHTML = message;
+
+            UI.renderPortfolioSummary(run.summary);
+            UI.renderPortfolioTable();
+            console.log(`🏭 Portfolio run: ${site_count} sites, ${error_count} with errors`);
+        } catch (error) {
+            UI.lastPortfolio = null;
+            status.className = 'goalseek-result error';
+            status.textContent = `❌ ${error.message}`;
+            UI.renderPortfolioSummary(null);
+            UI.renderPortfolioTable();
+            console.error('❌ Portfolio error:', error);
+        }
+    };
+    reader.onerror = () => alert(`❌ Could not read ${file.name}`);
+    reader.readAsText(file);
+};
+
+/**
+ * Fill the portfolio metric cards
+ * @param {object|null} summary - Result of Portfolio.summarize()
+ */
+UI.renderPortfolioSummary = function(summary) {
+    const set = (id, text) => { document.getElementById(id).textContent = text; };
+
+    if (!summary) {
+        ['portfolio-lcoe', 'portfolio-capacity', 'portfolio-count', 'portfolio-range'].forEach(id => set(id, '–'));
+        return;
+    }
+
+    set('portfolio-lcoe', summary.weighted_lcoe_kwh === null ? '–' : `₹${summary.weighted_lcoe_kwh.toFixed(4)}`);
+    set('portfolio-capacity', UI.formatNumber(summary.total_capacity));
+    set('portfolio-count', `${summary.valid_count} / ${summary.site_count}`);
+    set('portfolio-range', summary.min_lcoe_kwh === null ? '–'
+        : `${summary.min_lcoe_kwh.toFixed(2)} – ${summary.max_lcoe_kwh.toFixed(2)}`);
+};
+
+/**
+ * Sort the portfolio table by a column; clicking the same column again reverses it
+ * @param {string} key - Column key
+ */
+UI.sortPortfolio = function(key) {
+    const view = UI.portfolioView;
+    view.sort_dir = view.sort_key === key ? -view.sort_dir : 1;
+    view.sort_key = key;
+    UI.renderPortfolioTable();
+};
+
+/**
+ * Draw the site table with the current filter and sort order
+ */
+UI.renderPortfolioTable = function() {
+    const container = document.getElementById('portfolio-table-container');
+    const run = UI.lastPortfolio;
+    if (!run) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const columns = [
+        { key: 'line', label: 'Row', value: s => s.line },
+        { key: 'site', label: 'Site', value: s => s.site },
+        { key: 'capacity', label: 'Capacity (MW)', value: s => s.inputs.capacity, decimals: 2 },
+        { key: 'energy_generation', label: 'Generation (MWh)', value: s => s.inputs.energy_generation, decimals: 2 },
+        { key: 'capex_per_mw', label: 'CAPEX (₹)', value: s => s.inputs.capex_per_mw, decimals: 0 },
+        ...Object.entries(Portfolio.RESULT_COLUMNS).map(([key, column]) => ({
+            key,
+            label: column.label,
+            value: s => s.results ? s.results[key] * (column.scale || 1) : null,
+            decimals: column.decimals
+        })),
+        { key: 'errors', label: 'Status', value: s => s.errors.join('; ') }
+    ];
+
+    const filter = document.getElementById('portfolio-filter').value.trim().toLowerCase();
+    const status_filter = document.getElementById('portfolio-status-filter').value;
+    const { sort_key, sort_dir } = UI.portfolioView;
+    const sort_column = columns.find(c => c.key === sort_key) || columns[0];
+
+    const sites = run.sites
+        .filter(s => status_filter === 'all' || (status_filter === 'valid') === Boolean(s.results))
+        .filter(s => !filter || `${s.site} ${s.errors.join(' ')}`.toLowerCase().includes(filter))
+        .sort((a, b) => {
+            const va = sort_column.value(a);
+            const vb = sort_column.value(b);
+            // Rows without a value always sort last
+            if (va === null || va === '') return vb === null || vb === '' ? 0 : 1;
+            if (vb === null || vb === '') return -1;
+            return (typeof va === 'number' ? va - vb : String(va).localeCompare(String(vb))) * sort_dir;
+        });
+
+    let html = '<table class="schedule-table"><thead><tr>';
+    columns.forEach(c => {
+        const arrow = c.key === sort_key ? (sort_dir > 0 ? ' ▲' : ' ▼') : '';
+        html += `<th class="sortable" onclick="UI.sortPortfolio('${c.key}')">${c.label}${arrow}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+
+    sites.forEach(s => {
+        html += `<tr${s.results ? '' : ' class="row-error"'}>`;
+        columns.forEach(c => {
+            const value = c.value(s);
+            let text;
+            if (c.key === 'errors') {
+                text = s.results ? '✅' : `❌ ${UI.escapeHtml(value)}`;
+            } else if (typeof value === 'number' && c.decimals !== undefined) {
+                text = isFinite(value) ? value.toLocaleString('en-IN', { maximumFractionDigits: c.decimals }) : '–';
+            } else {
+                text = value === null ? '–' : UI.escapeHtml(value);
+            }
+            html += `<td${c.key === 'site' || c.key === 'errors' ? ' style="text-align: left;"' : ''}>${text}</td>`;
+        });
+        html += '</tr>';
+    });
+
+    if (!sites.length) {
+        html += `<tr><td colspan="${columns.length}">No sites match the filter</td></tr>`;
+    }
+    html += '</tbody></table>';
+
+    container.innerHTML = html;
+};
+
+/**
+ * Download a site table template with the expected columns
+ */
+UI.downloadPortfolioTemplate = function() {
+    UI.downloadFile(Portfolio.template(UI.getInputs()), 'LCOE_Portfolio_Template.csv', 'text/csv;charset=utf-8;');
+};
+
+/**
+ * Download every site's inputs, results and validation errors
+ */
+UI.downloadPortfolioResults = function() {
+    if (!UI.lastPortfolio) {
+        alert('❌ Please upload a site table first');
+        return;
+    }
+
+    const filename = `LCOE_Portfolio_${new Date().toISOString().slice(0, 10)}.csv`;
+    UI.downloadFile(Portfolio.toCSV(UI.lastPortfolio), filename, 'text/csv;charset=utf-8;');
+    console.log('📥 Portfolio results downloaded');
+};
+
+// ============================================
+// EXPORT & DOWNLOAD FUNCTIONS
+// ============================================
+
+/**
+ * Generate CSV content from current results
+ * @returns {string} CSV formatted string
+ */
+UI.generateCSVContent = function() {
+    if (!UI.lastResults) return null;
+
+    const { inputs, results } = UI.lastResults;
+
+    return ProjectIO.reportCSV({
+        inputs,
+        results,
+        url: window.location.href,
+        monte_carlo: UI.lastMonteCarlo,
+        input_label: UI.getInputLabel
+    });
+};
+
+/**
+ * Download results as CSV file
+ */
+UI.downloadCSV = function() {
+    if (!UI.lastResults) {
+        alert('❌ Please ensure calculations are complete before exporting');
+        return;
+    }
+
+    const csvContent = UI.generateCSVContent();
+    if (!csvContent) {
+        alert('❌ Error generating CSV content');
+        return;
+    }
+
+    UI.downloadFile(csvContent, `LCOE_Report_${new Date().toISOString().slice(0, 10)}.csv`, 'text/csv;charset=utf-8;');
+};
+
+/**
+ * Download an Excel workbook whose Cash Flow and Results sheets are live formulas
+ */
+UI.downloadExcel = function() {
+    if (!UI.lastResults) {
+        alert('❌ Please ensure calculations are complete before exporting');
+        return;
+    }
+
+    try {
+        const bytes = XlsxExport.build(UI.lastResults.inputs, UI.lastResults.results);
+        UI.downloadFile(bytes, `LCOE_Model_${new Date().toISOString().slice(0, 10)}.xlsx`,
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        console.log('📗 Excel workbook exported');
+    } catch (error) {
+        alert('❌ Error generating Excel workbook');
+        console.error('❌ Excel export error:', error);
+    }
+};
+
+// Chart.js canvases included in the PDF report, in report order
+UI.reportCharts = {
+    'chart-tornado': 'Tornado Diagram – LCOE Sensitivity',
+    'chart-parameters-combo': 'All Parameters – LCOE Range',
+    'chart-capex-range': 'CAPEX Range',
+    'chart-energy-range': 'Energy Generation Range',
+    'chart-discount-range': 'Discount Rate Range'
+};
+
+/**
+ * Redraw a Chart.js chart and copy it onto a white background
+ * Charts in inactive tabs have no size, so their tab is shown while the
+ * chart is redrawn; this happens within one task and is never painted.
+ * @param {string} canvas_id - Canvas element id
+ * @param {number|null} scale - Pixel density to draw at (null = the screen's)
+ * @returns {HTMLCanvasElement|null} Copy of the chart, or null if the chart is not drawn
+ */
+UI.renderChart = function(canvas_id, scale = null) {
+    const canvas = document.getElementById(canvas_id);
+    const chart = canvas ? Chart.getChart(canvas) : null;
+    if (!chart) return null;
+
+    const tab = canvas.closest('.tab-content');
+    const hidden = tab && !tab.classList.contains('active');
+    if (hidden) tab.classList.add('active');
+    if (scale) chart.options.devicePixelRatio = scale;
+    chart.resize();
+    chart.update('none');
+
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const context = copy.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, copy.width, copy.height);
+    context.drawImage(canvas, 0, 0);
+
+    if (scale) {
+        chart.options.devicePixelRatio = undefined;
+        chart.resize();
+    }
+    if (hidden) tab.classList.remove('active');
+
+    return copy.width && copy.height ? copy : null;
+};
+
+/**
+ * Snapshot a Chart.js canvas as a JPEG on a white background
+ * @param {string} canvas_id - Canvas element id
+ * @returns {object|null} { data: JPEG bytes, width, height }, or null if the chart is not drawn
+ */
+UI.captureChart = function(canvas_id) {
+    const copy = UI.renderChart(canvas_id);
+    if (!copy) return null;
+
+    const binary = atob(copy.toDataURL('image/jpeg', 0.92).split(',')[1]);
+    return {
+        data: Uint8Array.from(binary, ch => ch.charCodeAt(0)),
+        width: copy.width,
+        height: copy.height
+    };
+};
+
+/**
+ * LCOE matrix for the heatmap parameters currently selected
+ * @returns {object} { row_label, col_label, rows, cols, matrix }
+ */
+UI.getHeatmapData = function() {
+    const param1_key = document.getElementById('heatmap-param1')?.value || 'capex_per_mw';
+    const param2_key = document.getElementById('heatmap-param2')?.value || 'discount_rate';
+    const param1 = UI.heatmapParams[param1_key];
+    const param2 = UI.heatmapParams[param2_key];
+
+    return {
+        row_label: param1.label,
+        col_label: param2.label,
+        rows: param1.range,
+        cols: param2.range,
+        matrix: HeatmapAlternatives.computeMatrix(
+            UI.lastResults.inputs, param1_key, param1.range, param2_key, param2.range
+        )
+    };
+};
+
+/**
+ * Download the PDF project report with snapshots of the analysis charts
+ */
+UI.downloadPDF = function() {
+    if (!UI.lastResults) {
+        alert('❌ Please ensure calculations are complete before exporting');
+        return;
+    }
+
+    const name = prompt('Project name for the report cover:', UI.reportName || 'Solar LCOE Project');
+    if (name === null) return;
+    UI.reportName = name.trim() || 'Solar LCOE Project';
+
+    try {
+        UI.updateAllCharts();
+
+        const charts = [];
+        Object.entries(UI.reportCharts).forEach(([id, title]) => {
+            const image = UI.captureChart(id);
+            if (image) charts.push({ title, image });
+        });
+
+        const pdf = PdfReport.build({
+            name: UI.reportName,
+            date: new Date(),
+            inputs: UI.lastResults.inputs,
+            results: UI.lastResults.results,
+            charts,
+            heatmap: UI.getHeatmapData()
+        });
+
+        UI.downloadFile(pdf, `LCOE_Report_${new Date().toISOString().slice(0, 10)}.pdf`, 'application/pdf');
+        console.log(`📄 PDF report exported with ${charts.length} chart(s)`);
+    } catch (error) {
+        alert('❌ Error generating PDF report');
+        console.error('❌ PDF export error:', error);
+    }
+};
+
+// ============================================
+// CHART IMAGE EXPORT
+// ============================================
+
+// Every exportable chart: element id → title burned into the image
+UI.exportCharts = {
+    'chart-tornado': 'Tornado Diagram – LCOE Sensitivity',
+    'heatmap-grid-container': 'LCOE Heatmap (₹/kWh)',
+    'chart-parameters-combo': 'Parameter Sensitivity Comparison',
+    'chart-capex-range': 'CAPEX Range',
+    'chart-energy-range': 'Energy Generation Range',
+    'chart-discount-range': 'Discount Rate Range',
+    'chart-sensitivity-discount': 'LCOE Sensitivity to Discount Rate',
+    'chart-cost-breakdown': 'Cost Component Breakdown',
+    'chart-energy-degradation': 'Energy Generation Over Project Life',
+    'chart-cash-flows': 'Annual Cost Cash Flows',
+    'chart-mc-histogram': 'Monte Carlo LCOE Distribution',
+    'chart-mc-cdf': 'Monte Carlo Cumulative Probability',
+    'chart-scenario-comparison': 'Scenario Comparison'
+};
+
+/**
+ * Add PNG / SVG download buttons above every exportable chart
+ * Called once on page load
+ */
+UI.addChartExportButtons = function() {
+    Object.keys(UI.exportCharts).forEach(id => {
+        const element = document.getElementById(id);
+        if (!element) return;
+
+        const bar = document.createElement('div');
+        bar.className = 'chart-export-bar';
+        bar.innerHTML = `
+            <button class="link-button" onclick="UI.downloadChart('${id}', 'png')">⬇ PNG</button>
+            <button class="link-button" onclick="UI.downloadChart('${id}', 'svg')">⬇ SVG</button>
+        `;
+
+        // Before the element itself: the heatmap container is re-rendered
+        element.parentNode.insertBefore(bar, element);
+    });
+};
+
+/**
+ * Build one chart image
+ * @param {string} id - Key of UI.exportCharts
+ * @param {string} format - 'png' or 'svg'
+ * @param {number} scale - Pixel density (1, 2 or 3)
+ * @returns {Uint8Array|string|null} Image data, or null if the chart has not been drawn
+ */
+UI.buildChartImage = function(id, format, scale) {
+    const { inputs, results } = UI.lastResults;
+    const options = {
+        title: UI.exportCharts[id],
+        summary: ChartExport.inputSummary(inputs, results),
+        format,
+        scale
+    };
+
+    if (id === 'heatmap-grid-container') {
+        return ChartExport.heatmapImage(UI.getHeatmapData(), options);
+    }
+
+    const source = UI.renderChart(id, scale);
+    return source ? ChartExport.chartImage(source, options) : null;
+};
+
+/**
+ * File name for an exported chart, e.g. "LCOE_capex-range_2x.png"
+ * @param {string} id - Key of UI.exportCharts
+ * @param {string} format - 'png' or 'svg'
+ * @param {number} scale - Pixel density
+ * @returns {string} File name
+ */
+UI.chartFileName = function(id, format, scale) {
+    const name = id.replace(/^chart-/, '').replace(/-container$/, '');
+    return `LCOE_${name}${format === 'png' ? `_${scale}x` : ''}.${format}`;
+};
+
+/**
+ * Download one chart as PNG or SVG
+ * @param {string} id - Key of UI.exportCharts
+ * @param {string} format - 'png' or 'svg'
+ */
+UI.downloadChart = function(id, format) {
+    if (!UI.lastResults) {
+        alert('❌ Please ensure calculations are complete before exporting');
+        return;
+    }
+
+    const scale = parseInt(document.getElementById('chart-export-scale')?.value) || 1;
+
+    try {
+        const image = UI.buildChartImage(id, format, scale);
+        if (!image) {
+            alert('❌ This chart has not been generated yet');
+            return;
+        }
+        UI.downloadFile(image, UI.chartFileName(id, format, scale), format === 'svg' ? 'image/svg+xml' : 'image/png');
+        console.log(`🖼️ Chart exported: ${UI.chartFileName(id, format, scale)}`);
+    } catch (error) {
+        alert('❌ Error exporting chart');
+        console.error('❌ Chart export error:', error);
+    }
+};
+
+/**
+ * Download every generated chart as PNG and SVG in one ZIP file
+ */
+UI.downloadCharts = function() {
+    if (!UI.lastResults) {
+        alert('❌ Please ensure calculations are complete before exporting');
+        return;
+    }
+
+    const scale = parseInt(document.getElementById('chart-export-scale')?.value) || 1;
+
+    try {
+        UI.updateAllCharts();
+
+        const files = [];
+        Object.keys(UI.exportCharts).forEach((id, i) => {
+            ['png', 'svg'].forEach(format => {
+                const image = UI.buildChartImage(id, format, scale);
+                if (image) {
+                    const prefix = String(i + 1).padStart(2, '0');
+                    files.push({ name: `${prefix}_${UI.chartFileName(id, format, scale)}`, data: image });
+                }
+            });
+        });
+
+        UI.downloadFile(ZipWriter.create(files), `LCOE_Charts_${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+        console.log(`🖼️ ${files.length / 2} chart(s) exported as ZIP`);
+    } catch (error) {
+        alert('❌ Error exporting charts');
+        console.error('❌ Chart export error:', error);
+    }
+};
+
+// ============================================
+// EVENT LISTENER SETUP
+// ============================================
+
+/**
+ * Initialize all event listeners
+ * Called once on page load
+ */
+UI.initializeEventListeners = function() {
+    // Attach input change listeners
+    UI.inputIds.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('input', () => UI.updateResults());
+        }
+    });
+
+    // Keep the permalink in sync with chart settings
+    Object.values(Permalink.SETTINGS).forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('change', () => UI.updatePermalink());
+        }
+    });
+
+    // Load state from a link pasted into the address bar of an open page
+    window.addEventListener('hashchange', () => UI.applyPermalink());
+
+    // Attach sensitivity control listeners
+    const sensitivityInputs = ['sensitivity-min-rate', 'sensitivity-max-rate', 'sensitivity-step'];
+    sensitivityInputs.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('change', () => UI.updateSensitivityChart());
+        }
+    });
+};
+
+// ============================================
+// PAGE INITIALIZATION
+// ============================================
+
+/**
+ * Initialize the entire application
+ * Called when DOM is loaded
+ */
+function initializeApp() {
+    // ?debug in the URL prints the engine's intermediate values
+    if (new URLSearchParams(window.location.search).has('debug')) {
+        setLogger(console.log);
+    }
+
+    // Set up all event listeners
+    UI.initializeEventListeners();
+    UI.addChartExportButtons();
+
+    // Show the fields for the selected degradation profile and depreciation method
+    UI.toggleDegradationFields();
+    UI.toggleDepreciationFields();
+    
+    // Restore saved work and scenarios; a permalink in the URL takes precedence
+    // over the saved inputs. Otherwise perform initial calculation with defaults.
+    // The hash is read first: every recalculation rewrites it with the form's inputs.
+    const link_hash = window.location.hash;
+    const has_link = Permalink.hasState(link_hash, UI.defaults);
+    const restored = UI.restoreState({ restore_inputs: !has_link });
+    if (!UI.applyPermalink(link_hash) && !restored) {
+        UI.updateResults();
+    }
+    
+    console.log('✅ Solar LCOE Calculator initialized successfully');
+    console.log('📊 Charts module loaded and ready');
+}
+
+/**
+ * Switch between analysis tabs
+ */
+UI.switchTab = function(tab_name) {
+    // Hide all tabs
+    const tabs = document.querySelectorAll('.tab-content');
+    tabs.forEach(tab => tab.classList.remove('active'));
+
+    // Remove active class from all buttons
+    const buttons = document.querySelectorAll('.tab-btn');
+    buttons.forEach(btn => btn.classList.remove('active'));
+
+    // Show selected tab
+    const selected_tab = document.getElementById(`tab-${tab_name}`);
+    if (selected_tab) {
+        selected_tab.classList.add('active');
+    }
+
+    // Mark button as active
+    event.target.classList.add('active');
+
+    // Generate charts when tab is activated
+    if (tab_name === 'sensitivity') {
+        UI.updateTornadoChart();
+    } else if (tab_name === 'heatmap') {
+        UI.updateHeatmap();
+    } else if (tab_name === 'ranges') {
+        UI.generateRangeAnalysis();
+    } else if (tab_name === 'costs') {
+        UI.updateCostCharts();
+    } else if (tab_name === 'scenarios') {
+        UI.renderScenarioList();
+    } else if (tab_name === 'uncertainty') {
+        if (!document.querySelector('#mc-distributions table')) {
+            UI.renderDistributionTable();
+        }
     }
 };
 
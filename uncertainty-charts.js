@@ -0,0 +1,227 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - UNCERTAINTY CHARTS
+ * ============================================
+ *
+ * LCOE Histogram: Frequency of Monte Carlo LCOE outcomes
+ * LCOE CDF: Probability that LCOE stays at or below a value
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const UncertaintyCharts = {
+    // Store chart instances
+    charts: {
+        histogram: null,
+        cdf: null
+    },
+
+    // Color palette
+    colors: {
+        bars: 'rgba(102, 126, 234, 0.7)',
+        barsBorder: '#667eea',
+        cdf: '#764ba2',
+        p10: '#66bb6a',
+        p50: '#42a5f5',
+        p90: '#ef5350'
+    }
+};
+
+// ============================================
+// HISTOGRAM
+// ============================================
+
+/**
+ * Plot the histogram of simulated LCOE values
+ * Bars containing P10, P50 and P90 are highlighted.
+ *
+ * @param {object} mc - Result of MonteCarlo.run()
+ */
+UncertaintyCharts.plotHistogram = function(mc) {
+    const ctx = document.getElementById('chart-mc-histogram')?.getContext('2d');
+    if (!ctx) {
+        console.warn('Chart canvas #chart-mc-histogram not found');
+        return;
+    }
+
+    if (UncertaintyCharts.charts.histogram) {
+        UncertaintyCharts.charts.histogram.destroy();
+    }
+
+    const { edges, counts, centers } = mc.histogram;
+    const { p10, p50, p90 } = mc.stats;
+    const binOf = value => Math.min(counts.length - 1, Math.max(0, edges.findIndex(edge => edge > value) - 1));
+    const highlight = { [binOf(p10)]: UncertaintyCharts.colors.p10, [binOf(p90)]: UncertaintyCharts.colors.p90 };
+    highlight[binOf(p50)] = UncertaintyCharts.colors.p50;
+
+    UncertaintyCharts.charts.histogram = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: centers.map(c => c.toFixed(3)),
+            datasets: [{
+                label: 'Samples',
+                data: counts,
+                backgroundColor: counts.map((_, i) => highlight[i] || UncertaintyCharts.colors.bars),
+                borderColor: UncertaintyCharts.colors.barsBorder,
+                borderWidth: 1,
+                barPercentage: 1.0,
+                categoryPercentage: 1.0
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: { display: false },
+                title: {
+                    display: true,
+                    text: `🎲 LCOE Distribution (${mc.lcoe_values.length.toLocaleString('en-IN')} samples) – ` +
+                        `P10 ₹${p10.toFixed(3)} | P50 ₹${p50.toFixed(3)} | P90 ₹${p90.toFixed(3)}`,
+                    font: { size: 14, weight: 'bold' },
+                    padding: 20,
+                    color: '#333'
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    callbacks: {
+                        title: function(items) {
+                            const i = items[0].dataIndex;
+                            return `₹${edges[i].toFixed(3)} – ₹${edges[i + 1].toFixed(3)}/kWh`;
+                        },
+                        label: function(context) {
+                            const share = (context.parsed.y / mc.lcoe_values.length) * 100;
+                            return `${context.parsed.y} samples (${share.toFixed(1)}%)`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'LCOE (₹/kWh)',
+                        font: { size: 12, weight: 'bold' }
+                    },
+                    grid: { display: false }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Number of Samples',
+                        font: { size: 12, weight: 'bold' }
+                    },
+                    grid: { color: 'rgba(0, 0, 0, 0.05)' }
+                }
+            }
+        }
+    });
+};
+
+// ============================================
+// CUMULATIVE DISTRIBUTION
+// ============================================
+
+/**
+ * Plot the cumulative distribution of simulated LCOE values
+ *
+ * @param {object} mc - Result of MonteCarlo.run()
+ */
+UncertaintyCharts.plotCDF = function(mc) {
+    const ctx = document.getElementById('chart-mc-cdf')?.getContext('2d');
+    if (!ctx) {
+        console.warn('Chart canvas #chart-mc-cdf not found');
+        return;
+    }
+
+    if (UncertaintyCharts.charts.cdf) {
+        UncertaintyCharts.charts.cdf.destroy();
+    }
+
+    const markers = [
+        { label: 'P10', value: mc.stats.p10, p: 10, color: UncertaintyCharts.colors.p10 },
+        { label: 'P50', value: mc.stats.p50, p: 50, color: UncertaintyCharts.colors.p50 },
+        { label: 'P90', value: mc.stats.p90, p: 90, color: UncertaintyCharts.colors.p90 }
+    ];
+
+    UncertaintyCharts.charts.cdf = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Cumulative Probability',
+                    data: mc.cdf.map(point => ({ x: point.x, y: point.p * 100 })),
+                    borderColor: UncertaintyCharts.colors.cdf,
+                    backgroundColor: 'rgba(118, 75, 162, 0.1)',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: true,
+                    tension: 0.1
+                },
+                ...markers.map(marker => ({
+                    label: `${marker.label}: ₹${marker.value.toFixed(3)}/kWh`,
+                    data: [{ x: marker.value, y: marker.p }],
+                    borderColor: marker.color,
+                    backgroundColor: marker.color,
+                    pointRadius: 6,
+                    pointHoverRadius: 8,
+                    showLine: false
+                }))
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'bottom',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 15,
+                        font: { size: 12, weight: '600' }
+                    }
+                },
+                title: {
+                    display: true,
+                    text: '📈 Probability LCOE ≤ Value',
+                    font: { size: 14, weight: 'bold' },
+                    padding: 20,
+                    color: '#333'
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                    padding: 12,
+                    callbacks: {
+                        label: function(context) {
+                            return `P(LCOE ≤ ₹${context.parsed.x.toFixed(3)}) = ${context.parsed.y.toFixed(1)}%`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: 'LCOE (₹/kWh)',
+                        font: { size: 12, weight: 'bold' }
+                    },
+                    grid: { color: 'rgba(0, 0, 0, 0.05)' }
+                },
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: 'Cumulative Probability (%)',
+                        font: { size: 12, weight: 'bold' }
+                    },
+                    grid: { color: 'rgba(0, 0, 0, 0.05)' }
+                }
+            }
+        }
+    });
+};
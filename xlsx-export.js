@@ -0,0 +1,444 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - EXCEL (.XLSX) EXPORT
+ * ============================================
+ *
+ * Builds an audit workbook entirely in the browser:
+ *   - Inputs:    every calculator input (editable)
+ *   - Cash Flow: yearly energy, O&M, loan, tax and cash-flow rows as formulas
+ *   - Results:   CAPEX, NPVs, LCOE under every methodology and returns, as
+ *                formulas (NPV, PMT, SUM, IRR...) referencing the sheets above,
+ *                next to the value this calculator produced
+ *
+ * Changing an input in Excel recalculates the whole model. Formulas mirror
+ * calculateLCOE() step by step, including its spreadsheet conventions
+ * (e.g. NPV of OPEX = NPV(rate, 0, costs), as calculateNPVlikeExcel()).
+ *
+ * Requires ZipWriter (zip-writer.js). No DOM dependencies
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const XlsxExport = {
+    // Cell style ids (index into cellXfs in STYLES_XML)
+    STYLE: {
+        text: 0,
+        header: 1,
+        currency: 2,
+        decimal: 3,
+        factor: 4,
+        input: 5,
+        section: 6
+    },
+
+    STYLES_XML: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="3">' +
+        '<numFmt numFmtId="164" formatCode="#,##0.00"/>' +
+        '<numFmt numFmtId="165" formatCode="0.0000"/>' +
+        '<numFmt numFmtId="166" formatCode="0.000000"/>' +
+        '</numFmts>' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+        '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="4"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+        '<fill><patternFill patternType="solid"><fgColor rgb="FFFFF9C4"/></patternFill></fill>' +
+        '<fill><patternFill patternType="solid"><fgColor rgb="FFE8EAF6"/></patternFill></fill></fills>' +
+        '<borders count="1"><border/></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="7">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="3" borderId="0" xfId="0" applyFont="1" applyFill="1"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="0" fontId="0" fillId="2" borderId="0" xfId="0" applyFill="1"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '</cellXfs>' +
+        '</styleSheet>'
+};
+
+// ============================================
+// WORKBOOK WRITER
+// ============================================
+
+/**
+ * Escape text for XML element content and attributes
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+XlsxExport.escapeXml = function(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+};
+
+/**
+ * Convert a 0-based column index to its letter (0 → A, 26 → AA)
+ *
+ * @param {number} index - Column index
+ * @returns {string} Column letter(s)
+ */
+XlsxExport.columnName = function(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+/**
+ * Write one cell
+ * A cell is a number, a string, null (empty) or
+ * { v: value, f: formula without '=', s: style name }.
+ * Formula cells carry the calculator's value as the cached result, so the
+ * workbook shows numbers even in viewers that do not recalculate.
+ *
+ * @param {*} cell - Cell definition
+ * @param {string} ref - Cell reference, e.g. 'B4'
+ * @returns {string} <c> element, or '' for an empty cell
+ */
+XlsxExport.cellXml = function(cell, ref) {
+    if (cell === null || cell === undefined) return '';
+
+    const spec = typeof cell === 'object' ? cell : { v: cell };
+    const style = spec.s ? ` s="${XlsxExport.STYLE[spec.s]}"` : '';
+    const value = spec.v;
+    const is_number = typeof value === 'number' && isFinite(value);
+
+    if (spec.f) {
+        const formula = `<f>${XlsxExport.escapeXml(spec.f)}</f>`;
+        if (is_number) return `<c r="${ref}"${style}>${formula}<v>${value}</v></c>`;
+        if (value === null || value === undefined) return `<c r="${ref}"${style}>${formula}</c>`;
+        return `<c r="${ref}"${style} t="str">${formula}<v>${XlsxExport.escapeXml(value)}</v></c>`;
+    }
+
+    if (is_number) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    if (value === null || value === undefined || value === '') return style ? `<c r="${ref}"${style}/>` : '';
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${XlsxExport.escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * Write a worksheet
+ *
+ * @param {object} sheet - { rows: [[cell, ...]], widths: [column widths], freeze_rows }
+ * @returns {string} Worksheet XML
+ */
+XlsxExport.sheetXml = function(sheet) {
+    let xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">';
+
+    if (sheet.freeze_rows) {
+        xml += '<sheetViews><sheetView workbookViewId="0">' +
+            `<pane ySplit="${sheet.freeze_rows}" topLeftCell="A${sheet.freeze_rows + 1}" activePane="bottomLeft" state="frozen"/>` +
+            '</sheetView></sheetViews>';
+    }
+
+    if (sheet.widths && sheet.widths.length) {
+        xml += '<cols>';
+        sheet.widths.forEach((width, i) => {
+            xml += `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`;
+        });
+        xml += '</cols>';
+    }
+
+    xml += '<sheetData>';
+    sheet.rows.forEach((row, r) => {
+        const cells = row.map((cell, c) => XlsxExport.cellXml(cell, `${XlsxExport.columnName(c)}${r + 1}`)).join('');
+        xml += `<row r="${r + 1}">${cells}</row>`;
+    });
+    xml += '</sheetData></worksheet>';
+
+    return xml;
+};
+
+/**
+ * Package worksheets as an .xlsx file
+ * The workbook is flagged to recalculate fully when opened.
+ *
+ * @param {array} sheets - [{name, rows, widths, freeze_rows}]
+ * @returns {Uint8Array} .xlsx file bytes
+ */
+XlsxExport.createWorkbook = function(sheets) {
+    const ns = 'http://schemas.openxmlformats.org';
+    const files = [];
+
+    files.push({
+        name: '[Content_Types].xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<Types xmlns="${ns}/package/2006/content-types">` +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+                'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>').join('') +
+            '</Types>'
+    });
+
+    files.push({
+        name: '_rels/.rels',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<Relationships xmlns="${ns}/package/2006/relationships">` +
+            `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>'
+    });
+
+    files.push({
+        name: 'xl/workbook.xml',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">` +
+            '<sheets>' +
+            sheets.map((s, i) => `<sheet name="${XlsxExport.escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+            '</sheets><calcPr calcId="0" fullCalcOnLoad="1"/></workbook>'
+    });
+
+    files.push({
+        name: 'xl/_rels/workbook.xml.rels',
+        data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<Relationships xmlns="${ns}/package/2006/relationships">` +
+            sheets.map((s, i) => `<Relationship Id="rId${i + 1}" ` +
+                `Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>'
+    });
+
+    files.push({ name: 'xl/styles.xml', data: XlsxExport.STYLES_XML });
+
+    sheets.forEach((sheet, i) => {
+        files.push({ name: `xl/worksheets/sheet${i + 1}.xml`, data: XlsxExport.sheetXml(sheet) });
+    });
+
+    return ZipWriter.create(files);
+};
+
+// ============================================
+// LCOE AUDIT MODEL
+// ============================================
+
+/**
+ * Build the Inputs, Cash Flow and Results sheets for one calculation
+ *
+ * @param {object} inputs - Calculator inputs
+ * @param {object} results - calculateLCOE(inputs)
+ * @returns {array} Sheets for createWorkbook()
+ */
+XlsxExport.buildSheets = function(inputs, results) {
+    const years = results.energy_by_year.length;
+    const first = 3;                     // Cash Flow row of Year 1 (row 2 is Year 0)
+    const last = first + years - 1;
+
+    // ---------- Inputs ----------
+    const input_rows = [['Parameter', 'Value', 'Key'].map(v => ({ v, s: 'header' }))];
+    const input_ref = {};
+    Object.entries(INPUT_FIELDS).forEach(([key, field]) => {
+        const value = inputs[key];
+        input_ref[key] = `Inputs!$B$${input_rows.length + 1}`;
+        input_rows.push([
+            field.label,
+            { v: Array.isArray(value) ? value.join(', ') : value, s: 'input' },
+            key
+        ]);
+    });
+    input_rows.push([]);
+    input_rows.push([{ v: 'Yellow cells are inputs: change them and every formula in Cash Flow and Results recalculates.', s: 'section' }]);
+
+    const I = key => input_ref[key];
+
+    // ---------- Results layout (refs are needed by Cash Flow formulas) ----------
+    const cf = col => `'Cash Flow'!$${col}$${first}:$${col}$${last}`;
+    const result_defs = [];
+    const result_ref = {};
+    const section = title => result_defs.push({ section: title });
+    const add = (key, label, f, v, s = 'currency') => {
+        result_ref[key] = `Results!$B$${result_defs.length + 2}`;
+        result_defs.push({ key, label, f, v, s });
+    };
+    const R = key => result_ref[key];
+
+    const loan_years = results.loan_schedule.slice(0, years);
+    const grace_years = Math.max(0, Math.min(inputs.moratorium_years || 0, inputs.loan_tenure - 1));
+    const has_tariff = inputs.tariff > 0;
+    const life = `MAX(1,ROUND(${I('depreciation_life')},0))`;
+
+    section('Capital');
+    // calculateCAPEX() convention: the CAPEX cell is divided by capacity
+    add('capex', 'Total CAPEX (₹)', `${I('capex_per_mw')}/${I('capacity')}`, results.capex);
+    add('debt_amount', 'Debt (₹)', `${R('capex')}*${I('debt_fraction')}/100`, results.debt_amount);
+    add('equity_amount', 'Equity (₹)', `${R('capex')}-${R('debt_amount')}`, results.equity_amount);
+    add('upfront_cost', 'Upfront Cost in LCOE (₹)',
+        `IF(${I('loan_repayment')}="amortizing",${R('equity_amount')},${R('capex')})`, results.upfront_cost);
+    add('annual_opex', 'Annual OPEX, Year 1 (₹)', `${R('capex')}*${I('opex_percent')}/100`, results.annual_opex);
+    add('grace_years', 'Moratorium Applied (Years)', `MAX(0,MIN(${I('moratorium_years')},${I('loan_tenure')}-1))`,
+        grace_years, 'text');
+    add('annual_emi', 'Annual EMI (₹)',
+        `IF(${I('loan_repayment')}="amortizing",PMT(${I('interest_rate')}/100,${I('loan_tenure')}-${R('grace_years')},-${R('debt_amount')}),` +
+        `${R('debt_amount')}*${I('interest_rate')}/100)`, results.annual_emi);
+    add('wacc', 'WACC (%)',
+        `${I('debt_fraction')}/100*${I('interest_rate')}+(1-${I('debt_fraction')}/100)*${I('cost_of_equity')}`,
+        results.wacc, 'decimal');
+    add('wacc_post_tax', 'Post-Tax WACC (%)',
+        `${I('debt_fraction')}/100*${I('interest_rate')}*(1-${I('tax_rate')}/100)+(1-${I('debt_fraction')}/100)*${I('cost_of_equity')}`,
+        results.wacc_post_tax, 'decimal');
+
+    section('Energy');
+    add('total_energy', 'Total Energy (MWh)', `SUM(${cf('C')})`, results.total_energy);
+    add('discounted_energy', 'Discounted Energy (MWh)', `NPV(${I('discount_rate')}/100,${cf('C')})`, results.discounted_energy);
+    add('cue', 'CUE (fraction)', `${I('energy_generation')}/(${I('capacity')}*${CONSTANTS.hours_in_year})`, results.cue, 'factor');
+
+    section('Costs');
+    add('total_om', 'Total O&M (₹)', `SUM(${cf('E')})`, results.total_om);
+    add('debt_service', 'Debt Service over Project Life (₹)', `SUM(${cf('I')})`,
+        loan_years.reduce((sum, row) => sum + row.debt_service, 0));
+    add('npv_opex', 'NPV of OPEX (₹) – spreadsheet convention', `NPV(${I('discount_rate')}/100,0,${cf('J')})`, results.npv_opex);
+    add('pv_costs', 'PV of Annual Costs (₹)', `NPV(${I('discount_rate')}/100,${cf('J')})`, results.pv_costs);
+    add('crf', 'Capital Recovery Factor', `PMT(${I('discount_rate')}/100,${I('project_lifetime')},-1)`, results.crf, 'factor');
+
+    section('LCOE');
+    add('lcoe_cost_npv', `${LCOE_METHODS.cost_npv.label} (₹/MWh)`,
+        `IF(${R('total_energy')}>0,(${R('upfront_cost')}+${R('npv_opex')})/${R('total_energy')},0)`,
+        results.lcoe_by_method.cost_npv);
+    add('lcoe_discounted', `${LCOE_METHODS.discounted.label} (₹/MWh)`,
+        `IF(${R('discounted_energy')}>0,(${R('upfront_cost')}+${R('pv_costs')})/${R('discounted_energy')},0)`,
+        results.lcoe_by_method.discounted);
+    add('lcoe_crf', `${LCOE_METHODS.crf.label} (₹/MWh)`,
+        `IF('Cash Flow'!$C$${first}>0,(${R('capex')}*${R('crf')}+${R('annual_opex')})/'Cash Flow'!$C$${first},0)`,
+        results.lcoe_by_method.crf);
+    add('lcoe_mwh', 'LCOE, Selected Method (₹/MWh)',
+        `IF(${I('lcoe_method')}="discounted",${R('lcoe_discounted')},IF(${I('lcoe_method')}="crf",${R('lcoe_crf')},${R('lcoe_cost_npv')}))`,
+        results.lcoe_mwh);
+    add('lcoe_kwh', 'LCOE, Selected Method (₹/kWh)', `${R('lcoe_mwh')}/1000`, results.lcoe_kwh, 'decimal');
+    add('after_tax_lcoe_mwh', 'After-Tax LCOE (₹/MWh)',
+        `IFERROR((${R('upfront_cost')}+SUMPRODUCT(${cf('J')}-${cf('R')},${cf('K')}))/` +
+        `SUMPRODUCT(${cf('C')}*(1-${cf('L')}/100),${cf('K')}),0)`,
+        results.after_tax_lcoe_mwh);
+    add('after_tax_lcoe_kwh', 'After-Tax LCOE (₹/kWh)', `${R('after_tax_lcoe_mwh')}/1000`, results.after_tax_lcoe_kwh, 'decimal');
+    add('pv_depreciation_shield', 'PV of Depreciation Tax Shield (₹)',
+        `SUMPRODUCT(${cf('P')}*${cf('L')}/100,${cf('K')})`, results.pv_depreciation_shield);
+    add('pv_interest_shield', 'PV of Interest Tax Shield (₹)',
+        `SUMPRODUCT(${cf('G')}*${cf('L')}/100,${cf('K')})`, results.pv_interest_shield);
+
+    section('Returns (PPA tariff)');
+    const project_cf = `'Cash Flow'!$S$2:$S$${last}`;
+    const equity_cf = `'Cash Flow'!$T$2:$T$${last}`;
+    const na = value => value === null || value === undefined ? 'n/a' : value;
+    add('project_irr', 'Project IRR (%)', `IF(${I('tariff')}>0,IFERROR(IRR(${project_cf})*100,"n/a"),"n/a")`,
+        na(results.project_irr), 'decimal');
+    add('equity_irr', 'Equity IRR (%)',
+        `IF(AND(${I('tariff')}>0,${R('equity_amount')}>0),IFERROR(IRR(${equity_cf})*100,"n/a"),"n/a")`,
+        na(results.equity_irr), 'decimal');
+    add('project_npv', 'Project NPV (₹)',
+        `IF(${I('tariff')}>0,'Cash Flow'!$S$2+NPV(${I('discount_rate')}/100,${cf('S')}),"n/a")`, na(results.project_npv));
+    add('min_dscr', 'Minimum DSCR', `IF(AND(${I('tariff')}>0,COUNT(${cf('U')})>0),MIN(${cf('U')}),"n/a")`,
+        na(results.min_dscr), 'decimal');
+    add('avg_dscr', 'Average DSCR', `IF(AND(${I('tariff')}>0,COUNT(${cf('U')})>0),AVERAGE(${cf('U')}),"n/a")`,
+        na(results.avg_dscr), 'decimal');
+
+    // ---------- Cash Flow ----------
+    const headers = [
+        'Year', 'Degradation Factor', 'Energy (MWh)', 'Revenue (₹)', 'O&M (₹)',
+        'Opening Loan Balance (₹)', 'Interest (₹)', 'Principal (₹)', 'Debt Service (₹)', 'Total Cost (₹)',
+        'Discount Factor', 'Tax Rate (%)', 'Opening WDV (₹)', 'Tax Depreciation (₹)', 'Book Depreciation (₹)',
+        'Depreciation Applied (₹)', 'Deductions (₹)', 'Tax Shield (₹)', 'Project Cash Flow (₹)',
+        'Equity Cash Flow (₹)', 'DSCR'
+    ];
+    const cash_rows = [headers.map(v => ({ v, s: 'header' }))];
+    cash_rows.push([
+        0, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null,
+        { f: `-${R('capex')}`, v: results.project_cash_flows[0], s: 'currency' },
+        { f: `-${R('equity_amount')}`, v: results.equity_cash_flows[0], s: 'currency' }
+    ]);
+
+    // Custom warranty tables are written as numbers inside the formula; every
+    // other profile is a formula of the rate inputs
+    const custom_factors = inputs.degradation_profile === 'custom' && (inputs.degradation_table || []).length
+        ? results.degradation_factors
+        : null;
+    const d = `${I('degradation_rate')}/100`;
+    const lid = `${I('first_year_degradation')}/100`;
+    const capex = R('capex');
+    const first_year_allowance = `MIN(${capex},${capex}*${I('accelerated_rate')}/100)`;
+
+    const book_life = Math.max(1, Math.round(inputs.depreciation_life));
+    let opening_wdv = results.capex;
+    let opening_balance = results.debt_amount;
+    for (let i = 0; i < years; i++) {
+        const r = first + i;
+        const y = `$A${r}`;
+        const loan = loan_years[i];
+        const tax = results.tax_schedule[i];
+        const om = results.annual_opex * Math.pow(1 + inputs.opex_escalation_rate / 100, i);
+        const debt_service = loan ? loan.debt_service : 0;
+        const book = i < book_life ? results.capex / book_life : 0;
+        const geometric = `MAX((1-${d})^(${y}-1),0)`;
+        const degradation = `IF(${I('degradation_profile')}="linear",MAX(1-${d}*(${y}-1),0),` +
+            `IF(${I('degradation_profile')}="lid_linear",MAX(1-${lid}-${d}*(${y}-1),0),` +
+            (custom_factors ? `IF(${I('degradation_profile')}="custom",${custom_factors[i]},${geometric})))` : `${geometric}))`);
+        const levered_tax = `(D${r}-Q${r})*L${r}/100`;
+        // Principal still owed is repaid in the last loan year within the project life
+        const balloon = `IF(${y}=MIN(${I('loan_tenure')},${I('project_lifetime')}),F${r}-H${r},0)`;
+
+        cash_rows.push([
+            i + 1,
+            { f: degradation, v: results.degradation_factors[i], s: 'factor' },
+            { f: `${I('energy_generation')}/${I('capacity')}*B${r}`, v: results.energy_by_year[i], s: 'currency' },
+            { f: `IF(${I('tariff')}>0,${I('tariff')}*(1+${I('tariff_escalation_rate')}/100)^(${y}-1)*C${r}*1000,0)`,
+                v: results.revenue_by_year[i], s: 'currency' },
+            { f: `${R('annual_opex')}*(1+${I('opex_escalation_rate')}/100)^(${y}-1)`,
+                v: om, s: 'currency' },
+            { f: i === 0 ? R('debt_amount') : `F${r - 1}-H${r - 1}`, v: opening_balance, s: 'currency' },
+            { f: `IF(${y}<=${I('loan_tenure')},F${r}*${I('interest_rate')}/100,0)`, v: loan ? loan.interest : 0, s: 'currency' },
+            { f: `IF(AND(${I('loan_repayment')}="amortizing",${y}>${R('grace_years')},${y}<=${I('loan_tenure')}),` +
+                `IF(${y}=${I('loan_tenure')},F${r},MIN(${R('annual_emi')}-G${r},F${r})),0)`, v: loan ? loan.principal : 0, s: 'currency' },
+            { f: `G${r}+H${r}`, v: debt_service, s: 'currency' },
+            { f: `E${r}+I${r}`, v: om + debt_service, s: 'currency' },
+            { f: `1/(1+${I('discount_rate')}/100)^${y}`, v: 1 / Math.pow(1 + inputs.discount_rate / 100, i + 1), s: 'factor' },
+            { f: `IF(${y}<=${I('tax_holiday_years')},${I('mat_rate')},${I('tax_rate')})`, v: tax.tax_rate, s: 'decimal' },
+            { f: i === 0 ? capex : `M${r - 1}-N${r - 1}`, v: opening_wdv, s: 'currency' },
+            { f: `MIN(IF(${I('depreciation_method')}="wdv",M${r}*${I('wdv_rate')}/100,` +
+                `IF(${I('depreciation_method')}="accelerated",IF(${y}=1,${first_year_allowance},` +
+                `IF(AND(${y}<=${life},${life}>1),(${capex}-${first_year_allowance})/(${life}-1),0)),` +
+                `IF(${y}<=${life},${capex}/${life},0))),M${r})`, v: results.depreciation_schedule[i], s: 'currency' },
+            { f: `IF(${y}<=${life},${capex}/${life},0)`, v: book, s: 'currency' },
+            { f: `IF(${y}<=${I('tax_holiday_years')},O${r},N${r})`, v: tax.depreciation, s: 'currency' },
+            { f: `E${r}+G${r}+P${r}`, v: tax.deductions, s: 'currency' },
+            { f: `Q${r}*L${r}/100`, v: tax.tax_shield, s: 'currency' },
+            { f: `D${r}-E${r}-(D${r}-E${r}-P${r})*L${r}/100`, v: results.project_cash_flows[i + 1], s: 'currency' },
+            { f: `D${r}-E${r}-${levered_tax}-I${r}-${balloon}`, v: results.equity_cash_flows[i + 1], s: 'currency' },
+            { f: `IF(I${r}>0,(D${r}-E${r}-${levered_tax})/I${r},"")`, v: results.dscr_by_year[i] ?? '', s: 'decimal' }
+        ]);
+
+        opening_wdv -= results.depreciation_schedule[i];
+        opening_balance -= loan ? loan.principal : 0;
+    }
+
+    // ---------- Results ----------
+    const result_rows = [['Result', 'Excel Formula', 'Calculator Value'].map(v => ({ v, s: 'header' }))];
+    result_defs.forEach(def => {
+        if (def.section) {
+            result_rows.push([{ v: def.section, s: 'section' }]);
+            return;
+        }
+        result_rows.push([def.label, { f: def.f, v: def.v, s: def.s }, { v: def.v, s: def.s }]);
+    });
+
+    return [
+        { name: 'Inputs', rows: input_rows, widths: [40, 22, 26], freeze_rows: 1 },
+        { name: 'Cash Flow', rows: cash_rows, widths: [8, ...Array(headers.length - 1).fill(18)], freeze_rows: 1 },
+        { name: 'Results', rows: result_rows, widths: [52, 22, 22], freeze_rows: 1 }
+    ];
+};
+
+/**
+ * Build the audit workbook for one calculation
+ *
+ * @param {object} inputs - Calculator inputs
+ * @param {object} results - calculateLCOE(inputs)
+ * @returns {Uint8Array} .xlsx file bytes
+ */
+XlsxExport.build = function(inputs, results) {
+    return XlsxExport.createWorkbook(XlsxExport.buildSheets(inputs, results));
+};
@@ -0,0 +1,140 @@
+/**
+ * ============================================
+ * SOLAR LCOE CALCULATOR - ZIP WRITER
+ * ============================================
+ *
+ * Minimal ZIP archive writer for client-side downloads (.xlsx workbooks are
+ * ZIP packages). Entries are stored uncompressed, which every unzip tool and
+ * spreadsheet application accepts.
+ *
+ * No DOM dependencies
+ *
+ * Author: Energy Economics Team
+ * Version: 1.0
+ */
+
+const ZipWriter = {
+    // CRC-32 lookup table (IEEE polynomial), built on first use
+    crcTable: null
+};
+
+// ============================================
+// CHECKSUM
+// ============================================
+
+/**
+ * Calculate the CRC-32 checksum of a byte array
+ *
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+ZipWriter.crc32 = function(bytes) {
+    if (!ZipWriter.crcTable) {
+        ZipWriter.crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            ZipWriter.crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// ============================================
+// ARCHIVE
+// ============================================
+
+/**
+ * Convert a Date to the MS-DOS time and date words used in ZIP headers
+ *
+ * @param {Date} date - Modification time
+ * @returns {object} { time, date }
+ */
+ZipWriter.dosDateTime = function(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+/**
+ * Build a ZIP archive
+ * Strings are written as UTF-8; entry names may contain '/' for folders.
+ *
+ * @param {array} files - Entries of {name, data: string | Uint8Array}
+ * @param {Date} modified - Modification time stamped on every entry (defaults to now)
+ * @returns {Uint8Array} ZIP file bytes
+ */
+ZipWriter.create = function(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = ZipWriter.dosDateTime(modified);
+    const local_parts = [];
+    const central_parts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = ZipWriter.crc32(data);
+
+        // Local file header (30 bytes + name)
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);           // Version needed (2.0)
+        local.setUint16(6, 0x0800, true);       // Flags: UTF-8 names
+        local.setUint16(8, 0, true);            // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        // Central directory entry (46 bytes + name)
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // Offset of the local header
+
+        local_parts.push(new Uint8Array(local.buffer), name, data);
+        central_parts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+
+    const central_size = central_parts.reduce((sum, part) => sum + part.length, 0);
+
+    // End of central directory record (22 bytes)
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, central_size, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local_parts, ...central_parts, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        output.set(part, position);
+        position += part.length;
+    });
+
+    return output;
+};